@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+/// @title ConsentRegistry
+/// @notice Anchors approved patient consents on chain. Only a hash of each
+/// consent is stored, never patient data: the backend keeps the consent and
+/// anyone holding it can recompute the hash and compare.
+contract ConsentRegistry {
+    struct Anchor {
+        bytes32 consentHash;
+        address grantee;
+        uint64 expiry;
+        uint64 anchoredAt;
+        uint64 revokedAt;
+    }
+
+    /// @notice Backend wallet allowed to anchor and revoke consents
+    address public immutable owner;
+
+    mapping(bytes32 => Anchor) private anchors;
+
+    event ConsentAnchored(bytes32 indexed consentKey, string consentId, bytes32 consentHash, address indexed grantee, uint64 expiry);
+    event ConsentRevoked(bytes32 indexed consentKey, string consentId);
+
+    error NotOwner();
+    error AlreadyAnchored(string consentId);
+    error NotAnchored(string consentId);
+    error AlreadyRevoked(string consentId);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /// @notice Record an approved consent. A consent can only be anchored once.
+    /// @param consentId Backend consent ID
+    /// @param consentHash keccak256 of the consent's canonical JSON
+    /// @param grantee Wallet the consent grants access to
+    /// @param expiry Unix time the consent expires at, 0 for none
+    function anchorConsent(string calldata consentId, bytes32 consentHash, address grantee, uint64 expiry) external onlyOwner {
+        bytes32 key = keccak256(bytes(consentId));
+        if (anchors[key].anchoredAt != 0) revert AlreadyAnchored(consentId);
+
+        anchors[key] = Anchor(consentHash, grantee, expiry, uint64(block.timestamp), 0);
+        emit ConsentAnchored(key, consentId, consentHash, grantee, expiry);
+    }
+
+    /// @notice Mark an anchored consent as revoked
+    function revokeConsent(string calldata consentId) external onlyOwner {
+        bytes32 key = keccak256(bytes(consentId));
+        Anchor storage anchor = anchors[key];
+        if (anchor.anchoredAt == 0) revert NotAnchored(consentId);
+        if (anchor.revokedAt != 0) revert AlreadyRevoked(consentId);
+
+        anchor.revokedAt = uint64(block.timestamp);
+        emit ConsentRevoked(key, consentId);
+    }
+
+    /// @notice Anchor of a consent; anchoredAt is 0 when it was never anchored
+    function getConsent(string calldata consentId) external view returns (Anchor memory) {
+        return anchors[keccak256(bytes(consentId))];
+    }
+
+    /// @notice Whether a consent is anchored, not revoked and not past its expiry
+    function isConsentActive(string calldata consentId) external view returns (bool) {
+        Anchor storage anchor = anchors[keccak256(bytes(consentId))];
+        return anchor.anchoredAt != 0
+            && anchor.revokedAt == 0
+            && (anchor.expiry == 0 || anchor.expiry > block.timestamp);
+    }
+}
@@ -0,0 +1,36 @@
+const auditRepository = require('../repositories/auditRepository');
+const { verifyAuditChain } = require('../services/auditLog');
+const { paginate } = require('../utils/pagination');
+
+// Get a page of audit entries with optional filters, newest first by default
+const getAuditEntries = async (req, res) => {
+  const { actor, action, patientId, outcome, from, to } = req.query;
+  
+  let entries = await auditRepository.listEntries({ actor, action, patientId });
+  
+  if (outcome) {
+    entries = entries.filter(e => e.outcome === outcome);
+  }
+  
+  if (from) {
+    entries = entries.filter(e => new Date(e.timestamp) >= new Date(from));
+  }
+  
+  if (to) {
+    entries = entries.filter(e => new Date(e.timestamp) <= new Date(to));
+  }
+  
+  const page = paginate(entries, req.query, auditRepository.AUDIT_PAGINATION);
+  
+  res.json({ entries: page.items, total: page.total, nextCursor: page.nextCursor });
+};
+
+// Recompute the hash chain and report the first broken link, if any
+const verifyAuditLog = async (req, res) => {
+  res.json(await verifyAuditChain());
+};
+
+module.exports = {
+  getAuditEntries,
+  verifyAuditLog
+};
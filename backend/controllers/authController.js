@@ -0,0 +1,77 @@
+const { resolveRole } = require('../utils/roles');
+const { recoverMessageSigner, addressesMatch } = require('../utils/signature');
+const { parseSiweMessage } = require('../utils/siwe');
+const { issueNonce, consumeNonce, createSession, destroySession } = require('../utils/sessionStore');
+const { ValidationError, UnauthorizedError } = require('../utils/errors');
+
+// Domain the frontend is served from, must match the SIWE message domain
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+
+// Issue a nonce to embed in the Sign-In With Ethereum message
+const getNonce = (req, res) => {
+  res.json({ nonce: issueNonce() });
+};
+
+// Verify a signed SIWE message and issue a session token
+const login = async (req, res) => {
+  const { message, signature } = req.body;
+  const siwe = parseSiweMessage(message);
+  
+  if (!siwe) {
+    throw ValidationError.forField('body', 'message', 'message is not a valid SIWE message');
+  }
+  
+  if (siwe.domain !== SIWE_DOMAIN) {
+    throw new UnauthorizedError('Sign-in message was issued for a different domain');
+  }
+  
+  if (siwe.expirationTime && new Date(siwe.expirationTime).getTime() <= Date.now()) {
+    throw new UnauthorizedError('Sign-in message has expired');
+  }
+  
+  // Nonces are single-use, so a captured message can't be replayed
+  if (!consumeNonce(siwe.nonce)) {
+    throw new UnauthorizedError('Sign-in nonce is invalid or has expired');
+  }
+  
+  const signer = recoverMessageSigner(message, signature);
+  
+  if (!signer) {
+    throw ValidationError.forField('body', 'signature', 'signature is malformed');
+  }
+  
+  if (!addressesMatch(signer, siwe.address)) {
+    throw new UnauthorizedError('Sign-in signature does not match the message address');
+  }
+  
+  const session = createSession(signer);
+  
+  res.json({
+    token: session.token,
+    address: session.address,
+    ...(await resolveRole(session.address)),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  });
+};
+
+// Return the wallet and role of the current session
+const getCurrentSession = async (req, res) => {
+  res.json({
+    address: req.auth.wallet,
+    ...(await resolveRole(req.auth.wallet)),
+    expiresAt: new Date(req.auth.expiresAt).toISOString()
+  });
+};
+
+// End the current session
+const logout = (req, res) => {
+  destroySession(req.auth.token);
+  res.status(204).end();
+};
+
+module.exports = {
+  getNonce,
+  login,
+  getCurrentSession,
+  logout
+};
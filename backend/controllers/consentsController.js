@@ -1,93 +1,217 @@
-const { loadMockData, saveMockData } = require('../utils/dataLoader');
+const consentsRepository = require('../repositories/consentsRepository');
+const granteesRepository = require('../repositories/granteesRepository');
+const { addressesMatch } = require('../utils/signature');
+const { recoverConsentSigner } = require('../utils/consentTypedData');
+const { parseConsentScope } = require('../utils/consentScope');
+const { auditRequest } = require('../services/auditLog');
+const { serializeConsentWrite, anchorConsent, revokeAnchoredConsent } = require('../services/consentAnchoring');
+const { ROLES } = require('../utils/roles');
+const { canViewConsent } = require('../utils/access');
+const { AppError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+const {
+  CONSENT_STATUS,
+  canTransition,
+  isPastExpiry,
+  isExpiringWithin,
+  applyTransition
+} = require('../utils/consentLifecycle');
 
 // Get all consents with optional filters
 const getConsents = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const { patientId, status } = req.query;
-    
-    let consents = data.consents || [];
-    
-    if (patientId) {
-      consents = consents.filter(c => c.patientId === patientId);
-    }
-    
-    if (status) {
-      consents = consents.filter(c => c.status === status);
-    }
-    
-    res.json({ consents });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { patientId, status, expiringWithinDays } = req.query;
+  const days = expiringWithinDays !== undefined ? expiringWithinDays : null;
+  
+  // Admins see every consent, patients their own and grantees those granted to them
+  let consents = (await consentsRepository.listConsents({ patientId, status }))
+    .filter(c => canViewConsent(req.auth, c));
+  
+  // Active consents that will lapse within the window, soonest first unless sorted otherwise
+  let defaults = consentsRepository.CONSENT_PAGINATION;
+  if (days !== null) {
+    consents = consents.filter(c => isExpiringWithin(c, days));
+    defaults = { ...defaults, sort: 'expiresAt', order: 'asc' };
   }
+  
+  const page = paginate(consents, req.query, defaults);
+  
+  res.json({
+    consents: await granteesRepository.attachGranteeDetails(page.items),
+    total: page.total,
+    nextCursor: page.nextCursor
+  });
 };
 
 // Get consent by ID
 const getConsentById = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const consent = data.consents.find(c => c.id === req.params.id);
-    
-    if (!consent) {
-      return res.status(404).json({ error: 'Consent not found' });
-    }
-    
-    res.json(consent);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const consent = await consentsRepository.findConsentById(req.params.id);
+  
+  if (!consent) {
+    throw new NotFoundError('Consent not found');
+  }
+  
+  if (!canViewConsent(req.auth, consent)) {
+    throw new ForbiddenError('Not allowed to view this consent');
   }
+  
+  const [withGrantee] = await granteesRepository.attachGranteeDetails([consent]);
+  res.json(withGrantee);
 };
 
-// Create new consent
+// Create new consent from an EIP-712 signed Consent struct
 const createConsent = async (req, res) => {
-  try {
-    const { patientId, purpose, walletAddress, signature } = req.body;
-    
-    if (!patientId || !purpose || !walletAddress) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-    
-    const data = await loadMockData();
-    const newConsent = {
-      id: `consent-${Date.now()}`,
-      patientId,
-      purpose,
-      walletAddress,
-      signature: signature || null,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      blockchainTxHash: null
-    };
-    
-    data.consents.push(newConsent);
-    await saveMockData(data);
-    
-    res.status(201).json(newConsent);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { patientId, purpose, walletAddress, grantee, expiry = 0, nonce, chainId, signature, scope: scopeInput } = req.body;
+  
+  // Patients can only grant consent over their own data, from their own wallet
+  if (patientId !== req.auth.patientId || !addressesMatch(walletAddress, req.auth.wallet)) {
+    throw new ForbiddenError('Consent can only be created by the patient it applies to');
+  }
+  
+  // Consents can only be granted to a registered grantee, so the patient knows who holds access
+  const granteeRecord = await granteesRepository.findGranteeByWallet(grantee);
+  if (!granteeRecord) {
+    throw ValidationError.forField('body', 'grantee', 'grantee is not a registered grantee wallet');
   }
+  
+  // expiry is a unix timestamp in seconds, 0 means the consent never expires
+  if (expiry > 0 && expiry * 1000 <= Date.now()) {
+    throw ValidationError.forField('body', 'expiry', 'expiry must be in the future');
+  }
+  
+  const { scope, error: scopeError, field: scopeField } = parseConsentScope(scopeInput);
+  if (scopeError) {
+    throw ValidationError.forField('body', scopeField, scopeError);
+  }
+  
+  // Verify the typed-data signature against the exact struct the wallet displayed
+  const signer = recoverConsentSigner(
+    chainId,
+    { patientId, purpose, grantee, expiry, nonce, scope },
+    signature
+  );
+  
+  if (!signer) {
+    throw ValidationError.forField('body', 'signature', 'signature is malformed');
+  }
+  
+  if (!addressesMatch(signer, walletAddress)) {
+    throw new UnauthorizedError('Consent signature does not match walletAddress');
+  }
+  
+  // A nonce can only be used once per wallet, otherwise a signed consent could be replayed
+  if (await consentsRepository.findConsentByNonce(walletAddress, nonce)) {
+    throw new ConflictError('Consent nonce has already been used');
+  }
+  
+  const createdAt = new Date().toISOString();
+  const newConsent = applyTransition({
+    id: `consent-${Date.now()}`,
+    patientId,
+    purpose,
+    walletAddress,
+    grantee,
+    granteeId: granteeRecord.id,
+    scope,
+    expiresAt: expiry > 0 ? new Date(expiry * 1000).toISOString() : null,
+    nonce,
+    chainId,
+    signature,
+    createdAt,
+    blockchainTxHash: null
+  }, CONSENT_STATUS.PENDING, { by: req.auth.wallet, at: createdAt, reason: 'Signed by patient' });
+  
+  await consentsRepository.createConsent(newConsent);
+  
+  await auditRequest(req, {
+    action: 'consent.create',
+    patientId,
+    resource: { type: 'consent', id: newConsent.id },
+    details: { purpose, granteeId: granteeRecord.id, grantee, expiresAt: newConsent.expiresAt }
+  });
+  
+  res.status(201).json({ ...newConsent, granteeDetails: granteeRecord });
+};
+
+// Response status for a failed on-chain anchoring: the chain (or registry) isn't
+// available, or the transaction reverted or wasn't mined in time
+const ANCHORING_ERROR_STATUS = {
+  ANCHORING_UNAVAILABLE: 503,
+  ANCHORING_FAILED: 502
 };
 
-// Update consent status
+// Move a consent through its lifecycle, recording who changed it, when and why.
+// Approvals and revocations of anchored consents go on chain first, the status
+// only changes once that transaction is mined.
 const updateConsent = async (req, res) => {
-  try {
-    const { status, blockchainTxHash } = req.body;
-    const data = await loadMockData();
-    const consent = data.consents.find(c => c.id === req.params.id);
+  const { status, reason } = req.body;
+  
+  // Checked and written against the stored consent inside the queue, so of two
+  // transitions racing from the same state only the first one applies
+  const { consent, updated, onChain } = await serializeConsentWrite(async () => {
+    const current = await consentsRepository.findConsentById(req.params.id);
+    
+    if (!current) {
+      throw new NotFoundError('Consent not found');
+    }
     
-    if (!consent) {
-      return res.status(404).json({ error: 'Consent not found' });
+    if (req.auth.role === ROLES.PATIENT && current.patientId !== req.auth.patientId) {
+      throw new ForbiddenError('Not allowed to update this consent');
     }
     
-    if (status) consent.status = status;
-    if (blockchainTxHash) consent.blockchainTxHash = blockchainTxHash;
+    if (!canTransition(current.status, status)) {
+      throw new ConflictError(`Cannot change consent from ${current.status} to ${status}`, { status: current.status });
+    }
     
-    await saveMockData(data);
+    // Expiry is a fact about the consent, not a decision, so it can't be applied early
+    if (status === CONSENT_STATUS.EXPIRED && !isPastExpiry(current)) {
+      throw new ConflictError('Consent has not reached its expiry date', { status: current.status });
+    }
     
-    res.json(consent);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+    // Fields recorded by the on-chain anchoring or revocation, if any
+    let recorded = null;
+    
+    try {
+      if (status === CONSENT_STATUS.ACTIVE) {
+        recorded = await anchorConsent(current);
+      } else if (status === CONSENT_STATUS.REVOKED) {
+        recorded = await revokeAnchoredConsent(current);
+      }
+    } catch (error) {
+      if (!ANCHORING_ERROR_STATUS[error.code]) throw error;
+      
+      await auditRequest(req, {
+        action: 'consent.update',
+        patientId: current.patientId,
+        resource: { type: 'consent', id: current.id },
+        outcome: 'failure',
+        details: { from: current.status, to: status, reason: error.code, blockchainTxHash: null }
+      });
+      throw new AppError(error.message, {
+        status: ANCHORING_ERROR_STATUS[error.code],
+        code: error.code,
+        details: { status: current.status }
+      });
+    }
+    
+    const next = applyTransition({ ...current, ...recorded }, status, { by: req.auth.wallet, reason: reason || null });
+    await consentsRepository.updateConsent(next);
+    return { consent: current, updated: next, onChain: recorded };
+  });
+  
+  await auditRequest(req, {
+    action: 'consent.update',
+    patientId: consent.patientId,
+    resource: { type: 'consent', id: consent.id },
+    details: {
+      from: consent.status,
+      to: updated.status,
+      reason: reason || null,
+      blockchainTxHash: onChain ? onChain.blockchainTxHash || onChain.anchor.revocationTxHash : null
+    }
+  });
+  
+  const [withGrantee] = await granteesRepository.attachGranteeDetails([updated]);
+  res.json(withGrantee);
 };
 
 module.exports = {
@@ -0,0 +1,28 @@
+const path = require('path');
+const { buildOpenApiDocument } = require('../utils/openapi');
+
+// Self-contained page (no external scripts or styles) that renders the OpenAPI document
+const EXPLORER_PAGE = path.join(__dirname, '..', 'docs', 'explorer.html');
+
+// Built on the first request, once every route is registered. The router is
+// required here rather than at the top because it requires this controller.
+let openApiDocument = null;
+
+// Get the OpenAPI document of every route
+const getOpenApiDocument = async (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(require('../routes'));
+  }
+  
+  res.json(openApiDocument);
+};
+
+// Serve the interactive API explorer
+const getApiExplorer = async (req, res) => {
+  res.sendFile(EXPLORER_PAGE);
+};
+
+module.exports = {
+  getOpenApiDocument,
+  getApiExplorer
+};
@@ -0,0 +1,73 @@
+const granteesRepository = require('../repositories/granteesRepository');
+const consentsRepository = require('../repositories/consentsRepository');
+const { canViewConsent } = require('../utils/access');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+
+// Get a page of grantees, optionally of one type
+const getGrantees = async (req, res) => {
+  const { type } = req.query;
+  const grantees = await granteesRepository.listGrantees({ type });
+  const page = paginate(grantees, req.query, granteesRepository.GRANTEE_PAGINATION);
+  
+  res.json({ grantees: page.items, total: page.total, nextCursor: page.nextCursor });
+};
+
+// Get grantee by ID
+const getGranteeById = async (req, res) => {
+  const grantee = await granteesRepository.findGranteeById(req.params.id);
+  
+  if (!grantee) {
+    throw new NotFoundError('Grantee not found');
+  }
+  
+  res.json(grantee);
+};
+
+// Get the consents granted to a grantee that the signed-in user may see
+const getGranteeConsents = async (req, res) => {
+  const grantee = await granteesRepository.findGranteeById(req.params.id);
+  
+  if (!grantee) {
+    throw new NotFoundError('Grantee not found');
+  }
+  
+  const consents = (await consentsRepository.listConsentsForGrantee(grantee))
+    .filter(c => canViewConsent(req.auth, c));
+  
+  res.json({ grantee, consents: await granteesRepository.attachGranteeDetails(consents) });
+};
+
+// Register a new grantee
+const createGrantee = async (req, res) => {
+  const { name, type, walletAddress, contact } = req.body;
+  
+  // A wallet identifies a single grantee, consents are resolved through it
+  if (await granteesRepository.findGranteeByWallet(walletAddress)) {
+    throw new ConflictError('A grantee with this wallet already exists');
+  }
+  
+  const newGrantee = {
+    id: `grantee-${Date.now()}`,
+    name,
+    type,
+    walletAddress,
+    contact: {
+      name: contact.name || null,
+      email: contact.email,
+      phone: contact.phone || null
+    },
+    createdAt: new Date().toISOString()
+  };
+  
+  await granteesRepository.createGrantee(newGrantee);
+  
+  res.status(201).json(newGrantee);
+};
+
+module.exports = {
+  getGrantees,
+  getGranteeById,
+  getGranteeConsents,
+  createGrantee
+};
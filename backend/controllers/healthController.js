@@ -1,4 +1,11 @@
-const { loadMockData } = require('../utils/dataLoader');
+const patientsRepository = require('../repositories/patientsRepository');
+const recordsRepository = require('../repositories/recordsRepository');
+const consentsRepository = require('../repositories/consentsRepository');
+const transactionsRepository = require('../repositories/transactionsRepository');
+const { isExpiringWithin } = require('../utils/consentLifecycle');
+
+// Window for the expiring-soon consent count
+const EXPIRING_SOON_DAYS = 7;
 
 // Health check endpoint
 const healthCheck = (req, res) => {
@@ -7,22 +14,20 @@ const healthCheck = (req, res) => {
 
 // Get platform statistics
 const getStats = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    
-    const stats = {
-      totalPatients: (data.patients || []).length,
-      totalRecords: (data.records || []).length,
-      totalConsents: (data.consents || []).length,
-      activeConsents: (data.consents || []).filter(c => c.status === 'active').length,
-      pendingConsents: (data.consents || []).filter(c => c.status === 'pending').length,
-      totalTransactions: (data.transactions || []).length
-    };
-    
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  const activeConsents = await consentsRepository.listConsents({ status: 'active' });
+  
+  const stats = {
+    totalPatients: await patientsRepository.countPatients(),
+    totalRecords: await recordsRepository.countRecords(),
+    totalConsents: await consentsRepository.countConsents(),
+    activeConsents: activeConsents.length,
+    pendingConsents: await consentsRepository.countConsents({ status: 'pending' }),
+    expiredConsents: await consentsRepository.countConsents({ status: 'expired' }),
+    expiringConsents: activeConsents.filter(c => isExpiringWithin(c, EXPIRING_SOON_DAYS)).length,
+    totalTransactions: await transactionsRepository.countTransactions()
+  };
+  
+  res.json(stats);
 };
 
 module.exports = {
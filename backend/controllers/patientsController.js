@@ -1,60 +1,289 @@
-const { loadMockData } = require('../utils/dataLoader');
+const patientsRepository = require('../repositories/patientsRepository');
+const auditRepository = require('../repositories/auditRepository');
+const granteesRepository = require('../repositories/granteesRepository');
+const { getAccessiblePatientIds, getSharedPatientFields } = require('../utils/access');
+const { pickPatientFields } = require('../utils/consentScope');
+const { PATIENT_FIELDS, parsePatientFields } = require('../utils/patientFields');
+const { auditRequest } = require('../services/auditLog');
+const { ROLES } = require('../utils/roles');
+const { addressesMatch } = require('../utils/signature');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
 
-// Get all patients with pagination and search
+// Get a page of patients, optionally matching a search term
 const getPatients = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const { page = 1, limit = 10, search = '' } = req.query;
+  const { search = '' } = req.query;
+  
+  // Grantees only see the demographic fields their consents share, so they
+  // search those fields alone rather than everything the patient has on file
+  const sharedFields = await getSharedPatientFields(req.auth);
+  
+  let patients = await patientsRepository.listPatients({ search: sharedFields ? '' : search });
+  
+  // Only admins list every patient, other roles see the patients they may access
+  const accessible = await getAccessiblePatientIds(req.auth);
+  if (accessible) {
+    patients = patients.filter(p => accessible.has(p.id));
+  }
+  
+  if (sharedFields) {
+    patients = patients
+      .map(p => pickPatientFields(p, sharedFields.get(p.id) || []))
+      .filter(p => !search || patientsRepository.matchesSearch(p, search));
+  }
+  
+  // Sorted on the fields the caller sees, so neither the order nor the cursor
+  // reveals a field their consents don't share
+  const page = paginate(patients, req.query, patientsRepository.PATIENT_PAGINATION);
+  
+  await auditRequest(req, {
+    action: 'patient.list',
+    resource: { type: 'patient', id: null },
+    details: { patientIds: page.items.map(p => p.id), search: search || null }
+  });
+  
+  res.json({ patients: page.items, total: page.total, nextCursor: page.nextCursor });
+};
+
+// Get patient by ID
+const getPatientById = async (req, res) => {
+  const patient = await patientsRepository.findPatientById(req.params.id);
+  
+  if (!patient) {
+    throw new NotFoundError('Patient not found');
+  }
+  
+  // Grantees get the demographic fields their consents share
+  const sharedFields = await getSharedPatientFields(req.auth);
+  
+  const shared = sharedFields ? pickPatientFields(patient, sharedFields.get(patient.id) || []) : patient;
+  
+  await auditRequest(req, {
+    action: 'patient.read',
+    patientId: patient.id,
+    resource: { type: 'patient', id: patient.id },
+    details: { fields: Object.keys(shared) }
+  });
+  
+  res.json(shared);
+};
+
+// Audit actions that expose a patient's data to someone
+const ACCESS_ACTIONS = ['patient.read', 'patient.list', 'record.read'];
+
+// Who accessed a patient's data: every read of their profile or records by
+// anyone but the patient, newest first, with the grantee and consent involved
+const getPatientAccessLog = async (req, res) => {
+  const patient = await patientsRepository.findPatientById(req.params.id);
+  
+  if (!patient) {
+    throw new NotFoundError('Patient not found');
+  }
+  
+  const [entries, listings, grantees] = await Promise.all([
+    auditRepository.listEntries({ patientId: patient.id }),
+    auditRepository.listEntries({ action: 'patient.list' }),
+    granteesRepository.listGrantees()
+  ]);
+  
+  // Listings aren't tied to one patient, they name every patient returned
+  const listed = listings.filter(e => (e.details.patientIds || []).includes(patient.id));
+  
+  const accesses = [...entries, ...listed]
+    .filter(e => ACCESS_ACTIONS.includes(e.action))
+    .filter(e => !(e.role === ROLES.PATIENT && addressesMatch(e.actor, patient.walletAddress)))
+    .sort((a, b) => b.sequence - a.sequence)
+    .map(e => {
+      const grantee = grantees.find(g => g.id === e.details.granteeId) ||
+        grantees.find(g => addressesMatch(g.walletAddress, e.actor)) ||
+        null;
+      
+      return {
+        id: e.id,
+        timestamp: e.timestamp,
+        action: e.action,
+        outcome: e.outcome,
+        actor: e.actor,
+        role: e.role,
+        grantee: grantee ? { id: grantee.id, name: grantee.name, type: grantee.type } : null,
+        purpose: e.details.purpose || null,
+        consentId: e.details.consentId || null,
+        recordIds: e.details.recordIds || [],
+        fields: e.details.fields || [],
+        reason: e.details.reason || null
+      };
+    });
+  
+  res.json({ patientId: patient.id, accesses });
+};
+
+// Writes are serialized so concurrent requests can't claim the same IDs, email or wallet
+let pendingWrite = Promise.resolve();
+
+const serializeWrite = (task) => {
+  const write = pendingWrite.then(task);
+  pendingWrite = write.catch(() => {});
+  return write;
+};
+
+// The field ('email' or 'walletAddress') another active patient already uses, or null
+const findConflict = async (fields, patientId = null) => {
+  if (fields.email) {
+    const patient = await patientsRepository.findPatientByEmail(fields.email);
+    if (patient && patient.id !== patientId) return 'email';
+  }
+  
+  if (fields.walletAddress) {
+    const patient = await patientsRepository.findPatientByWallet(fields.walletAddress);
+    if (patient && patient.id !== patientId) return 'walletAddress';
+  }
+  
+  return null;
+};
+
+const CONFLICT_ERRORS = {
+  email: 'A patient with this email already exists',
+  walletAddress: 'A patient with this wallet already exists'
+};
+
+// Next document ID (patient-NNN) and patient ID (P-YYYY-NNN, numbered per
+// registration year). Deleted patients keep their IDs, so they are counted too.
+const nextPatientIds = (patients, now) => {
+  const year = now.getUTCFullYear();
+  const next = (values, pattern) => values.reduce((max, value) => {
+    const match = pattern.exec(value || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0) + 1;
+  
+  const number = next(patients.map(p => p.id), /^patient-(\d+)$/);
+  const sequence = next(patients.map(p => p.patientId), new RegExp(`^P-${year}-(\\d+)$`));
+  
+  return {
+    id: `patient-${String(number).padStart(3, '0')}`,
+    patientId: `P-${year}-${String(sequence).padStart(3, '0')}`
+  };
+};
+
+// Register a new patient
+const createPatient = async (req, res) => {
+  const { fields, error, field } = parsePatientFields(req.body);
+  
+  if (error) {
+    throw ValidationError.forField('body', field, error);
+  }
+  
+  const result = await serializeWrite(async () => {
+    const conflict = await findConflict(fields);
+    if (conflict) return { conflict };
     
-    let patients = data.patients || [];
+    const now = new Date();
+    const patients = await patientsRepository.listPatients({ includeDeleted: true });
+    // Optional fields left out are stored as null
+    const patient = {
+      ...nextPatientIds(patients, now),
+      ...Object.fromEntries(PATIENT_FIELDS.map(field => [field, fields[field] || null])),
+      createdAt: now.toISOString()
+    };
     
-    // Search filter
-    if (search) {
-      patients = patients.filter(p => 
-        p.name.toLowerCase().includes(search.toLowerCase()) ||
-        p.email.toLowerCase().includes(search.toLowerCase()) ||
-        p.patientId.includes(search)
-      );
+    await patientsRepository.createPatient(patient);
+    return { patient };
+  });
+  
+  if (result.conflict) {
+    throw new ConflictError(CONFLICT_ERRORS[result.conflict], { field: result.conflict });
+  }
+  
+  await auditRequest(req, {
+    action: 'patient.create',
+    patientId: result.patient.id,
+    resource: { type: 'patient', id: result.patient.id },
+    details: { fields: Object.keys(fields) }
+  });
+  
+  res.status(201).json(result.patient);
+};
+
+// Correct a patient's profile. Patients edit their own, admins anyone's; only
+// admins may move a patient to another wallet, the wallet patients sign in with.
+const updatePatient = async (req, res) => {
+  const { fields, error, field } = parsePatientFields(req.body);
+  
+  if (error) {
+    throw ValidationError.forField('body', field, error);
+  }
+  
+  const result = await serializeWrite(async () => {
+    const patient = await patientsRepository.findPatientById(req.params.id);
+    if (!patient) return { notFound: true };
+    
+    if (fields.walletAddress && !addressesMatch(fields.walletAddress, patient.walletAddress) &&
+      req.auth.role !== ROLES.ADMIN) {
+      return { forbidden: true };
     }
     
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedPatients = patients.slice(startIndex, endIndex);
+    const conflict = await findConflict(fields, patient.id);
+    if (conflict) return { conflict };
     
-    res.json({
-      patients: paginatedPatients,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: patients.length,
-        totalPages: Math.ceil(patients.length / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    const updated = { ...patient, ...fields, updatedAt: new Date().toISOString() };
+    await patientsRepository.updatePatient(patient.id, updated);
+    return { patient: updated };
+  });
+  
+  if (result.notFound) {
+    throw new NotFoundError('Patient not found');
+  }
+  
+  if (result.forbidden) {
+    throw new ForbiddenError('Only admins can change a patient\'s wallet address');
+  }
+  
+  if (result.conflict) {
+    throw new ConflictError(CONFLICT_ERRORS[result.conflict], { field: result.conflict });
   }
+  
+  await auditRequest(req, {
+    action: 'patient.update',
+    patientId: result.patient.id,
+    resource: { type: 'patient', id: result.patient.id },
+    details: { fields: Object.keys(fields) }
+  });
+  
+  res.json(result.patient);
 };
 
-// Get patient by ID
-const getPatientById = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const patient = data.patients.find(p => p.id === req.params.id);
-    
-    if (!patient) {
-      return res.status(404).json({ error: 'Patient not found' });
-    }
+// Soft-delete a patient: the profile is hidden from every listing and lookup
+// and the wallet no longer signs in as the patient, but the document, records,
+// consents and audit trail are kept
+const deletePatient = async (req, res) => {
+  const result = await serializeWrite(async () => {
+    const patient = await patientsRepository.findPatientById(req.params.id);
+    if (!patient) return null;
     
-    res.json(patient);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    const deleted = { ...patient, deletedAt: new Date().toISOString(), deletedBy: req.auth.wallet };
+    await patientsRepository.updatePatient(patient.id, deleted);
+    return deleted;
+  });
+  
+  if (!result) {
+    throw new NotFoundError('Patient not found');
   }
+  
+  await auditRequest(req, {
+    action: 'patient.delete',
+    patientId: result.id,
+    resource: { type: 'patient', id: result.id }
+  });
+  
+  res.json({ id: result.id, patientId: result.patientId, deletedAt: result.deletedAt });
 };
 
 module.exports = {
   getPatients,
-  getPatientById
+  getPatientById,
+  getPatientAccessLog,
+  createPatient,
+  updatePatient,
+  deletePatient
 };
 
 
@@ -1,44 +1,295 @@
-const { loadMockData } = require('../utils/dataLoader');
+const recordsRepository = require('../repositories/recordsRepository');
+const { authorizeRecordAccess } = require('../utils/access');
+const { isRecordInScope } = require('../utils/consentScope');
+const { auditRecordAccess, auditRequest } = require('../services/auditLog');
+const { serializeRecordWrite, anchorPendingRecords, buildRecordProof } = require('../services/recordAnchoring');
+const { pickRecordFields, RECORD_FIELDS } = require('../utils/recordFields');
+const { hashRecord } = require('../utils/recordHash');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+
+// Scope of the consent behind a decision. null (every record) for owners reading
+// their own records and for consents created before scopes existed.
+const scopeOf = (decision) => (decision.consent ? decision.consent.scope || null : null);
+
+// Describe which consent (if any) allowed a record read, returned with the records
+const describeAccess = (patientId, decision) => ({
+  patientId,
+  basis: decision.basis,
+  consentId: decision.consent ? decision.consent.id : null,
+  purpose: decision.consent ? decision.consent.purpose : null,
+  scope: scopeOf(decision)
+});
 
 // Get patient records by patient ID
 const getPatientRecords = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const records = (data.records || []).filter(r => r.patientId === req.params.id);
-    
-    res.json({ records });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  const records = (await recordsRepository.listRecords({ patientId: req.params.id }))
+    .filter(r => isRecordInScope(r, scopeOf(req.recordAccess)));
+  
+  await auditRecordAccess(req, req.params.id, req.recordAccess, records);
+  
+  // requireRecordAccess already granted the read, tie it back to its consent
+  // and only return what that consent's scope covers
+  res.json({ records, access: describeAccess(req.params.id, req.recordAccess) });
 };
 
-// Get all records (optional - for future use)
+// Get a page of the records the caller may read
 const getAllRecords = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const { patientId, type, limit = 50 } = req.query;
-    
-    let records = data.records || [];
+  const { patientId, type, purpose } = req.query;
+  
+  let records = await recordsRepository.listRecords({ patientId, type });
+  
+  // Every patient's records are gated by its own consent. Asking for a single
+  // patient reports the denial, a listing silently skips patients without one.
+  const decisions = new Map();
+  for (const id of new Set(records.map(r => r.patientId))) {
+    decisions.set(id, await authorizeRecordAccess(req.auth, id, purpose));
+  }
+  
+  if (patientId && decisions.has(patientId) && !decisions.get(patientId).allowed) {
+    const { error, reason } = decisions.get(patientId);
+    await auditRecordAccess(req, patientId, decisions.get(patientId));
+    throw new ForbiddenError(error, { reason });
+  }
+  
+  records = records.filter(r => {
+    const decision = decisions.get(r.patientId);
+    return decision.allowed && isRecordInScope(r, scopeOf(decision));
+  });
+  
+  const page = paginate(records, req.query, recordsRepository.RECORD_PAGINATION);
+  const patientIds = [...new Set(page.items.map(r => r.patientId))];
+  
+  // One audit entry per patient whose records were returned
+  for (const id of patientIds) {
+    await auditRecordAccess(req, id, decisions.get(id), page.items.filter(r => r.patientId === id));
+  }
+  
+  const access = patientIds.map(id => describeAccess(id, decisions.get(id)));
+  
+  res.json({ records: page.items, access, total: page.total, nextCursor: page.nextCursor });
+};
+
+// Get the Merkle inclusion proof of a record's anchored content hash.
+// Gated like reading the record itself: the owner, or a consent for ?purpose= that covers it.
+const getRecordProof = async (req, res) => {
+  const record = await recordsRepository.findRecordById(req.params.id);
+  
+  if (!record) {
+    throw new NotFoundError('Record not found');
+  }
+  
+  const decision = await authorizeRecordAccess(req.auth, record.patientId, req.query.purpose);
+  
+  if (!decision.allowed) {
+    await auditRecordAccess(req, record.patientId, decision);
+    throw new ForbiddenError(decision.error, { reason: decision.reason });
+  }
+  
+  if (!isRecordInScope(record, scopeOf(decision))) {
+    throw new ForbiddenError('Record is outside the scope of your consent', { reason: 'out_of_scope' });
+  }
+  
+  const proof = await buildRecordProof(record);
+  
+  if (!proof) {
+    throw new ConflictError('Record has not been anchored yet');
+  }
+  
+  res.json(proof);
+};
+
+// Writes go through the record write queue (serializeRecordWrite), so concurrent
+// requests can't claim the same record ID, or both amend the same version, and
+// never race an anchoring pass. Each write anchors its new version right away.
+
+// Store a new version, anchor it and return it as stored (with its anchor)
+const storeVersion = async (record) => {
+  await recordsRepository.createRecord({ ...record, contentHash: hashRecord(record) });
+  await anchorPendingRecords();
+  return recordsRepository.findRecordById(record.id);
+};
+
+// Next record ID (record-NNN). Amended versions (record-NNN-vN) don't count.
+const nextRecordId = (records) => {
+  const number = records.reduce((max, r) => {
+    const match = /^record-(\d+)$/.exec(r.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0) + 1;
+  
+  return `record-${String(number).padStart(3, '0')}`;
+};
+
+// Create a medical record for a patient. Writers need the same consent as
+// readers (requireRecordAccess), and the record must fall within its scope.
+const createRecord = async (req, res) => {
+  const fields = pickRecordFields(req.body);
+  const content = { date: new Date().toISOString(), ...fields, patientId: req.params.id };
+  
+  if (!isRecordInScope(content, scopeOf(req.recordAccess))) {
+    throw new ForbiddenError('Record is outside the scope of your consent', { reason: 'out_of_scope' });
+  }
+  
+  const record = await serializeRecordWrite(async () => {
+    const id = nextRecordId(await recordsRepository.listRecords({ includeSuperseded: true }));
     
-    if (patientId) {
-      records = records.filter(r => r.patientId === patientId);
-    }
+    return storeVersion({
+      id,
+      ...content,
+      status: 'pending',
+      version: 1,
+      versionOf: id,
+      previousVersionId: null,
+      supersededBy: null,
+      author: { wallet: req.auth.wallet, role: req.auth.role },
+      reason: null,
+      createdAt: new Date().toISOString()
+    });
+  });
+  
+  await auditRequest(req, {
+    action: 'record.create',
+    patientId: record.patientId,
+    resource: { type: 'record', id: record.id },
+    details: { purpose: req.query.purpose || null, recordIds: [record.id], version: 1 }
+  });
+  
+  res.status(201).json(record);
+};
+
+// Amend a medical record. The record is never overwritten: the amendment is a
+// new version linked to the one it replaces, with its author, reason and
+// content hash. Only the current version can be amended.
+const amendRecord = async (req, res) => {
+  const fields = pickRecordFields(req.body);
+  
+  if (Object.keys(fields).length === 0) {
+    throw ValidationError.forField('body', null, 'No fields to amend');
+  }
+  
+  const record = await recordsRepository.findRecordById(req.params.id);
+  
+  if (!record) {
+    throw new NotFoundError('Record not found');
+  }
+  
+  const decision = await authorizeRecordAccess(req.auth, record.patientId, req.query.purpose);
+  
+  if (!decision.allowed) {
+    await auditRecordAccess(req, record.patientId, decision);
+    throw new ForbiddenError(decision.error, { reason: decision.reason });
+  }
+  
+  // Both the version amended and the amendment must be within the consent's scope
+  if (!isRecordInScope(record, scopeOf(decision)) || !isRecordInScope({ ...record, ...fields }, scopeOf(decision))) {
+    throw new ForbiddenError('Record is outside the scope of your consent', { reason: 'out_of_scope' });
+  }
+  
+  const result = await serializeRecordWrite(async () => {
+    // Re-read inside the write, another amendment may have landed meanwhile
+    const current = await recordsRepository.findRecordById(record.id);
+    if (current.supersededBy) return { supersededBy: current.supersededBy };
     
-    if (type) {
-      records = records.filter(r => r.type.toLowerCase() === type.toLowerCase());
+    if (RECORD_FIELDS.every(field => !(field in fields) || fields[field] === current[field])) {
+      return { unchanged: true };
     }
     
-    records = records.slice(0, parseInt(limit));
+    const versionOf = current.versionOf || current.id;
+    const version = (current.version || 1) + 1;
+    const amended = await storeVersion({
+      ...Object.fromEntries(RECORD_FIELDS.map(field => [field, current[field]])),
+      ...fields,
+      id: `${versionOf}-v${version}`,
+      patientId: current.patientId,
+      status: 'pending',
+      version,
+      versionOf,
+      previousVersionId: current.id,
+      supersededBy: null,
+      author: { wallet: req.auth.wallet, role: req.auth.role },
+      reason: req.body.reason.trim(),
+      createdAt: new Date().toISOString()
+    });
     
-    res.json({ records });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    // The previous version's content (and its anchored hash) is left as it was
+    await recordsRepository.updateRecord({ ...current, supersededBy: amended.id });
+    return { amended };
+  });
+  
+  if (result.supersededBy) {
+    throw new ConflictError('Only the current version of a record can be amended', {
+      currentVersionId: result.supersededBy
+    });
+  }
+  
+  if (result.unchanged) {
+    throw ValidationError.forField('body', null, 'The amendment does not change the record');
+  }
+  
+  await auditRequest(req, {
+    action: 'record.amend',
+    patientId: result.amended.patientId,
+    resource: { type: 'record', id: result.amended.id },
+    details: {
+      purpose: req.query.purpose || null,
+      recordIds: [result.amended.previousVersionId, result.amended.id],
+      version: result.amended.version,
+      fields: Object.keys(fields)
+    }
+  });
+  
+  res.status(201).json(result.amended);
+};
+
+// Every version of a record, oldest first, from any of its versions' IDs.
+// Gated like reading the record; versions outside the consent's scope are left out.
+const getRecordHistory = async (req, res) => {
+  const record = await recordsRepository.findRecordById(req.params.id);
+  
+  if (!record) {
+    throw new NotFoundError('Record not found');
+  }
+  
+  const decision = await authorizeRecordAccess(req.auth, record.patientId, req.query.purpose);
+  
+  if (!decision.allowed) {
+    await auditRecordAccess(req, record.patientId, decision);
+    throw new ForbiddenError(decision.error, { reason: decision.reason });
+  }
+  
+  if (!isRecordInScope(record, scopeOf(decision))) {
+    throw new ForbiddenError('Record is outside the scope of your consent', { reason: 'out_of_scope' });
   }
+  
+  const versionOf = record.versionOf || record.id;
+  
+  // Records seeded before versioning are version 1 with no author or hash stored
+  const versions = (await recordsRepository.listRecordVersions(versionOf))
+    .filter(r => isRecordInScope(r, scopeOf(decision)))
+    .map(r => ({
+      ...r,
+      version: r.version || 1,
+      previousVersionId: r.previousVersionId || null,
+      supersededBy: r.supersededBy || null,
+      author: r.author || null,
+      reason: r.reason || null,
+      contentHash: r.contentHash || hashRecord(r)
+    }));
+  
+  await auditRecordAccess(req, record.patientId, decision, versions);
+  
+  const current = versions.find(r => !r.supersededBy);
+  
+  res.json({ recordId: versionOf, currentVersionId: current ? current.id : null, versions });
 };
 
 module.exports = {
   getPatientRecords,
-  getAllRecords
+  getAllRecords,
+  getRecordProof,
+  createRecord,
+  amendRecord,
+  getRecordHistory
 };
 
 
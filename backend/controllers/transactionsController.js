@@ -1,53 +1,117 @@
-const { loadMockData } = require('../utils/dataLoader');
+const transactionsRepository = require('../repositories/transactionsRepository');
+const { ROLES } = require('../utils/roles');
+const { recoverMessageSigner, addressesMatch, isHexAddress } = require('../utils/signature');
+const { auditRequest } = require('../services/auditLog');
+const { withLiveConfirmations } = require('../services/consentEventIndexer');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
 
-// Get blockchain transactions
+// Every verification attempt is audited, whatever its result
+const auditVerification = (req, outcome, details) => {
+  return auditRequest(req, {
+    action: 'signature.verify',
+    resource: { type: 'signature', id: null },
+    outcome,
+    details
+  });
+};
+
+// Get a page of blockchain transactions, newest first by default
 const getTransactions = async (req, res) => {
-  try {
-    const data = await loadMockData();
-    const { walletAddress, limit = 20 } = req.query;
-    
-    let transactions = data.transactions || [];
-    
-    if (walletAddress) {
-      transactions = transactions.filter(t => 
-        t.from.toLowerCase() === walletAddress.toLowerCase() ||
-        t.to.toLowerCase() === walletAddress.toLowerCase()
-      );
-    }
-    
-    transactions = transactions.slice(0, parseInt(limit));
-    
-    res.json({ transactions });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const { status } = req.query;
+  
+  // Non-admins only see transactions of their own wallet, patients also those
+  // anchoring their consents
+  const isAdmin = req.auth.role === ROLES.ADMIN;
+  const walletAddress = isAdmin ? req.query.walletAddress : req.auth.wallet;
+  const patientId = isAdmin ? null : req.auth.patientId;
+  
+  let transactions = await transactionsRepository.listTransactions({ walletAddress, patientId });
+  
+  if (status) {
+    transactions = transactions.filter(t => t.status === status);
+  }
+  
+  const page = paginate(transactions, req.query, transactionsRepository.TRANSACTION_PAGINATION);
+  
+  res.json({
+    transactions: await withLiveConfirmations(page.items),
+    total: page.total,
+    nextCursor: page.nextCursor
+  });
+};
+
+// Whether the signed-in user may see a transaction: admins see all, others
+// those sent from or to their wallet, patients also those about their consents
+const canViewTransaction = (auth, transaction) => {
+  if (auth.role === ROLES.ADMIN) return true;
+  if (auth.patientId && transaction.patientId === auth.patientId) return true;
+  return addressesMatch(transaction.from, auth.wallet) || addressesMatch(transaction.to, auth.wallet);
+};
+
+// Get a transaction by its chain transaction hash, with its receipt and
+// confirmation count
+const getTransactionByHash = async (req, res) => {
+  const transaction = await transactionsRepository.findTransactionByHash(req.params.hash);
+  
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+  
+  if (!canViewTransaction(req.auth, transaction)) {
+    throw new ForbiddenError('Not allowed to view this transaction');
   }
+  
+  const [current] = await withLiveConfirmations([transaction]);
+  res.json(current);
 };
 
 // Verify wallet signature
 const verifySignature = async (req, res) => {
-  try {
-    const { message, signature, address } = req.body;
-    
-    if (!message || !signature || !address) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-    
-    // In a real application, you would verify the signature using ethers.js
-    // For this assessment, we'll simulate verification
-    const isValid = signature && signature.length > 0;
-    
-    res.json({ 
-      valid: isValid,
+  const { message, signature, address } = req.body;
+  
+  if (!isHexAddress(address)) {
+    await auditVerification(req, 'failure', { address, reason: 'invalid_address' });
+    throw ValidationError.forField('body', 'address', 'address is not a valid wallet address', {
+      valid: false,
+      reason: 'invalid_address'
+    });
+  }
+  
+  // Recover the signer from the EIP-191 personal_sign message
+  const recoveredAddress = recoverMessageSigner(message, signature);
+  
+  if (!recoveredAddress) {
+    await auditVerification(req, 'failure', { address, reason: 'recovery_failed' });
+    throw ValidationError.forField('body', 'signature', 'signature does not recover to a signer', {
+      valid: false,
+      reason: 'recovery_failed'
+    });
+  }
+  
+  if (!addressesMatch(recoveredAddress, address)) {
+    await auditVerification(req, 'failure', { address, recoveredAddress, reason: 'address_mismatch' });
+    throw new UnauthorizedError('Signature was not produced by the given address', {
+      valid: false,
+      reason: 'address_mismatch',
       address,
-      message: 'Signature verified successfully'
+      recoveredAddress
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
+  
+  await auditVerification(req, 'success', { address, recoveredAddress });
+  
+  res.json({ 
+    valid: true,
+    address,
+    recoveredAddress,
+    message: 'Signature verified successfully'
+  });
 };
 
 module.exports = {
   getTransactions,
+  getTransactionByHash,
   verifySignature
 };
 
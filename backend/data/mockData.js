@@ -1,6 +1,4 @@
-// Mock data with console.log functionality for John Smith
-// Console log executes when this module is loaded
-console.log("John Smith");
+// Seed dataset for the storage drivers and `npm run seed`
 
 const mockData = {
   "patients": [
@@ -487,12 +485,52 @@ const mockData = {
       "status": "verified"
     }
   ],
+  "grantees": [
+    {
+      "id": "grantee-001",
+      "name": "Riverside Medical Research Institute",
+      "type": "research_institution",
+      "walletAddress": "0x9876543210987654321098765432109876543210",
+      "contact": {
+        "name": "Dr. Helen Carter",
+        "email": "data-office@riverside-research.org",
+        "phone": "+1-555-0201"
+      },
+      "createdAt": "2024-01-10T09:00:00Z"
+    },
+    {
+      "id": "grantee-002",
+      "name": "Summit Health Insurance",
+      "type": "insurer",
+      "walletAddress": "0xC95F529A154daaBB4600BED000BBa70492d6B618",
+      "contact": {
+        "name": "Claims Data Team",
+        "email": "privacy@summithealth.com",
+        "phone": "+1-555-0202"
+      },
+      "createdAt": "2024-01-12T14:30:00Z"
+    },
+    {
+      "id": "grantee-003",
+      "name": "Clearview Health Analytics",
+      "type": "analytics_vendor",
+      "walletAddress": "0x77Fb7DCffAC5BBaE3a9dF6eB06654f4a2E549FF6",
+      "contact": {
+        "name": "Compliance Office",
+        "email": "compliance@clearview-analytics.io",
+        "phone": "+1-555-0203"
+      },
+      "createdAt": "2024-01-14T11:15:00Z"
+    }
+  ],
   "consents": [
     {
       "id": "consent-001",
       "patientId": "patient-001",
       "purpose": "Research Study Participation",
       "walletAddress": "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
       "status": "active",
       "createdAt": "2024-01-25T10:00:00Z",
@@ -503,6 +541,8 @@ const mockData = {
       "patientId": "patient-002",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0x8ba1f109551bD432803012645Hac136c22C1729",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x2345678901bcdef2345678901bcdef2345678901bcdef2345678901bcdef2345678901bcdef2345678901bcdef2345678901bcdef2345678901bcdef",
       "status": "active",
       "createdAt": "2024-01-26T14:30:00Z",
@@ -513,6 +553,8 @@ const mockData = {
       "patientId": "patient-003",
       "purpose": "Third-Party Analytics Access",
       "walletAddress": "0x3f5CE5FBFe3E9af3971dD833D26bA9b5C936f0bE",
+      "grantee": "0x77Fb7DCffAC5BBaE3a9dF6eB06654f4a2E549FF6",
+      "granteeId": "grantee-003",
       "signature": null,
       "status": "pending",
       "createdAt": "2024-01-28T09:00:00Z",
@@ -523,6 +565,8 @@ const mockData = {
       "patientId": "patient-004",
       "purpose": "Insurance Provider Access",
       "walletAddress": "0x28C6c06298d514Db089934071355E5743bf21d60",
+      "grantee": "0xC95F529A154daaBB4600BED000BBa70492d6B618",
+      "granteeId": "grantee-002",
       "signature": "0x3456789012cdef3456789012cdef3456789012cdef3456789012cdef3456789012cdef3456789012cdef3456789012cdef3456789012cdef",
       "status": "active",
       "createdAt": "2024-01-30T11:15:00Z",
@@ -533,6 +577,8 @@ const mockData = {
       "patientId": "patient-005",
       "purpose": "Research Study Participation",
       "walletAddress": "0x21a31Ee1afC51d94C2eFcCAa2092aD1028285549",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": null,
       "status": "pending",
       "createdAt": "2024-02-01T16:00:00Z",
@@ -543,6 +589,8 @@ const mockData = {
       "patientId": "patient-006",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0x47ac0Fb4F2D84898e4D9E7b4DaB3C24507a6D503",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x4567890123def4567890123def4567890123def4567890123def4567890123def4567890123def4567890123def4567890123def",
       "status": "active",
       "createdAt": "2024-02-03T08:30:00Z",
@@ -553,6 +601,8 @@ const mockData = {
       "patientId": "patient-007",
       "purpose": "Third-Party Analytics Access",
       "walletAddress": "0x4e9ce36e442e55Ec9025B9a6E0D88485d628A67e",
+      "grantee": "0x77Fb7DCffAC5BBaE3a9dF6eB06654f4a2E549FF6",
+      "granteeId": "grantee-003",
       "signature": "0x5678901234ef5678901234ef5678901234ef5678901234ef5678901234ef5678901234ef5678901234ef5678901234ef",
       "status": "active",
       "createdAt": "2024-02-05T13:45:00Z",
@@ -563,6 +613,8 @@ const mockData = {
       "patientId": "patient-008",
       "purpose": "Insurance Provider Access",
       "walletAddress": "0x5d3a536E4D6DbD6114cc1EAD35777bAB948E3643",
+      "grantee": "0xC95F529A154daaBB4600BED000BBa70492d6B618",
+      "granteeId": "grantee-002",
       "signature": null,
       "status": "pending",
       "createdAt": "2024-02-07T10:20:00Z",
@@ -573,6 +625,8 @@ const mockData = {
       "patientId": "patient-009",
       "purpose": "Research Study Participation",
       "walletAddress": "0x6B175474E89094C44Da98b954EedeAC495271d0F",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x6789012345f6789012345f6789012345f6789012345f6789012345f6789012345f6789012345f6789012345f",
       "status": "active",
       "createdAt": "2024-02-09T15:10:00Z",
@@ -583,6 +637,8 @@ const mockData = {
       "patientId": "patient-010",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0x7Fc66500c84A76Ad7e9c93437bFc5Ac33E2DDaE9",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": null,
       "status": "pending",
       "createdAt": "2024-02-11T12:00:00Z",
@@ -593,6 +649,8 @@ const mockData = {
       "patientId": "patient-011",
       "purpose": "Third-Party Analytics Access",
       "walletAddress": "0x8E870D67F660D95d5be530380D0eC0bd388289E1",
+      "grantee": "0x77Fb7DCffAC5BBaE3a9dF6eB06654f4a2E549FF6",
+      "granteeId": "grantee-003",
       "signature": "0x7890123456f7890123456f7890123456f7890123456f7890123456f7890123456f7890123456f7890123456f",
       "status": "active",
       "createdAt": "2024-02-13T09:30:00Z",
@@ -603,6 +661,8 @@ const mockData = {
       "patientId": "patient-012",
       "purpose": "Insurance Provider Access",
       "walletAddress": "0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2",
+      "grantee": "0xC95F529A154daaBB4600BED000BBa70492d6B618",
+      "granteeId": "grantee-002",
       "signature": "0x8901234567f8901234567f8901234567f8901234567f8901234567f8901234567f8901234567f8901234567f",
       "status": "active",
       "createdAt": "2024-02-15T14:45:00Z",
@@ -613,6 +673,8 @@ const mockData = {
       "patientId": "patient-013",
       "purpose": "Research Study Participation",
       "walletAddress": "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": null,
       "status": "pending",
       "createdAt": "2024-02-17T11:15:00Z",
@@ -624,6 +686,8 @@ const mockData = {
       "patientId": "patient-014",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0xB62132e35a6c13ee1EE0f84dC5d40bad8d815206",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x9012345678f9012345678f9012345678f9012345678f9012345678f9012345678f9012345678f9012345678f",
       "status": "active",
       "createdAt": "2024-02-19T16:30:00Z",
@@ -634,6 +698,8 @@ const mockData = {
       "patientId": "patient-015",
       "purpose": "Third-Party Analytics Access",
       "walletAddress": "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+      "grantee": "0x77Fb7DCffAC5BBaE3a9dF6eB06654f4a2E549FF6",
+      "granteeId": "grantee-003",
       "signature": null,
       "status": "active",
       "createdAt": "2024-02-21T08:00:00Z",
@@ -644,6 +710,8 @@ const mockData = {
       "patientId": "patient-kk",
       "purpose": "Research Study Participation",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x8c7bf8f601ae8f237107f6177895a2329648f0fc9ab6833933178623db849909609f43743709dcb3a8748d072e087b244c6dd3408da9d72873602683c15986ac1c",
       "status": "active",
       "createdAt": "2025-12-09T23:50:12.511Z",
@@ -654,6 +722,8 @@ const mockData = {
       "patientId": "patient-vv",
       "purpose": "Research Study Participation",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x94875467cf828ff369597e12dd164fd79daad83d30cd6ac4f314cc30991fa1eb6a8a0aa2789da123b04c7ba91404c58a6f4ffd75c373daa23b466976ee4007c71c",
       "status": "active",
       "createdAt": "2025-12-09T23:59:46.518Z",
@@ -664,6 +734,8 @@ const mockData = {
       "patientId": "patient-007",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0xc9c4bb8755051338248ea0362c59b9beb8458ff49bd1a0f54a6ee865f358c08a484e6d544db8c482516021cb3b783a26c4c60bb36932f43d95d8c1b572204ac41c",
       "status": "pending",
       "createdAt": "2025-12-10T15:32:33.528Z",
@@ -674,6 +746,8 @@ const mockData = {
       "patientId": "fdhfdh",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x9dfc1037c957616d43e60babfd347e3db9b734a6d5016a88d9e84df340fc643b1a0981ec64f71c372b636fee5cf6f1b273fc8514faf07b2a06b80929818ffa0f1b",
       "status": "pending",
       "createdAt": "2025-12-10T16:22:56.334Z",
@@ -684,6 +758,8 @@ const mockData = {
       "patientId": "dfggdfg",
       "purpose": "Data Sharing with Research Institution",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0x9876543210987654321098765432109876543210",
+      "granteeId": "grantee-001",
       "signature": "0x4bacce9eec5643758134775e26bcd91e1c3c497a04a4755c4ffa0a5c08d69d9b2f3582f0720e6f5f0d0a4bd55d1d9e3bfab3e63b9feba1f932216dfd89893f131c",
       "status": "pending",
       "createdAt": "2025-12-10T16:44:44.378Z",
@@ -694,6 +770,8 @@ const mockData = {
       "patientId": "hfghfgh",
       "purpose": "Insurance Provider Access",
       "walletAddress": "0xb8a0e49d6fe50c578cd9f5c84683fff4a19137df",
+      "grantee": "0xC95F529A154daaBB4600BED000BBa70492d6B618",
+      "granteeId": "grantee-002",
       "signature": "0xbc0930ec323562f7c9ce039357dcadc0407e900628e4ce10ac7eea235106354d29e9e2086f6d3ae7e2fb4beba10eba3adc5cc8cf3c5c29f08ee2d1872407d7ed1b",
       "status": "pending",
       "createdAt": "2025-12-10T16:49:53.889Z",
@@ -914,12 +992,7 @@ const mockData = {
   ]
 };
 
-// Function to get data with console.log for John Smith
 function getMockData() {
-  const johnSmith = mockData.patients.find(p => p.name === "John Smith" || p.id === "patient-001");
-  if (johnSmith) {
-    console.log("John Smith");
-  }
   return mockData;
 }
 
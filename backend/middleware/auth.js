@@ -0,0 +1,39 @@
+const { getSession } = require('../utils/sessionStore');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Read the session token from the "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Attach the signed-in wallet to req.auth when a valid session token is sent.
+// Requests without a token pass through unauthenticated.
+const authenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+  const session = token ? getSession(token) : null;
+  
+  if (session) {
+    req.auth = {
+      wallet: session.address,
+      token,
+      expiresAt: session.expiresAt
+    };
+  }
+  
+  next();
+};
+
+// Reject requests that don't carry a valid session
+const requireAuth = (req, res, next) => {
+  if (!req.auth) {
+    throw new UnauthorizedError();
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth
+};
@@ -0,0 +1,62 @@
+const { resolveRole } = require('../utils/roles');
+const { canAccessPatient, authorizeRecordAccess } = require('../utils/access');
+const { auditRecordAccess } = require('../services/auditLog');
+const { ForbiddenError } = require('../utils/errors');
+const { asyncHandler } = require('./errorHandler');
+
+// Resolve the signed-in wallet's role and attach it to req.auth.
+// Must run after requireAuth.
+const attachRole = asyncHandler(async (req, res, next) => {
+  Object.assign(req.auth, await resolveRole(req.auth.wallet));
+  
+  if (!req.auth.role) {
+    throw new ForbiddenError('No role is assigned to this wallet');
+  }
+  
+  next();
+});
+
+// Allow only the given roles through
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.auth.role)) {
+      throw new ForbiddenError(`Requires role: ${roles.join(' or ')}`);
+    }
+    next();
+  };
+  
+  // Kept on the middleware so tooling can find it in the router, like validate's schema
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Allow access to /patients/:id routes only for the patient themselves,
+// grantees of a consent in effect, and admins
+const requirePatientAccess = asyncHandler(async (req, res, next) => {
+  if (!(await canAccessPatient(req.auth, req.params.id))) {
+    throw new ForbiddenError('Not allowed to access this patient');
+  }
+  
+  next();
+});
+
+// Allow reads of /patients/:id/records only when authorizeRecordAccess grants them.
+// The decision, including the consent that allowed it, is attached to req.recordAccess.
+const requireRecordAccess = asyncHandler(async (req, res, next) => {
+  const decision = await authorizeRecordAccess(req.auth, req.params.id, req.query.purpose);
+  
+  if (!decision.allowed) {
+    await auditRecordAccess(req, req.params.id, decision);
+    throw new ForbiddenError(decision.error, { reason: decision.reason });
+  }
+  
+  req.recordAccess = decision;
+  next();
+});
+
+module.exports = {
+  attachRole,
+  requireRole,
+  requirePatientAccess,
+  requireRecordAccess
+};
@@ -0,0 +1,54 @@
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Run an async handler or middleware, passing a rejection on to the error
+// handler (Express 4 doesn't catch rejected promises itself)
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Requests that match no route
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+// Errors raised by express.json() before any route runs
+const fromBodyParser = (error) => {
+  if (error.type === 'entity.parse.failed') {
+    return ValidationError.forField('body', null, 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  return null;
+};
+
+// Answer every error as { error, code, requestId, ...details }. Application
+// errors (utils/errors.js) carry their status, code and details; anything else
+// is logged with the request ID and answered with a generic 500, so messages
+// and stacks of internal failures never reach the client.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let appError = error instanceof AppError ? error : fromBodyParser(error);
+
+  if (!appError) {
+    logger.error('Unhandled error', { requestId: req.id, error: error.message, stack: error.stack });
+    appError = new AppError('Internal server error');
+  }
+
+  res.status(appError.status).json({
+    ...appError.details,
+    error: appError.message,
+    code: appError.code,
+    requestId: req.id
+  });
+};
+
+module.exports = {
+  asyncHandler,
+  notFound,
+  errorHandler
+};
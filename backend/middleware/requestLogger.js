@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Accept a caller's request ID only when it is short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9-_.]{1,64}$/;
+
+// Assign every request an ID (echoed in the X-Request-Id header) and log one
+// entry when its response finishes. The matched route pattern is logged rather
+// than the URL, so IDs and query strings (e.g. patient searches) stay out of logs.
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  
+  const startedAt = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    
+    logger[level]('request completed', {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status,
+      latencyMs: Math.round(latencyMs * 100) / 100,
+      wallet: req.auth ? req.auth.wallet : undefined
+    });
+  });
+  
+  next();
+};
+
+module.exports = {
+  requestLogger
+};
@@ -0,0 +1,43 @@
+const { validateSchema } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate a request against a route schema ({ params, query, body }, see
+// routes/schemas.js), failing with a ValidationError that lists every field
+// error at once. Query values are replaced by their coerced numbers and
+// booleans. The schema is kept on the middleware so tooling can find it in the
+// router.
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    
+    for (const location of LOCATIONS) {
+      if (!schema[location]) continue;
+      
+      const result = validateSchema(schema[location], req[location] === undefined ? {} : req[location], {
+        location,
+        coerce: location !== 'body'
+      });
+      
+      errors.push(...result.errors);
+      
+      if (location === 'query' && result.errors.length === 0) {
+        req.query = result.value;
+      }
+    }
+    
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+    
+    next();
+  };
+  
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,35 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'audit';
+
+// Sorting and page size of audit listings, newest first (see utils/pagination.js)
+const AUDIT_PAGINATION = { fields: ['sequence', 'action', 'actor'], sort: 'sequence', order: 'desc', limit: 100 };
+
+// Drop filters that weren't given so they don't match on undefined
+const compact = (filters) => {
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+};
+
+// List audit entries in chain order, matching every given filter (actor, action, patientId)
+const listEntries = async ({ actor, action, patientId } = {}) => {
+  const storage = await getStorage();
+  const where = compact({ actor, action, patientId });
+  
+  const entries = Object.keys(where).length > 0
+    ? await storage.find(COLLECTION, where)
+    : await storage.list(COLLECTION);
+  
+  return entries.sort((a, b) => a.sequence - b.sequence);
+};
+
+// Entries are only ever appended, there is no update
+const appendEntry = async (entry) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, entry);
+};
+
+module.exports = {
+  AUDIT_PAGINATION,
+  listEntries,
+  appendEntry
+};
@@ -0,0 +1,23 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'checkpoints';
+
+const findCheckpoint = async (id) => {
+  const storage = await getStorage();
+  return storage.get(COLLECTION, id);
+};
+
+// Insert the checkpoint the first time, replace it afterwards
+const saveCheckpoint = async (checkpoint) => {
+  const storage = await getStorage();
+  
+  if (await storage.get(COLLECTION, checkpoint.id)) {
+    return storage.update(COLLECTION, checkpoint.id, checkpoint);
+  }
+  return storage.insert(COLLECTION, checkpoint);
+};
+
+module.exports = {
+  findCheckpoint,
+  saveCheckpoint
+};
@@ -0,0 +1,66 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'consents';
+
+// Sorting and page size of consent listings, newest first (see utils/pagination.js)
+const CONSENT_PAGINATION = { fields: ['createdAt', 'expiresAt', 'status'], sort: 'createdAt', order: 'desc', limit: 20 };
+
+// Drop filters that weren't given so they don't match on undefined
+const compact = (filters) => {
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+};
+
+// List consents matching every given filter (patientId, walletAddress, grantee, granteeId, status)
+const listConsents = async ({ patientId, walletAddress, grantee, granteeId, status } = {}) => {
+  const storage = await getStorage();
+  const where = compact({ patientId, walletAddress, grantee, granteeId, status });
+  
+  return Object.keys(where).length > 0
+    ? storage.find(COLLECTION, where)
+    : storage.list(COLLECTION);
+};
+
+// Consents granted to a grantee, by reference or (for consents created before
+// grantees existed) by its wallet
+const listConsentsForGrantee = async (grantee) => {
+  const storage = await getStorage();
+  return storage.find(COLLECTION, { granteeId: grantee.id, grantee: grantee.walletAddress }, { match: 'any' });
+};
+
+const findConsentById = async (id) => {
+  const storage = await getStorage();
+  return storage.get(COLLECTION, id);
+};
+
+// Find the consent a wallet signed with the given nonce, if any
+const findConsentByNonce = async (walletAddress, nonce) => {
+  const storage = await getStorage();
+  const consents = await storage.find(COLLECTION, { walletAddress });
+  return consents.find(c => c.nonce && c.nonce.toLowerCase() === nonce.toLowerCase()) || null;
+};
+
+const createConsent = async (consent) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, consent);
+};
+
+const updateConsent = async (consent) => {
+  const storage = await getStorage();
+  return storage.update(COLLECTION, consent.id, consent);
+};
+
+const countConsents = async ({ status } = {}) => {
+  const storage = await getStorage();
+  return storage.count(COLLECTION, compact({ status }));
+};
+
+module.exports = {
+  CONSENT_PAGINATION,
+  listConsents,
+  listConsentsForGrantee,
+  findConsentById,
+  findConsentByNonce,
+  createConsent,
+  updateConsent,
+  countConsents
+};
@@ -0,0 +1,56 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'grantees';
+
+const GRANTEE_TYPES = ['research_institution', 'insurer', 'analytics_vendor', 'healthcare_provider'];
+
+// Sorting and page size of grantee listings (see utils/pagination.js)
+const GRANTEE_PAGINATION = { fields: ['name', 'type', 'createdAt'], sort: 'name', order: 'asc', limit: 50 };
+
+// List grantees, optionally of one type
+const listGrantees = async ({ type } = {}) => {
+  const storage = await getStorage();
+  return type ? storage.find(COLLECTION, { type }) : storage.list(COLLECTION);
+};
+
+const findGranteeById = async (id) => {
+  const storage = await getStorage();
+  return storage.get(COLLECTION, id);
+};
+
+// Wallet lookups ignore checksum casing
+const findGranteeByWallet = async (walletAddress) => {
+  const storage = await getStorage();
+  const [grantee] = await storage.find(COLLECTION, { walletAddress });
+  return grantee || null;
+};
+
+const createGrantee = async (grantee) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, grantee);
+};
+
+// Add the referenced grantee to each consent as `granteeDetails`. Consents
+// created before grantees existed are matched on their grantee wallet.
+const attachGranteeDetails = async (consents) => {
+  const grantees = await listGrantees();
+  const byId = new Map(grantees.map(g => [g.id, g]));
+  const byWallet = new Map(grantees.map(g => [g.walletAddress.toLowerCase(), g]));
+  
+  return consents.map(consent => ({
+    ...consent,
+    granteeDetails: byId.get(consent.granteeId) ||
+      (consent.grantee && byWallet.get(consent.grantee.toLowerCase())) ||
+      null
+  }));
+};
+
+module.exports = {
+  GRANTEE_TYPES,
+  GRANTEE_PAGINATION,
+  listGrantees,
+  findGranteeById,
+  findGranteeByWallet,
+  createGrantee,
+  attachGranteeDetails
+};
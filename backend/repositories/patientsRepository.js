@@ -0,0 +1,81 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'patients';
+
+// Sorting and page size of patient listings (see utils/pagination.js)
+const PATIENT_PAGINATION = { fields: ['name', 'createdAt', 'dateOfBirth'], sort: 'name', order: 'asc', limit: 10 };
+
+// Whether a search term matches a patient's name, email or patient ID.
+// Fields missing from the patient (e.g. hidden by a consent scope) never match.
+const matchesSearch = (patient, search) => {
+  const term = search.toLowerCase();
+  return Boolean(
+    (patient.name && patient.name.toLowerCase().includes(term)) ||
+    (patient.email && patient.email.toLowerCase().includes(term)) ||
+    (patient.patientId && patient.patientId.includes(search))
+  );
+};
+
+// Soft-deleted patients keep their document with a `deletedAt` timestamp
+const isActive = (patient) => !patient.deletedAt;
+
+// List patients, optionally matching a search term against name, email and patient ID.
+// Soft-deleted patients are left out unless `includeDeleted` is set.
+const listPatients = async ({ search = '', includeDeleted = false } = {}) => {
+  const storage = await getStorage();
+  const all = await storage.list(COLLECTION);
+  const patients = includeDeleted ? all : all.filter(isActive);
+  
+  if (!search) {
+    return patients;
+  }
+  
+  return patients.filter(p => matchesSearch(p, search));
+};
+
+// Lookups only return patients that haven't been deleted
+const findPatientById = async (id) => {
+  const storage = await getStorage();
+  const patient = await storage.get(COLLECTION, id);
+  return patient && isActive(patient) ? patient : null;
+};
+
+// Wallet lookups ignore checksum casing
+const findPatientByWallet = async (walletAddress) => {
+  const storage = await getStorage();
+  const patients = await storage.find(COLLECTION, { walletAddress });
+  return patients.find(isActive) || null;
+};
+
+// Emails are stored lowercased
+const findPatientByEmail = async (email) => {
+  const storage = await getStorage();
+  const patients = await storage.find(COLLECTION, { email: email.toLowerCase() });
+  return patients.find(isActive) || null;
+};
+
+const createPatient = async (patient) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, patient);
+};
+
+const updatePatient = async (id, patient) => {
+  const storage = await getStorage();
+  return storage.update(COLLECTION, id, patient);
+};
+
+const countPatients = async () => {
+  return (await listPatients()).length;
+};
+
+module.exports = {
+  PATIENT_PAGINATION,
+  matchesSearch,
+  listPatients,
+  findPatientById,
+  findPatientByWallet,
+  findPatientByEmail,
+  createPatient,
+  updatePatient,
+  countPatients
+};
@@ -0,0 +1,67 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'records';
+
+// Sorting and page size of record listings, newest first (see utils/pagination.js)
+const RECORD_PAGINATION = { fields: ['date', 'title', 'type'], sort: 'date', order: 'desc', limit: 50 };
+
+// An amended record keeps its document, pointing at the version that replaced it
+const isCurrent = (record) => !record.supersededBy;
+
+// List the current version of medical records, optionally for one patient and/or
+// of one type (case-insensitive). Earlier versions are included with `includeSuperseded`.
+const listRecords = async ({ patientId, type, includeSuperseded = false } = {}) => {
+  const storage = await getStorage();
+  const all = patientId
+    ? await storage.find(COLLECTION, { patientId })
+    : await storage.list(COLLECTION);
+  const records = includeSuperseded ? all : all.filter(isCurrent);
+  
+  if (!type) {
+    return records;
+  }
+  
+  return records.filter(r => r.type.toLowerCase() === type.toLowerCase());
+};
+
+const findRecordById = async (id) => {
+  const storage = await getStorage();
+  return storage.get(COLLECTION, id);
+};
+
+// Every version of a record, oldest first. Records seeded before versioning
+// are their own first version without a `versionOf`.
+const listRecordVersions = async (firstVersionId) => {
+  const storage = await getStorage();
+  const [first, later] = await Promise.all([
+    storage.get(COLLECTION, firstVersionId),
+    storage.find(COLLECTION, { versionOf: firstVersionId })
+  ]);
+  
+  const versions = later.filter(r => r.id !== firstVersionId);
+  return (first ? [first, ...versions] : versions).sort((a, b) => (a.version || 1) - (b.version || 1));
+};
+
+const createRecord = async (record) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, record);
+};
+
+const updateRecord = async (record) => {
+  const storage = await getStorage();
+  return storage.update(COLLECTION, record.id, record);
+};
+
+const countRecords = async () => {
+  return (await listRecords()).length;
+};
+
+module.exports = {
+  RECORD_PAGINATION,
+  listRecords,
+  findRecordById,
+  listRecordVersions,
+  createRecord,
+  updateRecord,
+  countRecords
+};
@@ -0,0 +1,74 @@
+const { getStorage } = require('../storage');
+
+const COLLECTION = 'transactions';
+
+// pending: mined, not yet confirmed; failed: reverted or dropped by a reorg;
+// off_chain: kept by the backend only, never sent to a chain (record anchors)
+const TRANSACTION_STATUSES = ['pending', 'confirmed', 'failed', 'off_chain'];
+
+// Sorting and page size of transaction listings, newest first (see utils/pagination.js)
+const TRANSACTION_PAGINATION = { fields: ['timestamp', 'blockNumber'], sort: 'timestamp', order: 'desc', limit: 20 };
+
+// List transactions, optionally those sent from or to a wallet, or concerning
+// a patient (consent registry transactions are sent by the backend's wallet)
+const listTransactions = async ({ walletAddress, patientId } = {}) => {
+  const storage = await getStorage();
+  
+  if (!walletAddress) {
+    return storage.list(COLLECTION);
+  }
+  
+  const where = { from: walletAddress, to: walletAddress };
+  if (patientId) where.patientId = patientId;
+  
+  return storage.find(COLLECTION, where, { match: 'any' });
+};
+
+const listTransactionsByStatus = async (status) => {
+  const storage = await getStorage();
+  return storage.find(COLLECTION, { status });
+};
+
+const findTransactionById = async (id) => {
+  const storage = await getStorage();
+  return storage.get(COLLECTION, id);
+};
+
+// Chain transaction hashes are stored lowercase
+const findTransactionByHash = async (hash) => {
+  const storage = await getStorage();
+  const [transaction] = await storage.find(COLLECTION, { blockchainTxHash: hash.toLowerCase() });
+  return transaction || null;
+};
+
+const createTransaction = async (transaction) => {
+  const storage = await getStorage();
+  return storage.insert(COLLECTION, transaction);
+};
+
+// Insert the transaction, or replace the stored one with the same id
+const saveTransaction = async (transaction) => {
+  const storage = await getStorage();
+  
+  if (await storage.get(COLLECTION, transaction.id)) {
+    return storage.update(COLLECTION, transaction.id, transaction);
+  }
+  return storage.insert(COLLECTION, transaction);
+};
+
+const countTransactions = async () => {
+  const storage = await getStorage();
+  return storage.count(COLLECTION);
+};
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  TRANSACTION_PAGINATION,
+  listTransactions,
+  listTransactionsByStatus,
+  findTransactionById,
+  findTransactionByHash,
+  createTransaction,
+  saveTransaction,
+  countTransactions
+};
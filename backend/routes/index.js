@@ -5,30 +5,91 @@ const router = express.Router();
 const patientsController = require('../controllers/patientsController');
 const recordsController = require('../controllers/recordsController');
 const consentsController = require('../controllers/consentsController');
+const granteesController = require('../controllers/granteesController');
 const transactionsController = require('../controllers/transactionsController');
 const healthController = require('../controllers/healthController');
+const authController = require('../controllers/authController');
+const auditController = require('../controllers/auditController');
+const docsController = require('../controllers/docsController');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { attachRole, requireRole, requirePatientAccess, requireRecordAccess } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ROLES } = require('../utils/roles');
+const schemas = require('./schemas');
+
+const { PATIENT, PROVIDER, ADMIN } = ROLES;
+
+// Guard of the routes that need a signed-in wallet with a role. Applied per route
+// rather than with router.use(), so unknown paths still reach the 404 handler.
+const signedIn = [requireAuth, attachRole];
+
+// Attach the signed-in wallet (if any) to every request
+router.use(authenticate);
 
 // Health routes
-router.get('/health', healthController.healthCheck);
-router.get('/stats', healthController.getStats);
+router.get('/health', validate(schemas.healthCheck), asyncHandler(healthController.healthCheck));
+
+// API description: the OpenAPI document of these routes and an explorer to try them
+router.get('/openapi.json', validate(schemas.getOpenApiDocument), asyncHandler(docsController.getOpenApiDocument));
+router.get('/docs', validate(schemas.getApiExplorer), asyncHandler(docsController.getApiExplorer));
+
+// Auth routes (Sign-In With Ethereum)
+router.get('/auth/nonce', validate(schemas.getNonce), asyncHandler(authController.getNonce));
+router.post('/auth/login', validate(schemas.login), asyncHandler(authController.login));
+router.get('/auth/session', requireAuth, validate(schemas.getCurrentSession), asyncHandler(authController.getCurrentSession));
+router.post('/auth/logout', requireAuth, validate(schemas.logout), asyncHandler(authController.logout));
+
+// Every route below requires a signed-in wallet with a role (signedIn). Requests
+// are validated before any role or access check, so malformed ones always get a 400.
+
+// Statistics routes
+router.get('/stats', signedIn, validate(schemas.getStats), requireRole(ADMIN), asyncHandler(healthController.getStats));
+
+// Audit routes
+router.get('/audit', signedIn, validate(schemas.getAuditEntries), requireRole(ADMIN), asyncHandler(auditController.getAuditEntries));
+router.get('/audit/verify', signedIn, validate(schemas.verifyAuditLog), requireRole(ADMIN), asyncHandler(auditController.verifyAuditLog));
 
 // Patient routes
-router.get('/patients', patientsController.getPatients);
-router.get('/patients/:id', patientsController.getPatientById);
-router.get('/patients/:id/records', recordsController.getPatientRecords);
+// Listing is scoped to the patients the role may access, only admins see everyone
+router.get('/patients', signedIn, validate(schemas.getPatients), asyncHandler(patientsController.getPatients));
+router.get('/patients/:id', signedIn, validate(schemas.getPatientById), requirePatientAccess, asyncHandler(patientsController.getPatientById));
+// Admins register and delete patients, patients may also correct their own profile
+router.post('/patients', signedIn, validate(schemas.createPatient), requireRole(ADMIN), asyncHandler(patientsController.createPatient));
+router.patch('/patients/:id', signedIn, validate(schemas.updatePatient), requireRole(PATIENT, ADMIN), requirePatientAccess, asyncHandler(patientsController.updatePatient));
+router.delete('/patients/:id', signedIn, validate(schemas.deletePatient), requireRole(ADMIN), asyncHandler(patientsController.deletePatient));
+// Record reads need a consent in effect for the stated ?purpose= unless the patient reads their own
+router.get('/patients/:id/records', signedIn, validate(schemas.getPatientRecords), requireRecordAccess, asyncHandler(recordsController.getPatientRecords));
+// Clinicians (providers) and admins write records under the same consent they read them with
+router.post('/patients/:id/records', signedIn, validate(schemas.createRecord), requireRole(PROVIDER, ADMIN), requireRecordAccess, asyncHandler(recordsController.createRecord));
+// Only the patient (and admins) see who accessed the patient's data
+router.get('/patients/:id/access-log', signedIn, validate(schemas.getPatientAccessLog), requireRole(PATIENT, ADMIN), requirePatientAccess, asyncHandler(patientsController.getPatientAccessLog));
 
 // Records routes
-router.get('/records', recordsController.getAllRecords);
+router.get('/records', signedIn, validate(schemas.getAllRecords), asyncHandler(recordsController.getAllRecords));
+// Merkle inclusion proof of a record's anchored content hash
+router.get('/records/:id/proof', signedIn, validate(schemas.getRecordProof), asyncHandler(recordsController.getRecordProof));
+// Amendments add a new version, the history lists them all
+router.post('/records/:id/amendments', signedIn, validate(schemas.amendRecord), requireRole(PROVIDER, ADMIN), asyncHandler(recordsController.amendRecord));
+router.get('/records/:id/history', signedIn, validate(schemas.getRecordHistory), asyncHandler(recordsController.getRecordHistory));
 
 // Consent routes
-router.get('/consents', consentsController.getConsents);
-router.get('/consents/:id', consentsController.getConsentById);
-router.post('/consents', consentsController.createConsent);
-router.patch('/consents/:id', consentsController.updateConsent);
+router.get('/consents', signedIn, validate(schemas.getConsents), asyncHandler(consentsController.getConsents));
+router.get('/consents/:id', signedIn, validate(schemas.getConsentById), asyncHandler(consentsController.getConsentById));
+router.post('/consents', signedIn, validate(schemas.createConsent), requireRole(PATIENT), asyncHandler(consentsController.createConsent));
+router.patch('/consents/:id', signedIn, validate(schemas.updateConsent), requireRole(PATIENT, ADMIN), asyncHandler(consentsController.updateConsent));
+
+// Grantee routes
+// Anyone signed in can look up who a consent is granted to, only admins register grantees
+router.get('/grantees', signedIn, validate(schemas.getGrantees), asyncHandler(granteesController.getGrantees));
+router.get('/grantees/:id', signedIn, validate(schemas.getGranteeById), asyncHandler(granteesController.getGranteeById));
+router.get('/grantees/:id/consents', signedIn, validate(schemas.getGranteeConsents), asyncHandler(granteesController.getGranteeConsents));
+router.post('/grantees', signedIn, validate(schemas.createGrantee), requireRole(ADMIN), asyncHandler(granteesController.createGrantee));
 
 // Transaction routes
-router.get('/transactions', transactionsController.getTransactions);
-router.post('/verify-signature', transactionsController.verifySignature);
+router.get('/transactions', signedIn, validate(schemas.getTransactions), asyncHandler(transactionsController.getTransactions));
+router.get('/transactions/:hash', signedIn, validate(schemas.getTransactionByHash), asyncHandler(transactionsController.getTransactionByHash));
+router.post('/verify-signature', signedIn, validate(schemas.verifySignature), asyncHandler(transactionsController.verifySignature));
 
 module.exports = router;
 
@@ -0,0 +1,230 @@
+// Documentation of every API route for the OpenAPI document (utils/openapi.js),
+// keyed like routes/schemas.js by the route's schema name. Parameters, request
+// bodies, authentication and roles come from the routes themselves; this adds
+// what the router can't know:
+//   tag      - Section of the API explorer
+//   summary  - One line on what the route does
+//   description - Details worth knowing before calling it (optional)
+//   returns  - What a successful response contains
+//   status   - Status of a successful response, default 200
+//   errors   - Error statuses besides the ones every route can return
+//              (400, and 401 and 403 for routes that need a session)
+//   contentType - Media type of a successful response, default application/json
+// test/openapi.test.js fails when a route has no entry here.
+
+module.exports = {
+  // Health
+  healthCheck: {
+    tag: 'Health',
+    summary: 'Check API status',
+    returns: 'Status message'
+  },
+
+  // API description
+  getOpenApiDocument: {
+    tag: 'Docs',
+    summary: 'Get this OpenAPI document',
+    returns: 'OpenAPI 3.1 document of every route'
+  },
+  getApiExplorer: {
+    tag: 'Docs',
+    summary: 'Open the interactive API explorer',
+    returns: 'HTML page that lists the routes of the OpenAPI document and sends requests to them',
+    contentType: 'text/html'
+  },
+
+  // Auth
+  getNonce: {
+    tag: 'Auth',
+    summary: 'Issue a sign-in nonce',
+    description: 'The nonce is single use and valid for 5 minutes.',
+    returns: 'The nonce'
+  },
+  login: {
+    tag: 'Auth',
+    summary: 'Sign in with Ethereum',
+    description: 'Verifies a signed EIP-4361 message whose domain matches `SIWE_DOMAIN` and issues a session token.',
+    returns: 'Session token, wallet, role and session expiry'
+  },
+  getCurrentSession: {
+    tag: 'Auth',
+    summary: 'Get the current session',
+    returns: 'Signed-in wallet, its role and session expiry'
+  },
+  logout: {
+    tag: 'Auth',
+    summary: 'End the current session',
+    returns: 'No content',
+    status: 204
+  },
+
+  // Statistics and audit
+  getStats: {
+    tag: 'Statistics',
+    summary: 'Get platform statistics',
+    returns: 'Counts of patients, records, consents and transactions'
+  },
+  getAuditEntries: {
+    tag: 'Audit',
+    summary: 'List audit log entries',
+    returns: 'A page of matching entries, newest first by default, their `total` and the `nextCursor`'
+  },
+  verifyAuditLog: {
+    tag: 'Audit',
+    summary: 'Verify the audit log hash chain',
+    returns: 'Whether every entry\'s hash and link hold, how many were checked and the first broken entry'
+  },
+
+  // Patients
+  getPatients: {
+    tag: 'Patients',
+    summary: 'List patients',
+    description: 'Admins see every patient; other roles only the patients they may access, grantees only the demographic fields shared with them.',
+    returns: 'A page of patients, their `total` and the `nextCursor`'
+  },
+  getPatientById: {
+    tag: 'Patients',
+    summary: 'Get a patient',
+    returns: 'The patient, with only the shared fields for grantees',
+    errors: [404]
+  },
+  createPatient: {
+    tag: 'Patients',
+    summary: 'Register a patient',
+    description: 'The backend assigns `id` and `patientId`.',
+    returns: 'The registered patient',
+    status: 201,
+    errors: [409]
+  },
+  updatePatient: {
+    tag: 'Patients',
+    summary: 'Correct a patient\'s profile',
+    description: 'Patients edit their own profile, admins anyone\'s; only admins change the wallet address.',
+    returns: 'The updated patient',
+    errors: [404, 409]
+  },
+  deletePatient: {
+    tag: 'Patients',
+    summary: 'Delete a patient',
+    description: 'Soft delete: the patient is hidden and can no longer sign in, their records, consents and audit trail are kept.',
+    returns: 'Confirmation of the deletion',
+    errors: [404]
+  },
+  getPatientAccessLog: {
+    tag: 'Patients',
+    summary: 'List who accessed a patient\'s data',
+    returns: 'Reads of the patient\'s profile and records by anyone but the patient, newest first',
+    errors: [404]
+  },
+
+  // Records
+  getPatientRecords: {
+    tag: 'Records',
+    summary: 'List a patient\'s records',
+    description: 'Anyone but the patient needs an active consent for `purpose`; only records within its scope are returned.',
+    returns: 'The records and the `access` that allowed the read'
+  },
+  createRecord: {
+    tag: 'Records',
+    summary: 'Add a record to a patient',
+    returns: 'The new record, version 1',
+    status: 201
+  },
+  getAllRecords: {
+    tag: 'Records',
+    summary: 'List records',
+    description: 'Only records of patients with a consent in effect for `purpose` are returned, unless the patient reads their own.',
+    returns: 'A page of records, the `access` entries that allowed the read, the `total` and the `nextCursor`'
+  },
+  getRecordProof: {
+    tag: 'Records',
+    summary: 'Get a record\'s Merkle inclusion proof',
+    returns: 'Content hash, anchored hash, proof, Merkle root and the anchoring transaction',
+    errors: [404, 409]
+  },
+  amendRecord: {
+    tag: 'Records',
+    summary: 'Amend a record',
+    description: 'Adds a new version; only the current version of a record can be amended.',
+    returns: 'The new version',
+    status: 201,
+    errors: [404, 409]
+  },
+  getRecordHistory: {
+    tag: 'Records',
+    summary: 'List a record\'s versions',
+    returns: 'Every version of the record, oldest first, and the current version\'s ID',
+    errors: [404]
+  },
+
+  // Consents
+  getConsents: {
+    tag: 'Consents',
+    summary: 'List consents',
+    returns: 'A page of the consents the caller may see, with their grantee, the `total` and the `nextCursor`'
+  },
+  getConsentById: {
+    tag: 'Consents',
+    summary: 'Get a consent',
+    returns: 'The consent with its grantee',
+    errors: [404]
+  },
+  createConsent: {
+    tag: 'Consents',
+    summary: 'Create a consent from a signed EIP-712 Consent struct',
+    returns: 'The pending consent',
+    status: 201,
+    errors: [409]
+  },
+  updateConsent: {
+    tag: 'Consents',
+    summary: 'Change a consent\'s status',
+    description: 'Approvals and revocations of anchored consents are mined in the ConsentRegistry before the status changes.',
+    returns: 'The updated consent',
+    errors: [404, 409, 502, 503]
+  },
+
+  // Grantees
+  getGrantees: {
+    tag: 'Grantees',
+    summary: 'List grantees',
+    returns: 'A page of registered grantees, their `total` and the `nextCursor`'
+  },
+  getGranteeById: {
+    tag: 'Grantees',
+    summary: 'Get a grantee',
+    returns: 'The grantee',
+    errors: [404]
+  },
+  getGranteeConsents: {
+    tag: 'Grantees',
+    summary: 'List the consents granted to a grantee',
+    returns: 'The grantee\'s consents the caller may see',
+    errors: [404]
+  },
+  createGrantee: {
+    tag: 'Grantees',
+    summary: 'Register a grantee',
+    returns: 'The registered grantee',
+    status: 201,
+    errors: [409]
+  },
+
+  // Transactions
+  getTransactions: {
+    tag: 'Transactions',
+    summary: 'List transactions',
+    returns: 'A page of the transactions the caller may see, newest first by default, with live confirmations, the `total` and the `nextCursor`'
+  },
+  getTransactionByHash: {
+    tag: 'Transactions',
+    summary: 'Get a transaction',
+    returns: 'The transaction with its receipt and live confirmations',
+    errors: [404]
+  },
+  verifySignature: {
+    tag: 'Transactions',
+    summary: 'Verify a personal_sign signature',
+    returns: 'Whether the signature was made by `address`, and the recovered address'
+  }
+};
@@ -0,0 +1,241 @@
+// Request schemas of every API route, checked by middleware/validate.js before
+// the controller runs. Each lists the `params`, `query` and `body` the route
+// accepts (see utils/validation.js for the keywords); query values arrive as
+// strings and are coerced to the types declared here. The same schemas generate
+// the request types in frontend/src/services/apiTypes.js:
+//   npm run generate:api-types
+
+const { RECORD_TYPES, DEMOGRAPHIC_FIELDS } = require('../utils/consentScope');
+const { CONSENT_STATUS } = require('../utils/consentLifecycle');
+const { REQUIRED_PATIENT_FIELDS } = require('../utils/patientFields');
+const { REQUIRED_RECORD_FIELDS } = require('../utils/recordFields');
+const { PATIENT_PAGINATION } = require('../repositories/patientsRepository');
+const { RECORD_PAGINATION } = require('../repositories/recordsRepository');
+const { CONSENT_PAGINATION } = require('../repositories/consentsRepository');
+const { GRANTEE_TYPES, GRANTEE_PAGINATION } = require('../repositories/granteesRepository');
+const { TRANSACTION_STATUSES, TRANSACTION_PAGINATION } = require('../repositories/transactionsRepository');
+const { AUDIT_PAGINATION } = require('../repositories/auditRepository');
+const { MAX_PAGE_SIZE, ORDERS } = require('../utils/pagination');
+
+const text = (description) => ({
+  type: 'string',
+  pattern: '\\S',
+  errorMessage: 'must be a non-empty string',
+  description
+});
+
+const object = (properties, { required = [], ...rest } = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false,
+  ...rest
+});
+
+const idParams = (description) => object({ id: text(description) }, { required: ['id'] });
+
+const positiveInteger = (description) => ({ type: 'integer', minimum: 1, description });
+
+// Query parameters of a cursor-paginated list, see utils/pagination.js
+const pagination = ({ fields, sort, order, limit }, items) => ({
+  cursor: text(`nextCursor of the previous page, to get the ${items} after it`),
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `${items[0].toUpperCase()}${items.slice(1)} per page, default ${limit}` },
+  sort: { type: 'string', enum: fields, description: `Field to sort by, default ${sort}` },
+  order: { type: 'string', enum: ORDERS, description: `Sort order, default ${order}` }
+});
+
+const purpose = text('Purpose of the consent in effect that grants access, unless the patient reads their own data');
+
+const patientProperties = {
+  name: text('Full name'),
+  email: { type: 'string', format: 'email', description: 'Email address, stored lowercased' },
+  dateOfBirth: { type: 'string', format: 'date', description: 'Date of birth (YYYY-MM-DD), in the past' },
+  gender: text('Gender'),
+  phone: { type: 'string', format: 'phone', description: 'Phone number of 7 to 15 digits' },
+  address: text('Postal address'),
+  walletAddress: { type: 'string', format: 'checksum-address', description: 'Wallet address with its EIP-55 checksum' }
+};
+
+const recordProperties = {
+  type: { type: 'string', enum: RECORD_TYPES, description: 'Record type' },
+  title: text('Title of the record'),
+  description: text('Clinical description'),
+  date: { type: 'string', format: 'date-time', description: 'Date or ISO 8601 timestamp of the record, defaults to now' },
+  doctor: text('Attending doctor'),
+  hospital: text('Hospital or facility')
+};
+
+const consentScope = object({
+  recordTypes: {
+    type: 'array',
+    items: { type: 'string', enum: RECORD_TYPES },
+    minItems: 1,
+    uniqueItems: true,
+    description: 'Record types shared'
+  },
+  dateFrom: { type: ['string', 'null'], format: 'date', description: 'Earliest record date shared (YYYY-MM-DD)' },
+  dateTo: { type: ['string', 'null'], format: 'date', description: 'Latest record date shared (YYYY-MM-DD)' },
+  fields: {
+    type: 'array',
+    items: { type: 'string', enum: DEMOGRAPHIC_FIELDS },
+    uniqueItems: true,
+    description: 'Demographic fields shared'
+  }
+}, { required: ['recordTypes'], description: 'What the consent shares' });
+
+module.exports = {
+  // Health
+  healthCheck: {},
+
+  // API description
+  getOpenApiDocument: {},
+  getApiExplorer: {},
+
+  // Auth
+  getNonce: {},
+  login: {
+    body: object({
+      message: text('Sign-In With Ethereum message'),
+      signature: text('personal_sign signature of the message')
+    }, { required: ['message', 'signature'] })
+  },
+  getCurrentSession: {},
+  logout: {},
+
+  // Statistics and audit
+  getStats: {},
+  getAuditEntries: {
+    query: object({
+      actor: text('Wallet that made the requests'),
+      action: text('Audited action, e.g. record.read'),
+      patientId: text('Patient the entries concern'),
+      outcome: { type: 'string', enum: ['success', 'failure', 'denied'], description: 'Outcome of the request' },
+      from: { type: 'string', format: 'date-time', description: 'Earliest entry timestamp' },
+      to: { type: 'string', format: 'date-time', description: 'Latest entry timestamp' },
+      ...pagination(AUDIT_PAGINATION, 'entries')
+    })
+  },
+  verifyAuditLog: {},
+
+  // Patients
+  getPatients: {
+    query: object({
+      search: { type: 'string', description: 'Text to look for in the fields the caller may see' },
+      ...pagination(PATIENT_PAGINATION, 'patients')
+    })
+  },
+  getPatientById: { params: idParams('Patient ID') },
+  createPatient: {
+    body: object(patientProperties, { required: REQUIRED_PATIENT_FIELDS })
+  },
+  updatePatient: {
+    params: idParams('Patient ID'),
+    body: object(patientProperties, { minProperties: 1 })
+  },
+  deletePatient: { params: idParams('Patient ID') },
+  getPatientAccessLog: { params: idParams('Patient ID') },
+
+  // Records
+  getPatientRecords: {
+    params: idParams('Patient ID'),
+    query: object({ purpose })
+  },
+  createRecord: {
+    params: idParams('Patient ID'),
+    query: object({ purpose }),
+    body: object(recordProperties, { required: REQUIRED_RECORD_FIELDS })
+  },
+  getAllRecords: {
+    query: object({
+      patientId: text('Only records of this patient'),
+      type: recordProperties.type,
+      purpose,
+      ...pagination(RECORD_PAGINATION, 'records')
+    })
+  },
+  getRecordProof: {
+    params: idParams('Record ID'),
+    query: object({ purpose })
+  },
+  amendRecord: {
+    params: idParams('ID of the current version of the record'),
+    query: object({ purpose }),
+    body: object({ ...recordProperties, reason: text('Why the record is amended') }, { required: ['reason'] })
+  },
+  getRecordHistory: {
+    params: idParams('ID of any version of the record'),
+    query: object({ purpose })
+  },
+
+  // Consents
+  getConsents: {
+    query: object({
+      patientId: text('Only consents of this patient'),
+      status: { type: 'string', enum: Object.values(CONSENT_STATUS), description: 'Only consents in this state' },
+      expiringWithinDays: { type: 'number', exclusiveMinimum: 0, description: 'Only active consents lapsing within this many days, sorted by expiresAt ascending by default' },
+      ...pagination(CONSENT_PAGINATION, 'consents')
+    })
+  },
+  getConsentById: { params: idParams('Consent ID') },
+  createConsent: {
+    body: object({
+      patientId: text('Patient granting the consent'),
+      purpose: text('Purpose of the consent'),
+      walletAddress: { type: 'string', format: 'address', description: 'Patient wallet that signed the consent' },
+      grantee: { type: 'string', format: 'address', description: 'Wallet of the registered grantee' },
+      expiry: { type: 'integer', minimum: 0, description: 'Unix timestamp in seconds, 0 (default) for no expiry' },
+      nonce: { type: 'string', format: 'bytes32', description: 'Random 32-byte nonce, single use per wallet' },
+      chainId: positiveInteger('Chain ID of the EIP-712 domain'),
+      signature: { type: 'string', format: 'hex', description: 'EIP-712 signature of the Consent struct' },
+      scope: consentScope
+    }, { required: ['patientId', 'purpose', 'walletAddress', 'grantee', 'nonce', 'chainId', 'signature', 'scope'] })
+  },
+  updateConsent: {
+    params: idParams('Consent ID'),
+    body: object({
+      status: { type: 'string', enum: Object.values(CONSENT_STATUS), description: 'New state of the consent' },
+      reason: { type: ['string', 'null'], description: 'Why the state changes' }
+    }, { required: ['status'] })
+  },
+
+  // Grantees
+  getGrantees: {
+    query: object({
+      type: { type: 'string', enum: GRANTEE_TYPES, description: 'Only grantees of this type' },
+      ...pagination(GRANTEE_PAGINATION, 'grantees')
+    })
+  },
+  getGranteeById: { params: idParams('Grantee ID') },
+  getGranteeConsents: { params: idParams('Grantee ID') },
+  createGrantee: {
+    body: object({
+      name: text('Organization name'),
+      type: { type: 'string', enum: GRANTEE_TYPES, description: 'Kind of organization' },
+      walletAddress: { type: 'string', format: 'address', description: 'Wallet consents are granted to' },
+      contact: object({
+        name: text('Contact person'),
+        email: { type: 'string', format: 'email', description: 'Contact email' },
+        phone: text('Contact phone number')
+      }, { required: ['email'], description: 'Who patients can contact' })
+    }, { required: ['name', 'type', 'walletAddress', 'contact'] })
+  },
+
+  // Transactions
+  getTransactions: {
+    query: object({
+      status: { type: 'string', enum: TRANSACTION_STATUSES, description: 'Only transactions in this state' },
+      walletAddress: { type: 'string', format: 'address', description: 'Only transactions from or to this wallet (admins only)' },
+      ...pagination(TRANSACTION_PAGINATION, 'transactions')
+    })
+  },
+  getTransactionByHash: {
+    params: object({ hash: text('Chain transaction hash') }, { required: ['hash'] })
+  },
+  verifySignature: {
+    body: object({
+      message: text('Signed message'),
+      signature: text('personal_sign signature'),
+      address: text('Wallet expected to have signed')
+    }, { required: ['message', 'signature', 'address'] })
+  }
+};
@@ -0,0 +1,68 @@
+// Compile contracts/ConsentRegistry.sol and deploy it to a local dev chain.
+//
+//   anvil                      (or `npx hardhat node`) in another terminal
+//   npm run deploy:contracts
+//
+// CHAIN_RPC_URL and CHAIN_PRIVATE_KEY select the chain and deployer (defaults:
+// http://127.0.0.1:8545 and the dev chain's first account). The address is
+// written to data/consentRegistry.json, where the backend picks it up.
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const { ethers } = require('ethers');
+const { DEPLOYMENT_FILE, getChainConfig } = require('../utils/consentRegistry');
+
+const SOURCE_FILE = path.join(__dirname, '..', 'contracts', 'ConsentRegistry.sol');
+
+const compile = () => {
+  const input = {
+    language: 'Solidity',
+    sources: { 'ConsentRegistry.sol': { content: fs.readFileSync(SOURCE_FILE, 'utf8') } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  }
+  
+  const contract = output.contracts['ConsentRegistry.sol'].ConsentRegistry;
+  return { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+};
+
+const deploy = async () => {
+  const { rpcUrl, privateKey } = getChainConfig();
+  const { abi, bytecode } = compile();
+  
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const deployer = new ethers.Wallet(privateKey, provider);
+  const { chainId } = await provider.getNetwork();
+  
+  const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+  const receipt = await contract.deploymentTransaction().wait();
+  
+  const deployment = {
+    address: await contract.getAddress(),
+    chainId: Number(chainId),
+    owner: deployer.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString(),
+    abi
+  };
+  
+  fs.mkdirSync(path.dirname(DEPLOYMENT_FILE), { recursive: true });
+  fs.writeFileSync(DEPLOYMENT_FILE, `${JSON.stringify(deployment, null, 2)}\n`);
+  
+  console.log(`ConsentRegistry deployed at ${deployment.address} on chain ${deployment.chainId} (block ${deployment.blockNumber})`);
+  provider.destroy();
+};
+
+deploy().catch((error) => {
+  console.error('Deployment failed:', error.shortMessage || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Generate JSDoc typedefs of every route's query and body from the route
+// schemas, for frontend/src/services/apiService.js to reference.
+//
+//   npm run generate:api-types            write frontend/src/services/apiTypes.js
+//   npm run generate:api-types -- --check fail if the file is out of date
+//
+// Routes are read from the router, so each type names the request it belongs to.
+const fs = require('fs');
+const path = require('path');
+const router = require('../routes');
+const { listRoutes } = require('../utils/routeTable');
+const schemas = require('../routes/schemas');
+
+const OUTPUT = path.join(__dirname, '..', '..', 'frontend', 'src', 'services', 'apiTypes.js');
+
+const LOCATION_NAMES = { query: 'Query', body: 'Body' };
+
+const HEADER = `/**
+ * API Request Types
+ *
+ * JSDoc types of the query strings and request bodies the backend accepts,
+ * generated from its route schemas (backend/routes/schemas.js). Do not edit by
+ * hand: run \`npm run generate:api-types\` in backend/ after changing a schema.
+ *
+ * @module services/apiTypes
+ */
+`;
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1);
+
+// JSDoc type expression of a schema; objects are spelled out as nested properties instead
+const typeExpression = (schema) => {
+  const types = [].concat(schema.type || []);
+  const nullable = types.includes('null');
+  const [type] = types.filter(t => t !== 'null');
+
+  let expression;
+  if (schema.enum) {
+    expression = `(${schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|')})`;
+  } else if (type === 'array') {
+    expression = `Array<${typeExpression(schema.items || {})}>`;
+  } else if (type === 'integer') {
+    expression = 'number';
+  } else if (type === 'object') {
+    expression = 'Object';
+  } else {
+    expression = type || '*';
+  }
+
+  return nullable ? `?${expression}` : expression;
+};
+
+const describe = (schema) => {
+  const notes = [schema.description, schema.format && `format: ${schema.format}`].filter(Boolean);
+  return notes.length > 0 ? ` - ${notes.join('; ')}` : '';
+};
+
+// @property lines of an object schema, nested objects with dotted names
+const propertyLines = (schema, prefix = '') => Object.entries(schema.properties || {}).flatMap(([key, property]) => {
+  const name = `${prefix}${key}`;
+  const optional = !(schema.required || []).includes(key);
+  const line = ` * @property {${typeExpression(property)}} ${optional ? `[${name}]` : name}${describe(property)}`;
+
+  return property.type === 'object' ? [line, ...propertyLines(property, `${name}.`)] : [line];
+});
+
+// Method and path of every route, keyed by its schema
+const routesBySchema = () => new Map(listRoutes(router)
+  .filter(route => route.schema)
+  .map(route => [route.schema, `${route.method} /api${route.path}`]));
+
+const generate = () => {
+  const routes = routesBySchema();
+  const typedefs = [];
+
+  for (const [name, schema] of Object.entries(schemas)) {
+    for (const [location, suffix] of Object.entries(LOCATION_NAMES)) {
+      if (!schema[location]) continue;
+
+      typedefs.push([
+        '/**',
+        ` * ${location === 'body' ? 'Request body' : 'Query string'} of \`${routes.get(schema) || name}\``,
+        ` * @typedef {Object} ${pascalCase(name)}${suffix}`,
+        ...propertyLines(schema[location]),
+        ' */'
+      ].join('\n'));
+    }
+  }
+
+  return `${HEADER}\n${typedefs.join('\n\n')}\n\nexport {};\n`;
+};
+
+const output = generate();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date, run npm run generate:api-types`);
+    process.exit(1);
+  }
+  console.log('API types are up to date');
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
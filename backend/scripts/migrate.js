@@ -0,0 +1,20 @@
+// Apply pending SQLite migrations without starting the server.
+// The SQLite driver also runs them on startup, this is for deploys and CI.
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('../storage/migrate');
+
+const filePath = process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'health.db');
+
+fs.mkdirSync(path.dirname(filePath), { recursive: true });
+const db = new Database(filePath);
+
+try {
+  const applied = runMigrations(db);
+  console.log(applied.length > 0
+    ? `Applied migrations: ${applied.join(', ')}`
+    : 'Database schema is up to date');
+} finally {
+  db.close();
+}
@@ -0,0 +1,57 @@
+// Import the mock dataset from data/mockData.js into the configured storage.
+//
+//   npm run seed            insert documents that don't exist yet
+//   npm run seed -- --reset empty every collection first
+//
+// STORAGE_DRIVER selects the target (defaults to sqlite for this command).
+const { createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/collections');
+const { loadMockData } = require('../utils/dataLoader');
+
+const seed = async () => {
+  const reset = process.argv.includes('--reset');
+  const storage = createStorage(process.env.STORAGE_DRIVER || 'sqlite');
+  await storage.init();
+  
+  // Collections are listed parent-first, so clear children first and insert parents first
+  const names = Object.keys(COLLECTIONS);
+  const data = loadMockData();
+  
+  try {
+    if (reset) {
+      for (const name of [...names].reverse()) {
+        await storage.clear(name);
+      }
+    }
+    
+    for (const name of names) {
+      let inserted = 0;
+      const skipped = [];
+      
+      for (const doc of data[name] || []) {
+        if (await storage.get(name, doc.id)) continue;
+        
+        try {
+          await storage.insert(name, doc);
+          inserted += 1;
+        } catch (error) {
+          // The mock dataset contains a few consents for patients that don't exist
+          if (error.code !== 'SQLITE_CONSTRAINT_FOREIGNKEY') throw error;
+          skipped.push(doc.id);
+        }
+      }
+      
+      console.log(`${name}: ${inserted} inserted`);
+      if (skipped.length > 0) {
+        console.log(`${name}: skipped ${skipped.join(', ')} (unknown patient or grantee)`);
+      }
+    }
+  } finally {
+    await storage.close();
+  }
+};
+
+seed().catch((error) => {
+  console.error('Seeding failed:', error);
+  process.exit(1);
+});
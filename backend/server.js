@@ -1,23 +1,47 @@
 const express = require('express');
 const cors = require('cors');
 const apiRoutes = require('./routes');
-
-// Load mockData module at startup to trigger console.log
-require('./data/mockData');
+const { requestLogger } = require('./middleware/requestLogger');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { logger } = require('./utils/logger');
+const { startConsentExpirySweeper } = require('./services/consentExpiry');
+const { serializeRecordWrite, anchorPendingRecords } = require('./services/recordAnchoring');
+const { startConsentEventIndexer } = require('./services/consentEventIndexer');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.use(requestLogger);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
 // API Routes
 app.use('/api', apiRoutes);
 
+// Unknown routes and every error a route raises, answered as { error, code, requestId }
+app.use(notFound);
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
-  console.log(`API endpoints available at http://localhost:${PORT}/api`);
+  logger.info('Backend server started', {
+    url: `http://localhost:${PORT}`,
+    api: `http://localhost:${PORT}/api`
+  });
+  
+  // Move past-due active consents to expired in the background
+  startConsentExpirySweeper();
+  
+  // Follow the ConsentRegistry's events into the transactions collection
+  startConsentEventIndexer();
+  
+  // Anchor records that have no Merkle proof yet, queued with the record writes of requests
+  serializeRecordWrite(() => anchorPendingRecords())
+    .then((transaction) => {
+      if (transaction) {
+        logger.info('Anchored records', { count: transaction.recordIds.length, merkleRoot: transaction.merkleRoot });
+      }
+    })
+    .catch((error) => logger.error('Record anchoring failed', { error: error.message }));
 });
-
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const auditRepository = require('../repositories/auditRepository');
+const { canonicalJson } = require('../utils/canonicalJson');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// SHA-256 over the canonical JSON of every field except the hash itself
+const hashEntry = (entry) => {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+// Sequence and hash of the newest entry, loaded on first append
+let head = null;
+// Appends are chained so concurrent requests can't link to the same previous entry
+let pendingAppend = Promise.resolve();
+
+const loadHead = async () => {
+  const entries = await auditRepository.listEntries();
+  const last = entries[entries.length - 1];
+  return last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+};
+
+// Append an entry linked to the current head of the chain.
+// `fields` holds actor, role, action, patientId, resource ({ type, id }), outcome
+// ('success', 'denied' or 'failure'), requestId and details.
+const appendAudit = (fields) => {
+  const append = pendingAppend.then(async () => {
+    if (!head) head = await loadHead();
+
+    const sequence = head.sequence + 1;
+    const entry = {
+      id: `audit-${sequence}`,
+      sequence,
+      timestamp: new Date().toISOString(),
+      actor: null,
+      role: null,
+      action: fields.action,
+      patientId: null,
+      resource: null,
+      outcome: 'success',
+      requestId: null,
+      details: {},
+      ...fields,
+      prevHash: head.hash
+    };
+    entry.hash = hashEntry(entry);
+
+    await auditRepository.appendEntry(entry);
+    head = { sequence, hash: entry.hash };
+
+    return entry;
+  });
+
+  pendingAppend = append.catch(() => {});
+  return append;
+};
+
+// Append an entry for the signed-in user making the request
+const auditRequest = (req, fields) => {
+  return appendAudit({
+    actor: req.auth ? req.auth.wallet : null,
+    role: req.auth ? req.auth.role || null : null,
+    requestId: req.id || null,
+    ...fields
+  });
+};
+
+// Append a record read (or a denied attempt) for one patient, naming the
+// consent that allowed it and the records returned
+const auditRecordAccess = (req, patientId, decision, records = []) => {
+  const consent = decision.allowed ? decision.consent : null;
+
+  return auditRequest(req, {
+    action: 'record.read',
+    patientId,
+    resource: { type: 'record', id: null },
+    outcome: decision.allowed ? 'success' : 'denied',
+    details: {
+      purpose: req.query.purpose || null,
+      basis: decision.allowed ? decision.basis : null,
+      consentId: consent ? consent.id : null,
+      granteeId: consent ? consent.granteeId || null : null,
+      recordIds: records.map(r => r.id),
+      reason: decision.allowed ? null : decision.reason
+    }
+  });
+};
+
+// Walk the whole chain and report the first entry whose hash doesn't match its
+// content, whose prevHash doesn't match the entry before it, or whose sequence
+// skips one (a deleted entry)
+const verifyAuditChain = async () => {
+  const entries = await auditRepository.listEntries();
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+
+  for (const entry of entries) {
+    let reason = null;
+
+    if (entry.sequence !== previous.sequence + 1) {
+      reason = 'sequence_gap';
+    } else if (entry.prevHash !== previous.hash) {
+      reason = 'prev_hash_mismatch';
+    } else if (hashEntry(entry) !== entry.hash) {
+      reason = 'hash_mismatch';
+    }
+
+    if (reason) {
+      return {
+        valid: false,
+        checked: entries.length,
+        brokenAt: { id: entry.id, sequence: entry.sequence, reason },
+        headHash: entries[entries.length - 1].hash
+      };
+    }
+
+    previous = entry;
+  }
+
+  return { valid: true, checked: entries.length, brokenAt: null, headHash: previous.hash };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  hashEntry,
+  appendAudit,
+  auditRequest,
+  auditRecordAccess,
+  verifyAuditChain
+};
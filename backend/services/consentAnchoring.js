@@ -0,0 +1,167 @@
+const { ethers } = require('ethers');
+const transactionsRepository = require('../repositories/transactionsRepository');
+const {
+  getConsentRegistry,
+  hashConsent,
+  chainTransactionId,
+  summarizeReceipt,
+  decodeRevertReason,
+  getRevertReason
+} = require('../utils/consentRegistry');
+const { getRequiredConfirmations } = require('./consentEventIndexer');
+const { logger } = require('../utils/logger');
+
+// How long to wait for an anchoring transaction to be mined
+const DEFAULT_TX_TIMEOUT_MS = 60 * 1000;
+
+// CONSENT_ANCHORING=disabled lets consents become active without a chain,
+// for demos and tests. Anchoring is required otherwise.
+const isConsentAnchoringEnabled = () => process.env.CONSENT_ANCHORING !== 'disabled';
+
+// Errors carry a code the controller maps to a response:
+// ANCHORING_UNAVAILABLE (no registry or chain) or ANCHORING_FAILED (reverted or timed out)
+const anchoringError = (code, message) => Object.assign(new Error(message), { code });
+
+let verifiedRegistry = null;
+
+// The registry, once it's confirmed there is a contract at its address. A
+// restarted dev chain loses its contracts, and calls to an address without
+// code "succeed" without doing anything.
+const requireRegistry = async () => {
+  const registry = getConsentRegistry();
+
+  if (!registry) {
+    throw anchoringError('ANCHORING_UNAVAILABLE', 'No ConsentRegistry is deployed, run `npm run deploy:contracts`');
+  }
+
+  if (verifiedRegistry !== registry) {
+    let code;
+    try {
+      code = await registry.runner.provider.getCode(registry.target);
+    } catch (error) {
+      throw anchoringError('ANCHORING_UNAVAILABLE', `Chain is unreachable: ${error.shortMessage || error.message}`);
+    }
+    if (code === '0x') {
+      throw anchoringError('ANCHORING_UNAVAILABLE', `No ConsentRegistry contract at ${registry.target}, redeploy it`);
+    }
+    verifiedRegistry = registry;
+  }
+
+  return registry;
+};
+
+// Record a mined registry call in the transactions collection with its real
+// hash, block number and receipt. It stays `pending` until the event indexer has
+// seen enough confirmations; a reverted call is `failed` with its revert reason.
+// When the indexer got to the transaction first its chain state is kept.
+const recordTransaction = async (registry, type, consent, receipt) => {
+  const block = await receipt.getBlock();
+  const id = chainTransactionId(receipt.hash);
+  const existing = await transactionsRepository.findTransactionById(id);
+  const reverted = receipt.status !== 1;
+  const revertReason = reverted
+    ? await getRevertReason(registry.runner.provider, registry.interface, receipt).catch(() => null)
+    : null;
+
+  return transactionsRepository.saveTransaction({
+    id,
+    from: receipt.from,
+    to: receipt.to,
+    amount: '0',
+    currency: 'ETH',
+    type,
+    blockchainTxHash: receipt.hash,
+    status: reverted ? 'failed' : 'pending',
+    confirmations: 1,
+    requiredConfirmations: getRequiredConfirmations(),
+    failureReason: reverted ? 'reverted' : null,
+    revertReason,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice.toString(),
+    receipt: summarizeReceipt(receipt, registry.interface),
+    ...existing,
+    consentId: consent.id,
+    patientId: consent.patientId
+  });
+};
+
+// Send a registry call and wait until it's mined
+const submit = async (type, consent, send) => {
+  const registry = await requireRegistry();
+  const timeoutMs = Number(process.env.CHAIN_TX_TIMEOUT_MS) || DEFAULT_TX_TIMEOUT_MS;
+
+  let receipt;
+  try {
+    const tx = await send(registry);
+    receipt = await tx.wait(1, timeoutMs);
+  } catch (error) {
+    // A reverted call was still mined and paid for
+    const transaction = error.receipt ? await recordTransaction(registry, type, consent, error.receipt) : null;
+    const reason = (transaction && transaction.revertReason) || decodeRevertReason(registry.interface, error);
+
+    logger.error('Consent anchoring transaction failed', { consentId: consent.id, type, error: reason });
+    throw anchoringError('ANCHORING_FAILED', `Anchoring transaction failed: ${reason}`);
+  }
+
+  const transaction = await recordTransaction(registry, type, consent, receipt);
+  return { receipt, transaction };
+};
+
+// Anchor an approved consent's hash in the registry. Resolves once the
+// transaction is mined with the fields to store on the consent, or null when
+// anchoring is disabled.
+const anchorConsent = async (consent) => {
+  if (!isConsentAnchoringEnabled()) return null;
+
+  const consentHash = hashConsent(consent);
+  const expiry = consent.expiresAt ? Math.floor(new Date(consent.expiresAt).getTime() / 1000) : 0;
+
+  const { receipt, transaction } = await submit('consent_approval', consent, (registry) => {
+    return registry.anchorConsent(consent.id, consentHash, ethers.getAddress(consent.grantee.toLowerCase()), expiry);
+  });
+
+  return {
+    blockchainTxHash: receipt.hash,
+    anchor: {
+      contractAddress: receipt.to,
+      consentHash,
+      transactionId: transaction.id,
+      blockNumber: receipt.blockNumber,
+      gasUsed: transaction.gasUsed,
+      revocationTxHash: null
+    }
+  };
+};
+
+// Consent transitions run one at a time, in order. Each one reads the consent
+// inside the queue, so a transition waiting on the chain can't be overwritten
+// by another request or the expiry sweeper working from a stale copy.
+let pendingTransition = Promise.resolve();
+
+const serializeConsentWrite = (task) => {
+  const write = pendingTransition.then(task);
+  pendingTransition = write.catch(() => {});
+  return write;
+};
+
+// Mark an anchored consent as revoked in the registry. Consents that were never
+// anchored (or with anchoring disabled) have nothing to revoke on chain: null.
+const revokeAnchoredConsent = async (consent) => {
+  if (!isConsentAnchoringEnabled() || !consent.anchor) return null;
+
+  const { receipt } = await submit('consent_revocation', consent, (registry) => {
+    return registry.revokeConsent(consent.id);
+  });
+
+  return { anchor: { ...consent.anchor, revocationTxHash: receipt.hash } };
+};
+
+module.exports = {
+  isConsentAnchoringEnabled,
+  serializeConsentWrite,
+  anchorConsent,
+  revokeAnchoredConsent
+};
@@ -0,0 +1,270 @@
+const transactionsRepository = require('../repositories/transactionsRepository');
+const consentsRepository = require('../repositories/consentsRepository');
+const checkpointsRepository = require('../repositories/checkpointsRepository');
+const {
+  getConsentRegistry,
+  getChainConfig,
+  REGISTRY_TRANSACTION_TYPES,
+  chainTransactionId,
+  describeFragment,
+  summarizeReceipt
+} = require('../utils/consentRegistry');
+const { logger } = require('../utils/logger');
+const { addressesMatch } = require('../utils/signature');
+
+const CHECKPOINT_ID = 'consent-registry-indexer';
+
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+const DEFAULT_CONFIRMATIONS = 3;
+// Recent block hashes kept to detect reorgs, at least this many
+const MIN_TRACKED_BLOCKS = 12;
+// Largest block range requested from eth_getLogs at once
+const MAX_LOG_RANGE = 2000;
+
+const REGISTRY_TYPES = Object.values(REGISTRY_TRANSACTION_TYPES);
+
+// Calls to this registry, not seeded history or another deployment's transactions
+const isRegistryTransaction = (transaction, registryAddress) => {
+  return REGISTRY_TYPES.includes(transaction.type) && addressesMatch(transaction.to, registryAddress);
+};
+
+// Blocks a transaction needs on top of it (its own included) to count as confirmed
+const getRequiredConfirmations = () => {
+  const value = Number(process.env.INDEXER_CONFIRMATIONS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONFIRMATIONS;
+};
+
+// A checkpoint for a different contract or chain (a redeployed registry, a
+// restarted dev chain) is discarded and indexing starts over from the deployment block
+const loadCheckpoint = async (registry, chainId) => {
+  const checkpoint = await checkpointsRepository.findCheckpoint(CHECKPOINT_ID);
+
+  if (checkpoint && checkpoint.contractAddress === registry.target && checkpoint.chainId === chainId) {
+    return checkpoint;
+  }
+
+  return {
+    id: CHECKPOINT_ID,
+    contractAddress: registry.target,
+    chainId,
+    blockNumber: Math.max(getChainConfig().deploymentBlock - 1, -1),
+    recentBlocks: []
+  };
+};
+
+// Compare the remembered block hashes with the chain. Returns null when the
+// newest one still matches, otherwise the highest block both agree on (the
+// fork point); when none match, the block before the oldest remembered one.
+const findForkPoint = async (provider, recentBlocks) => {
+  for (let i = recentBlocks.length - 1; i >= 0; i -= 1) {
+    const { number, hash } = recentBlocks[i];
+    const block = await provider.getBlock(number);
+
+    if (block && block.hash === hash) {
+      return i === recentBlocks.length - 1 ? null : number;
+    }
+  }
+
+  return recentBlocks.length > 0 ? recentBlocks[0].number - 1 : null;
+};
+
+// Events indexed from blocks a reorg replaced no longer happened. They are
+// marked failed until (and unless) they show up again in the new blocks.
+const orphanTransactionsAfter = async (registryAddress, blockNumber) => {
+  const orphaned = [];
+
+  for (const status of ['pending', 'confirmed']) {
+    const transactions = await transactionsRepository.listTransactionsByStatus(status);
+
+    for (const transaction of transactions) {
+      if (!isRegistryTransaction(transaction, registryAddress) || transaction.blockNumber <= blockNumber) continue;
+
+      await transactionsRepository.saveTransaction({
+        ...transaction,
+        status: 'failed',
+        confirmations: 0,
+        failureReason: 'reorg'
+      });
+      orphaned.push(transaction.id);
+    }
+  }
+
+  return orphaned;
+};
+
+// Decode a registry log and store it as a transaction, merged into what the
+// anchoring service may already have recorded for the same transaction
+const indexLog = async (registry, log, head, required, blocks) => {
+  const event = registry.interface.parseLog(log);
+  if (!event || !REGISTRY_TRANSACTION_TYPES[event.name]) return;
+
+  const provider = registry.runner.provider;
+  if (!blocks.has(log.blockNumber)) {
+    blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+  }
+  const block = blocks.get(log.blockNumber);
+  const receipt = await provider.getTransactionReceipt(log.transactionHash);
+
+  const id = chainTransactionId(log.transactionHash);
+  const existing = await transactionsRepository.findTransactionById(id);
+  const consent = await consentsRepository.findConsentById(event.args.consentId);
+  const confirmations = head - log.blockNumber + 1;
+
+  await transactionsRepository.saveTransaction({
+    amount: '0',
+    currency: 'ETH',
+    ...existing,
+    id,
+    from: receipt.from,
+    to: log.address,
+    type: REGISTRY_TRANSACTION_TYPES[event.name],
+    blockchainTxHash: log.transactionHash,
+    status: confirmations >= required ? 'confirmed' : 'pending',
+    confirmations,
+    requiredConfirmations: required,
+    failureReason: null,
+    revertReason: null,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice.toString(),
+    receipt: summarizeReceipt(receipt, registry.interface),
+    consentId: event.args.consentId,
+    patientId: consent ? consent.patientId : null,
+    event: describeFragment(event)
+  });
+};
+
+// Bring the confirmation count of pending registry transactions up to date
+const updateConfirmations = async (registryAddress, head, required) => {
+  const pending = await transactionsRepository.listTransactionsByStatus('pending');
+
+  for (const transaction of pending) {
+    if (!isRegistryTransaction(transaction, registryAddress)) continue;
+
+    const confirmations = head - transaction.blockNumber + 1;
+    await transactionsRepository.saveTransaction({
+      ...transaction,
+      confirmations,
+      requiredConfirmations: required,
+      status: confirmations >= required ? 'confirmed' : 'pending'
+    });
+  }
+};
+
+// Confirmation counts as of the last indexed block. Stored counts stop being
+// updated once a transaction is confirmed, so they are brought up to date
+// here; transactions the indexer doesn't track are returned unchanged.
+const withLiveConfirmations = async (transactions) => {
+  const checkpoint = await checkpointsRepository.findCheckpoint(CHECKPOINT_ID);
+  if (!checkpoint) return transactions;
+
+  return transactions.map(transaction => {
+    if (transaction.status !== 'confirmed' || typeof transaction.confirmations !== 'number' ||
+      !isRegistryTransaction(transaction, checkpoint.contractAddress)) {
+      return transaction;
+    }
+
+    const confirmations = checkpoint.blockNumber - transaction.blockNumber + 1;
+    return { ...transaction, confirmations: Math.max(confirmations, transaction.confirmations) };
+  });
+};
+
+// One indexing pass: roll back a reorg, index the registry's events in the new
+// blocks, update confirmations and save the checkpoint. Returns a summary, or
+// null when no registry is deployed. `registry` defaults to the shared contract.
+const indexConsentEvents = async (registry = getConsentRegistry()) => {
+  if (!registry) return null;
+
+  const provider = registry.runner.provider;
+  const required = getRequiredConfirmations();
+  const trackedBlocks = Math.max(required, MIN_TRACKED_BLOCKS);
+  const { chainId } = await provider.getNetwork();
+
+  let checkpoint = await loadCheckpoint(registry, Number(chainId));
+  const summary = { fromBlock: checkpoint.blockNumber + 1, toBlock: checkpoint.blockNumber, indexed: 0, reorgedAt: null, orphaned: [] };
+
+  const forkPoint = await findForkPoint(provider, checkpoint.recentBlocks);
+  if (forkPoint !== null) {
+    summary.reorgedAt = forkPoint;
+    summary.orphaned = await orphanTransactionsAfter(registry.target, forkPoint);
+    checkpoint = {
+      ...checkpoint,
+      blockNumber: forkPoint,
+      recentBlocks: checkpoint.recentBlocks.filter(b => b.number <= forkPoint)
+    };
+    summary.fromBlock = forkPoint + 1;
+    logger.warn('Chain reorg detected', { forkPoint, orphaned: summary.orphaned });
+  }
+
+  const head = await provider.getBlockNumber();
+  const blocks = new Map();
+
+  for (let from = checkpoint.blockNumber + 1; from <= head; from += MAX_LOG_RANGE) {
+    const to = Math.min(from + MAX_LOG_RANGE - 1, head);
+    const logs = await provider.getLogs({ address: registry.target, fromBlock: from, toBlock: to });
+
+    for (const log of logs) {
+      await indexLog(registry, log, head, required, blocks);
+      summary.indexed += 1;
+    }
+  }
+
+  // Remember the hashes of the newest blocks to compare against next time
+  const known = new Map(checkpoint.recentBlocks.map(b => [b.number, b.hash]));
+  const recentBlocks = [];
+  for (let number = Math.max(head - trackedBlocks + 1, 0); number <= head; number += 1) {
+    const hash = known.get(number) || (await provider.getBlock(number)).hash;
+    recentBlocks.push({ number, hash });
+  }
+
+  await updateConfirmations(registry.target, head, required);
+
+  await checkpointsRepository.saveCheckpoint({
+    ...checkpoint,
+    blockNumber: head,
+    recentBlocks,
+    updatedAt: new Date().toISOString()
+  });
+
+  summary.toBlock = head;
+  return summary;
+};
+
+// Run indexConsentEvents on an interval (INDEXER_POLL_INTERVAL_MS, default five
+// seconds). The timer doesn't keep the process alive. Returns a function that stops the indexer.
+const startConsentEventIndexer = (intervalMs = Number(process.env.INDEXER_POLL_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const poll = async () => {
+    // Skip a tick rather than overlap a slow pass
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await indexConsentEvents();
+      if (summary && summary.indexed > 0) {
+        logger.info('Indexed consent registry events', summary);
+      }
+    } catch (error) {
+      logger.error('Consent event indexing failed', { error: error.shortMessage || error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getRequiredConfirmations,
+  withLiveConfirmations,
+  indexConsentEvents,
+  startConsentEventIndexer
+};
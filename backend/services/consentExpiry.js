@@ -0,0 +1,88 @@
+const consentsRepository = require('../repositories/consentsRepository');
+const {
+  CONSENT_STATUS,
+  canTransition,
+  isPastExpiry,
+  applyTransition
+} = require('../utils/consentLifecycle');
+const { logger } = require('../utils/logger');
+const { appendAudit } = require('./auditLog');
+const { serializeConsentWrite } = require('./consentAnchoring');
+
+// Recorded as the actor on transitions made by the sweeper
+const SYSTEM_ACTOR = 'system';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Move every active consent whose expiresAt has passed to expired. Each one is
+// read again inside the consent write queue and skipped if a transition that was
+// in flight (a revocation waiting on the chain) has moved it on meanwhile.
+// Returns the ids of the consents that were expired.
+const expireDueConsents = async (now = Date.now()) => {
+  const consents = await consentsRepository.listConsents({ status: CONSENT_STATUS.ACTIVE });
+  const due = consents.filter(c => isPastExpiry(c, now));
+  const expired = [];
+
+  for (const { id } of due) {
+    const reason = 'Reached expiresAt';
+
+    const consent = await serializeConsentWrite(async () => {
+      const current = await consentsRepository.findConsentById(id);
+      if (!current || !canTransition(current.status, CONSENT_STATUS.EXPIRED) || !isPastExpiry(current, now)) return null;
+
+      await consentsRepository.updateConsent(applyTransition(current, CONSENT_STATUS.EXPIRED, {
+        by: SYSTEM_ACTOR,
+        at: new Date(now).toISOString(),
+        reason
+      }));
+      return current;
+    });
+
+    if (!consent) continue;
+
+    await appendAudit({
+      actor: SYSTEM_ACTOR,
+      action: 'consent.update',
+      patientId: consent.patientId,
+      resource: { type: 'consent', id: consent.id },
+      details: { from: consent.status, to: CONSENT_STATUS.EXPIRED, reason, blockchainTxHash: null }
+    });
+    expired.push(consent.id);
+  }
+
+  return expired;
+};
+
+// Run expireDueConsents on an interval (CONSENT_SWEEP_INTERVAL_MS, default one minute).
+// The timer doesn't keep the process alive. Returns a function that stops the sweeper.
+const startConsentExpirySweeper = (intervalMs = Number(process.env.CONSENT_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const sweep = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+      const expired = await expireDueConsents();
+      if (expired.length > 0) {
+        logger.info('Expired consents', { count: expired.length, consentIds: expired });
+      }
+    } catch (error) {
+      logger.error('Consent expiry sweep failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  expireDueConsents,
+  startConsentExpirySweeper
+};
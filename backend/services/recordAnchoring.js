@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const recordsRepository = require('../repositories/recordsRepository');
+const transactionsRepository = require('../repositories/transactionsRepository');
+const { hashRecord } = require('../utils/recordHash');
+const { buildMerkleTree, getMerkleProof, verifyMerkleProof } = require('../utils/merkleTree');
+const { canonicalJson } = require('../utils/canonicalJson');
+
+// Sender and recipient recorded on anchoring transactions
+const ANCHOR_ADDRESS = ethers.ZeroAddress;
+
+// Record writes and anchoring passes run one at a time, in order, so concurrent
+// requests can't claim the same record ID or anchor the same records twice
+let pendingWrite = Promise.resolve();
+
+const serializeRecordWrite = (task) => {
+  const write = pendingWrite.then(task);
+  pendingWrite = write.catch(() => {});
+  return write;
+};
+
+// Anchor every record that hasn't been anchored yet: hash each record's content,
+// batch the hashes into one Merkle tree and record its root as an off-chain
+// `record_anchor` transaction. Each record keeps its content hash in
+// `blockchainHash` and an `anchor` pointing at the transaction and its leaf. Records that were already
+// anchored are never re-anchored, so content changed afterwards no longer
+// matches its proof. Returns the transaction, or null when nothing was pending.
+// Must run inside serializeRecordWrite.
+const anchorPendingRecords = async (now = Date.now()) => {
+  const records = await recordsRepository.listRecords({ includeSuperseded: true });
+  const pending = records
+    .filter(r => !r.anchor)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const leaves = pending.map(hashRecord);
+  const { root } = buildMerkleTree(leaves);
+  const timestamp = new Date(now).toISOString();
+  const recordIds = pending.map(r => r.id);
+
+  const batchHash = ethers.keccak256(ethers.toUtf8Bytes(canonicalJson({ merkleRoot: root, recordIds, timestamp })));
+
+  // The root isn't sent to a chain: no transaction hash, block or gas, and an
+  // off_chain status. Named after the hash of the batch, which covers the
+  // records it anchors, so never the same for two passes.
+  const transaction = await transactionsRepository.createTransaction({
+    id: `tx-anchor-${batchHash.slice(2, 14)}`,
+    from: ANCHOR_ADDRESS,
+    to: ANCHOR_ADDRESS,
+    amount: '0',
+    currency: 'ETH',
+    type: 'record_anchor',
+    blockchainTxHash: null,
+    status: 'off_chain',
+    blockNumber: null,
+    timestamp,
+    gasUsed: null,
+    gasPrice: null,
+    merkleRoot: root,
+    recordIds,
+    leaves
+  });
+
+  for (const [leafIndex, record] of pending.entries()) {
+    await recordsRepository.updateRecord({
+      ...record,
+      blockchainHash: leaves[leafIndex],
+      anchor: { transactionId: transaction.id, merkleRoot: root, leafIndex }
+    });
+  }
+
+  return transaction;
+};
+
+// Merkle inclusion proof of an anchored record, or null if it isn't anchored.
+// `verified` is false when the record's current content no longer hashes to the
+// anchored leaf, or the proof doesn't lead to the anchored root.
+const buildRecordProof = async (record) => {
+  if (!record.anchor) {
+    return null;
+  }
+
+  const transaction = await transactionsRepository.findTransactionById(record.anchor.transactionId);
+  if (!transaction) {
+    return null;
+  }
+
+  const { leafIndex } = record.anchor;
+  const { layers } = buildMerkleTree(transaction.leaves);
+  const anchoredHash = transaction.leaves[leafIndex];
+  const proof = getMerkleProof(layers, leafIndex);
+  const contentHash = hashRecord(record);
+
+  return {
+    recordId: record.id,
+    contentHash,
+    anchoredHash,
+    leafIndex,
+    proof,
+    merkleRoot: transaction.merkleRoot,
+    transaction: {
+      id: transaction.id,
+      blockchainTxHash: transaction.blockchainTxHash,
+      blockNumber: transaction.blockNumber,
+      timestamp: transaction.timestamp
+    },
+    verified: contentHash === anchoredHash && verifyMerkleProof(anchoredHash, proof, transaction.merkleRoot)
+  };
+};
+
+module.exports = {
+  serializeRecordWrite,
+  anchorPendingRecords,
+  buildRecordProof
+};
@@ -0,0 +1,47 @@
+// Collections every storage driver provides.
+// `columns` are the fields the SQLite driver stores in their own (indexed)
+// columns next to the full JSON document; they are also the only fields
+// `find` filters on. Wallet address columns compare case-insensitively.
+const COLLECTIONS = {
+  patients: {
+    columns: ['patientId', 'email', 'walletAddress', 'createdAt'],
+    addressColumns: ['walletAddress']
+  },
+  records: {
+    columns: ['patientId', 'type', 'status', 'date', 'versionOf'],
+    addressColumns: []
+  },
+  grantees: {
+    columns: ['walletAddress', 'type', 'createdAt'],
+    addressColumns: ['walletAddress']
+  },
+  consents: {
+    columns: ['patientId', 'walletAddress', 'grantee', 'granteeId', 'status', 'nonce', 'createdAt'],
+    addressColumns: ['walletAddress', 'grantee']
+  },
+  transactions: {
+    columns: ['from', 'to', 'type', 'status', 'blockchainTxHash', 'timestamp', 'patientId'],
+    addressColumns: ['from', 'to']
+  },
+  audit: {
+    columns: ['sequence', 'actor', 'action', 'patientId', 'timestamp'],
+    addressColumns: ['actor']
+  },
+  checkpoints: {
+    columns: [],
+    addressColumns: []
+  }
+};
+
+const getCollection = (name) => {
+  const collection = COLLECTIONS[name];
+  if (!collection) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return collection;
+};
+
+module.exports = {
+  COLLECTIONS,
+  getCollection
+};
@@ -0,0 +1,95 @@
+const { COLLECTIONS, getCollection } = require('../collections');
+
+// Collection operations over a plain in-memory dataset
+// ({ patients: [], records: [], ... }), shared by the memory and file drivers.
+// `onWrite` is called with the dataset after every change.
+
+const normalize = (value, isAddress) => {
+  return isAddress && typeof value === 'string' ? value.toLowerCase() : value;
+};
+
+// Build a predicate for a { column: value } filter. With match "any" a document
+// matches when one of the columns does, otherwise all of them must.
+const buildMatcher = (collectionName, where, match) => {
+  const { columns, addressColumns } = getCollection(collectionName);
+  const entries = Object.entries(where);
+  
+  for (const [column] of entries) {
+    if (!columns.includes(column)) {
+      throw new Error(`Cannot filter ${collectionName} on ${column}`);
+    }
+  }
+  
+  return (doc) => {
+    const test = ([column, value]) => {
+      const isAddress = addressColumns.includes(column);
+      return normalize(doc[column], isAddress) === normalize(value, isAddress);
+    };
+    return match === 'any' ? entries.some(test) : entries.every(test);
+  };
+};
+
+const createCollectionStore = (dataset, onWrite = async () => {}) => {
+  const data = {};
+  for (const name of Object.keys(COLLECTIONS)) {
+    data[name] = dataset[name] || [];
+  }
+  
+  const rows = (collectionName) => {
+    getCollection(collectionName);
+    return data[collectionName];
+  };
+  
+  // Copies keep callers from mutating stored documents without saving them
+  const copy = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+  
+  return {
+    data,
+    
+    list: async (collectionName) => rows(collectionName).map(copy),
+    
+    find: async (collectionName, where, { match = 'all' } = {}) => {
+      const matches = buildMatcher(collectionName, where, match);
+      return rows(collectionName).filter(matches).map(copy);
+    },
+    
+    count: async (collectionName, where = {}) => {
+      const matches = buildMatcher(collectionName, where, 'all');
+      return rows(collectionName).filter(matches).length;
+    },
+    
+    get: async (collectionName, id) => {
+      return copy(rows(collectionName).find(doc => doc.id === id));
+    },
+    
+    insert: async (collectionName, doc) => {
+      const collection = rows(collectionName);
+      if (collection.some(existing => existing.id === doc.id)) {
+        throw new Error(`Duplicate ${collectionName} id: ${doc.id}`);
+      }
+      collection.push(copy(doc));
+      await onWrite(data);
+      return copy(doc);
+    },
+    
+    update: async (collectionName, id, doc) => {
+      const collection = rows(collectionName);
+      const index = collection.findIndex(existing => existing.id === id);
+      if (index === -1) {
+        throw new Error(`Unknown ${collectionName} id: ${id}`);
+      }
+      collection[index] = copy({ ...doc, id });
+      await onWrite(data);
+      return copy(collection[index]);
+    },
+    
+    clear: async (collectionName) => {
+      rows(collectionName).length = 0;
+      await onWrite(data);
+    }
+  };
+};
+
+module.exports = {
+  createCollectionStore
+};
@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createCollectionStore } = require('./collectionStore');
+
+// File-backed storage driver. The dataset is kept as a JSON document and
+// cached in memory after the first read; every write replaces the file
+// atomically so a crash mid-write never leaves a truncated file behind.
+const createFileDriver = ({ filePath, seed }) => {
+  let store = null;
+  let pendingWrite = Promise.resolve();
+  
+  // Write to a temp file in the same directory, then rename over the target
+  const writeAtomic = async (data) => {
+    const tempPath = path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+    );
+    
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  };
+  
+  // Writes are chained so two concurrent saves can't rename out of order
+  const enqueueWrite = (data) => {
+    const write = pendingWrite.then(() => writeAtomic(data));
+    pendingWrite = write.catch(() => {});
+    return write;
+  };
+  
+  const requireStore = () => {
+    if (!store) {
+      throw new Error('File storage used before init()');
+    }
+    return store;
+  };
+  
+  return {
+    name: 'file',
+    
+    init: async () => {
+      let dataset;
+      let isNew = false;
+      
+      try {
+        dataset = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        
+        // First run: start from the seed dataset
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        dataset = seed;
+        isNew = true;
+      }
+      
+      store = createCollectionStore(dataset, enqueueWrite);
+      if (isNew) {
+        await enqueueWrite(store.data);
+      }
+    },
+    
+    close: async () => {
+      await pendingWrite;
+    },
+    
+    list: (...args) => requireStore().list(...args),
+    find: (...args) => requireStore().find(...args),
+    count: (...args) => requireStore().count(...args),
+    get: (...args) => requireStore().get(...args),
+    insert: (...args) => requireStore().insert(...args),
+    update: (...args) => requireStore().update(...args),
+    clear: (...args) => requireStore().clear(...args)
+  };
+};
+
+module.exports = {
+  createFileDriver
+};
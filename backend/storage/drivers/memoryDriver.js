@@ -0,0 +1,24 @@
+const { createCollectionStore } = require('./collectionStore');
+
+// In-memory storage driver. Data lives for the lifetime of the process,
+// which makes it the driver of choice for tests and throwaway demos.
+const createMemoryDriver = ({ seed }) => {
+  const store = createCollectionStore(seed);
+  
+  return {
+    name: 'memory',
+    init: async () => {},
+    close: async () => {},
+    list: store.list,
+    find: store.find,
+    count: store.count,
+    get: store.get,
+    insert: store.insert,
+    update: store.update,
+    clear: store.clear
+  };
+};
+
+module.exports = {
+  createMemoryDriver
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getCollection } = require('../collections');
+const { runMigrations } = require('../migrate');
+
+const quote = (identifier) => `"${identifier}"`;
+
+// Column values must be SQLite scalars
+const toColumnValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Embedded SQLite storage driver. Every collection is a table (see
+// migrations/) holding the full document as JSON plus indexed columns.
+const createSqliteDriver = ({ filePath }) => {
+  let db = null;
+  
+  const requireDb = () => {
+    if (!db) {
+      throw new Error('SQLite storage used before init()');
+    }
+    return db;
+  };
+  
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.doc));
+  
+  const buildWhere = (collectionName, where, match) => {
+    const { columns } = getCollection(collectionName);
+    const entries = Object.entries(where);
+    
+    for (const [column] of entries) {
+      if (!columns.includes(column)) {
+        throw new Error(`Cannot filter ${collectionName} on ${column}`);
+      }
+    }
+    
+    if (entries.length === 0) {
+      return { clause: '', params: [] };
+    }
+    
+    return {
+      clause: `WHERE ${entries.map(([column]) => `${quote(column)} = ?`).join(match === 'any' ? ' OR ' : ' AND ')}`,
+      params: entries.map(([, value]) => toColumnValue(value))
+    };
+  };
+  
+  return {
+    name: 'sqlite',
+    
+    init: async () => {
+      if (filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      }
+      db = new Database(filePath);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      runMigrations(db);
+    },
+    
+    close: async () => {
+      if (db) db.close();
+      db = null;
+    },
+    
+    list: async (collectionName) => {
+      getCollection(collectionName);
+      return parseRows(requireDb().prepare(`SELECT doc FROM ${quote(collectionName)} ORDER BY rowid`).all());
+    },
+    
+    find: async (collectionName, where, { match = 'all' } = {}) => {
+      const { clause, params } = buildWhere(collectionName, where, match);
+      const sql = `SELECT doc FROM ${quote(collectionName)} ${clause} ORDER BY rowid`;
+      return parseRows(requireDb().prepare(sql).all(...params));
+    },
+    
+    count: async (collectionName, where = {}) => {
+      const { clause, params } = buildWhere(collectionName, where, 'all');
+      const sql = `SELECT COUNT(*) AS total FROM ${quote(collectionName)} ${clause}`;
+      return requireDb().prepare(sql).get(...params).total;
+    },
+    
+    get: async (collectionName, id) => {
+      getCollection(collectionName);
+      const row = requireDb().prepare(`SELECT doc FROM ${quote(collectionName)} WHERE id = ?`).get(id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+    
+    insert: async (collectionName, doc) => {
+      const { columns } = getCollection(collectionName);
+      const names = ['id', ...columns, 'doc'];
+      const sql = `INSERT INTO ${quote(collectionName)} (${names.map(quote).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`;
+      requireDb().prepare(sql).run(
+        doc.id,
+        ...columns.map(column => toColumnValue(doc[column])),
+        JSON.stringify(doc)
+      );
+      return doc;
+    },
+    
+    update: async (collectionName, id, doc) => {
+      const { columns } = getCollection(collectionName);
+      const next = { ...doc, id };
+      const assignments = [...columns, 'doc'].map(column => `${quote(column)} = ?`).join(', ');
+      const result = requireDb()
+        .prepare(`UPDATE ${quote(collectionName)} SET ${assignments} WHERE id = ?`)
+        .run(...columns.map(column => toColumnValue(next[column])), JSON.stringify(next), id);
+      
+      if (result.changes === 0) {
+        throw new Error(`Unknown ${collectionName} id: ${id}`);
+      }
+      return next;
+    },
+    
+    clear: async (collectionName) => {
+      getCollection(collectionName);
+      requireDb().prepare(`DELETE FROM ${quote(collectionName)}`).run();
+    }
+  };
+};
+
+module.exports = {
+  createSqliteDriver
+};
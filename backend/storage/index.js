@@ -0,0 +1,49 @@
+const path = require('path');
+const { loadMockData } = require('../utils/dataLoader');
+const { createMemoryDriver } = require('./drivers/memoryDriver');
+const { createFileDriver } = require('./drivers/fileDriver');
+const { createSqliteDriver } = require('./drivers/sqliteDriver');
+
+// Storage driver selected with STORAGE_DRIVER ("file", "memory" or "sqlite").
+// The memory and file drivers start from a copy of the mock dataset in
+// data/mockData.js; a SQLite database is filled with `npm run seed`.
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'db.json');
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'data', 'health.db');
+
+let ready = null;
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'file') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryDriver({ seed: loadMockData() });
+    case 'file':
+      return createFileDriver({
+        filePath: process.env.DATA_FILE || DEFAULT_DATA_FILE,
+        seed: loadMockData()
+      });
+    case 'sqlite':
+      return createSqliteDriver({
+        filePath: process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Shared, initialized storage instance, created on first use
+const getStorage = () => {
+  if (!ready) {
+    const storage = createStorage();
+    ready = storage.init().then(() => storage);
+    // Let the next call retry when initialization fails
+    ready.catch(() => {
+      ready = null;
+    });
+  }
+  return ready;
+};
+
+module.exports = {
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,34 @@
+const migrations = require('./migrations');
+
+// Apply every migration newer than the database's current schema version.
+// Each migration runs in its own transaction together with its bookkeeping row,
+// so a failing migration leaves the schema at the previous version.
+const runMigrations = (db, available = migrations) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+  
+  const { current } = db.prepare('SELECT MAX(version) AS current FROM schema_migrations').get();
+  const pending = available
+    .filter(migration => migration.version > (current || 0))
+    .sort((a, b) => a.version - b.version);
+  
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)');
+  
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  }
+  
+  return pending.map(migration => migration.version);
+};
+
+module.exports = {
+  runMigrations
+};
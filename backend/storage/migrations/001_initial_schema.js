@@ -0,0 +1,59 @@
+// Tables for the four core collections. Each keeps the full document as JSON
+// in `doc`, plus the columns listed in storage/collections.js for indexing.
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE patients (
+        id TEXT PRIMARY KEY,
+        patientId TEXT NOT NULL UNIQUE,
+        email TEXT,
+        walletAddress TEXT COLLATE NOCASE,
+        createdAt TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_patients_walletAddress ON patients (walletAddress);
+
+      CREATE TABLE records (
+        id TEXT PRIMARY KEY,
+        patientId TEXT NOT NULL REFERENCES patients (id),
+        type TEXT,
+        status TEXT,
+        date TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_records_patientId ON records (patientId);
+      CREATE INDEX idx_records_status ON records (status);
+
+      CREATE TABLE consents (
+        id TEXT PRIMARY KEY,
+        patientId TEXT NOT NULL REFERENCES patients (id),
+        walletAddress TEXT COLLATE NOCASE,
+        grantee TEXT COLLATE NOCASE,
+        status TEXT NOT NULL,
+        nonce TEXT,
+        createdAt TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_consents_patientId ON consents (patientId);
+      CREATE INDEX idx_consents_walletAddress ON consents (walletAddress);
+      CREATE INDEX idx_consents_grantee ON consents (grantee);
+      CREATE INDEX idx_consents_status ON consents (status);
+
+      CREATE TABLE transactions (
+        id TEXT PRIMARY KEY,
+        "from" TEXT COLLATE NOCASE,
+        "to" TEXT COLLATE NOCASE,
+        type TEXT,
+        status TEXT,
+        blockchainTxHash TEXT,
+        timestamp TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_transactions_from ON transactions ("from");
+      CREATE INDEX idx_transactions_to ON transactions ("to");
+      CREATE INDEX idx_transactions_status ON transactions (status);
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Grantees (research institutions, insurers, analytics vendors, ...) that
+// patients share data with. Consents reference the grantee they were granted to.
+module.exports = {
+  version: 2,
+  name: 'grantees',
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE grantees (
+        id TEXT PRIMARY KEY,
+        walletAddress TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        type TEXT,
+        createdAt TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_grantees_type ON grantees (type);
+
+      ALTER TABLE consents ADD COLUMN granteeId TEXT REFERENCES grantees (id);
+      CREATE INDEX idx_consents_granteeId ON consents (granteeId);
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// Append-only audit log. Each entry stores the hash of the previous one, and
+// updates are refused at the database level; deletions break the hash chain.
+module.exports = {
+  version: 3,
+  name: 'audit_log',
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE audit (
+        id TEXT PRIMARY KEY,
+        sequence INTEGER NOT NULL UNIQUE,
+        actor TEXT COLLATE NOCASE,
+        action TEXT NOT NULL,
+        patientId TEXT,
+        timestamp TEXT NOT NULL,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_actor ON audit (actor);
+      CREATE INDEX idx_audit_action ON audit (action);
+      CREATE INDEX idx_audit_patientId ON audit (patientId);
+
+      CREATE TRIGGER audit_append_only BEFORE UPDATE ON audit
+      BEGIN
+        SELECT RAISE(ABORT, 'audit entries cannot be modified');
+      END;
+    `);
+  }
+};
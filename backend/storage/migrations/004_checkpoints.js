@@ -0,0 +1,17 @@
+// Progress markers of background jobs, such as the last block the chain event
+// indexer processed, so they resume where they stopped after a restart.
+// Transactions of the consent registry also record the patient they concern.
+module.exports = {
+  version: 4,
+  name: 'checkpoints',
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE checkpoints (
+        id TEXT PRIMARY KEY,
+        doc TEXT NOT NULL
+      );
+      ALTER TABLE transactions ADD COLUMN patientId TEXT;
+      CREATE INDEX idx_transactions_patientId ON transactions (patientId);
+    `);
+  }
+};
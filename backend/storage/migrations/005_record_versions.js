@@ -0,0 +1,12 @@
+// Medical records are versioned: an amendment adds a new record document that
+// points at the first version of its record, so a record's history is one lookup.
+module.exports = {
+  version: 5,
+  name: 'record_versions',
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE records ADD COLUMN versionOf TEXT;
+      CREATE INDEX idx_records_versionOf ON records (versionOf);
+    `);
+  }
+};
@@ -0,0 +1,9 @@
+// Migrations in the order they are applied. Never edit or reorder a migration
+// that has shipped, add a new one with the next version instead.
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_grantees'),
+  require('./003_audit_log'),
+  require('./004_checkpoints'),
+  require('./005_record_versions')
+];
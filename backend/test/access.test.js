@@ -0,0 +1,116 @@
+// Record reads must be granted only by the patient or a matching consent in effect.
+//   npm test
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A fresh in-memory dataset
+process.env.STORAGE_DRIVER = 'memory';
+
+const consentsRepository = require('../repositories/consentsRepository');
+const { authorizeRecordAccess } = require('../utils/access');
+const { isRecordInScope } = require('../utils/consentScope');
+const { ROLES } = require('../utils/roles');
+
+// A wallet no seeded consent is granted to
+const PROVIDER_WALLET = '0x2222222222222222222222222222222222222222';
+const provider = { role: ROLES.PROVIDER, wallet: PROVIDER_WALLET };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+// One consent to the provider per patient, each in the state a test needs
+const CONSENTS = {
+  'patient-access-granted': { status: 'active', expiresAt: inDays(30) },
+  'patient-access-lapsed': { status: 'active', expiresAt: inDays(-1) },
+  'patient-access-expired': { status: 'expired', expiresAt: inDays(-1) },
+  'patient-access-pending': { status: 'pending', expiresAt: inDays(30) },
+  'patient-access-revoked': { status: 'revoked', expiresAt: null }
+};
+
+describe('authorizeRecordAccess', () => {
+  before(async () => {
+    for (const [patientId, fields] of Object.entries(CONSENTS)) {
+      await consentsRepository.createConsent({
+        id: `consent-${patientId}`,
+        patientId,
+        grantee: PROVIDER_WALLET,
+        purpose: 'treatment',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        ...fields
+      });
+    }
+  });
+
+  it('lets a patient read their own records without a purpose or consent', async () => {
+    const decision = await authorizeRecordAccess({ role: ROLES.PATIENT, patientId: 'patient-001', wallet: '0xabc' }, 'patient-001');
+
+    assert.deepEqual(decision, { allowed: true, basis: 'owner', consent: null });
+  });
+
+  it('grants a read through a consent in effect for the purpose, and returns it', async () => {
+    const decision = await authorizeRecordAccess(provider, 'patient-access-granted', 'treatment');
+
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.basis, 'consent');
+    assert.equal(decision.consent.id, 'consent-patient-access-granted');
+  });
+
+  it('requires a purpose from anyone but the owner', async () => {
+    const otherPatient = { role: ROLES.PATIENT, patientId: 'patient-002', wallet: PROVIDER_WALLET };
+
+    assert.equal((await authorizeRecordAccess(provider, 'patient-access-granted')).reason, 'purpose_required');
+    assert.equal((await authorizeRecordAccess(otherPatient, 'patient-access-granted')).reason, 'purpose_required');
+  });
+
+  it('denies a wallet the patient never granted a consent', async () => {
+    const decision = await authorizeRecordAccess(provider, 'patient-001', 'treatment');
+
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'no_consent');
+  });
+
+  it('denies a purpose no consent covers', async () => {
+    const decision = await authorizeRecordAccess(provider, 'patient-access-granted', 'research');
+
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'purpose_mismatch');
+  });
+
+  it('denies a consent past its expiry, whether or not the sweeper has expired it', async () => {
+    assert.equal((await authorizeRecordAccess(provider, 'patient-access-lapsed', 'treatment')).reason, 'consent_expired');
+    assert.equal((await authorizeRecordAccess(provider, 'patient-access-expired', 'treatment')).reason, 'consent_expired');
+  });
+
+  it('denies a consent that is pending or revoked', async () => {
+    assert.equal((await authorizeRecordAccess(provider, 'patient-access-pending', 'treatment')).reason, 'consent_not_active');
+    assert.equal((await authorizeRecordAccess(provider, 'patient-access-revoked', 'treatment')).reason, 'consent_not_active');
+  });
+});
+
+describe('isRecordInScope', () => {
+  const scope = { recordTypes: ['Lab Results'], dateFrom: '2024-01-01', dateTo: '2024-12-31', fields: [] };
+  const record = (type, date) => ({ type, date });
+
+  it('shares every record under a consent without a scope', () => {
+    assert.equal(isRecordInScope(record('Imaging', '1999-01-01'), null), true);
+  });
+
+  it('keeps only the listed record types', () => {
+    assert.equal(isRecordInScope(record('Lab Results', '2024-06-01'), scope), true);
+    assert.equal(isRecordInScope(record('Imaging', '2024-06-01'), scope), false);
+  });
+
+  it('compares record days with both bounds inclusive', () => {
+    assert.equal(isRecordInScope(record('Lab Results', '2024-01-01'), scope), true);
+    assert.equal(isRecordInScope(record('Lab Results', '2024-12-31T23:59:59.000Z'), scope), true);
+    assert.equal(isRecordInScope(record('Lab Results', '2023-12-31'), scope), false);
+    assert.equal(isRecordInScope(record('Lab Results', '2025-01-01'), scope), false);
+  });
+
+  it('leaves an open bound unchecked', () => {
+    const openEnded = { ...scope, dateTo: null };
+
+    assert.equal(isRecordInScope(record('Lab Results', '2030-01-01'), openEnded), true);
+    assert.equal(isRecordInScope(record('Lab Results', '2023-12-31'), openEnded), false);
+  });
+});
@@ -0,0 +1,86 @@
+// Any change to the audit log after the fact must break its hash chain.
+//   npm test
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A fresh in-memory dataset
+process.env.STORAGE_DRIVER = 'memory';
+
+const { getStorage } = require('../storage');
+const auditRepository = require('../repositories/auditRepository');
+
+const AUDIT_MODULE = require.resolve('../services/auditLog');
+const COLLECTION = 'audit';
+
+// The audit log as loaded by a newly started process, so the head it keeps
+// in memory is read again from storage
+const loadAuditLog = () => {
+  delete require.cache[AUDIT_MODULE];
+  return require(AUDIT_MODULE);
+};
+
+const findEntry = async (sequence) => {
+  const entries = await auditRepository.listEntries();
+  return entries.find(entry => entry.sequence === sequence);
+};
+
+describe('audit chain verification', () => {
+  let auditLog;
+  let storage;
+
+  // Each test starts from a chain of three untouched entries
+  beforeEach(async () => {
+    storage = await getStorage();
+    await storage.clear(COLLECTION);
+    auditLog = loadAuditLog();
+
+    for (const patientId of ['patient-001', 'patient-002', 'patient-003']) {
+      await auditLog.appendAudit({ actor: 'system', action: 'record.read', patientId, details: { recordIds: [] } });
+    }
+  });
+
+  it('accepts the chain as appended', async () => {
+    const result = await auditLog.verifyAuditChain();
+
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 3);
+    assert.equal(result.brokenAt, null);
+    assert.equal(result.headHash, (await findEntry(3)).hash);
+  });
+
+  it('reports an edited entry as hash_mismatch', async () => {
+    const entry = await findEntry(2);
+    await storage.update(COLLECTION, entry.id, { ...entry, patientId: 'patient-999' });
+
+    const result = await auditLog.verifyAuditChain();
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.brokenAt, { id: 'audit-2', sequence: 2, reason: 'hash_mismatch' });
+  });
+
+  it('reports a deleted entry as sequence_gap on the entry after it', async () => {
+    const entries = await auditRepository.listEntries();
+    await storage.clear(COLLECTION);
+    for (const entry of entries.filter(e => e.sequence !== 2)) {
+      await storage.insert(COLLECTION, entry);
+    }
+
+    const result = await auditLog.verifyAuditChain();
+
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 2);
+    assert.deepEqual(result.brokenAt, { id: 'audit-3', sequence: 3, reason: 'sequence_gap' });
+  });
+
+  it('reports an edited entry given a fresh hash as prev_hash_mismatch on the entry after it', async () => {
+    const entry = await findEntry(2);
+    const edited = { ...entry, patientId: 'patient-999' };
+    edited.hash = auditLog.hashEntry(edited);
+    await storage.update(COLLECTION, entry.id, edited);
+
+    const result = await auditLog.verifyAuditChain();
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.brokenAt, { id: 'audit-3', sequence: 3, reason: 'prev_hash_mismatch' });
+  });
+});
@@ -0,0 +1,223 @@
+// The event indexer must follow the chain through reorgs and restarts.
+//   npm test
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+// A fresh in-memory dataset, and no indexer warnings in the test output
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.INDEXER_CONFIRMATIONS = '3';
+
+const transactionsRepository = require('../repositories/transactionsRepository');
+const checkpointsRepository = require('../repositories/checkpointsRepository');
+const { CONSENT_REGISTRY_ABI, chainTransactionId } = require('../utils/consentRegistry');
+
+const INDEXER_MODULE = require.resolve('../services/consentEventIndexer');
+const CHAIN_ID = 31337;
+const SENDER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// The indexer as loaded by a newly started process: only storage carries over
+const startIndexer = () => {
+  delete require.cache[INDEXER_MODULE];
+  return require(INDEXER_MODULE);
+};
+
+/**
+ * A dev chain in memory with the provider calls the indexer makes. Blocks
+ * above a fork point can be replaced, and transactions mined again later.
+ * Every log handed out by getLogs is kept in `served`.
+ */
+class FakeChain {
+  constructor(registryAddress) {
+    this.registryAddress = registryAddress;
+    this.contractInterface = new ethers.Interface(CONSENT_REGISTRY_ABI);
+    this.blocks = [];
+    this.receipts = new Map();
+    this.served = [];
+    this.provider = this;
+    this.mine();
+  }
+
+  // Mine a block holding `transactions` ({ hash, consentId }), each emitting ConsentAnchored
+  mine(transactions = []) {
+    const number = this.blocks.length;
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+
+    const logs = transactions.map(({ hash: transactionHash, consentId }, index) => {
+      const { data, topics } = this.contractInterface.encodeEventLog('ConsentAnchored', [
+        ethers.id(consentId),
+        consentId,
+        ethers.id(`content of ${consentId}`),
+        SENDER,
+        0
+      ]);
+      const log = { blockNumber: number, blockHash: hash, transactionHash, index, address: this.registryAddress, topics, data };
+
+      this.receipts.set(transactionHash, {
+        from: SENDER,
+        status: 1,
+        gasUsed: 50000n,
+        gasPrice: 1000000000n,
+        cumulativeGasUsed: 50000n,
+        fee: 50000n * 1000000000n,
+        logs: [log]
+      });
+      return log;
+    });
+
+    this.blocks.push({ number, hash, timestamp: 1700000000 + number * 12, logs });
+  }
+
+  mineEmpty(count) {
+    for (let i = 0; i < count; i += 1) this.mine();
+  }
+
+  // Drop every block after `blockNumber`, as a reorg to a competing branch does
+  reorg(blockNumber) {
+    this.blocks = this.blocks.slice(0, blockNumber + 1);
+  }
+
+  get head() {
+    return this.blocks.length - 1;
+  }
+
+  async getNetwork() {
+    return { chainId: BigInt(CHAIN_ID) };
+  }
+
+  async getBlockNumber() {
+    return this.head;
+  }
+
+  async getBlock(number) {
+    return this.blocks[number] || null;
+  }
+
+  async getLogs({ address, fromBlock, toBlock }) {
+    const logs = this.blocks
+      .slice(fromBlock, toBlock + 1)
+      .flatMap(block => block.logs)
+      .filter(log => log.address === address);
+
+    this.served.push(...logs);
+    return logs;
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+
+  // The ConsentRegistry contract, as far as the indexer uses it
+  get registry() {
+    return { target: this.registryAddress, interface: this.contractInterface, runner: { provider: this } };
+  }
+}
+
+const randomTransaction = (consentId) => ({ hash: ethers.hexlify(ethers.randomBytes(32)), consentId });
+
+const findIndexed = (transaction) => transactionsRepository.findTransactionById(chainTransactionId(transaction.hash));
+
+describe('consent event indexer', () => {
+  let chain;
+
+  // Each test indexes its own registry, so earlier checkpoints are discarded
+  beforeEach(() => {
+    chain = new FakeChain(ethers.Wallet.createRandom().address);
+    chain.mineEmpty(2);
+  });
+
+  it('counts confirmations up to requiredConfirmations', async () => {
+    const { indexConsentEvents } = startIndexer();
+    const transaction = randomTransaction('consent-001');
+    chain.mine([transaction]);
+
+    await indexConsentEvents(chain.registry);
+    let indexed = await findIndexed(transaction);
+    assert.equal(indexed.status, 'pending');
+    assert.equal(indexed.confirmations, 1);
+    assert.equal(indexed.requiredConfirmations, 3);
+
+    chain.mine();
+    await indexConsentEvents(chain.registry);
+    indexed = await findIndexed(transaction);
+    assert.equal(indexed.status, 'pending');
+    assert.equal(indexed.confirmations, 2);
+
+    chain.mine();
+    await indexConsentEvents(chain.registry);
+    indexed = await findIndexed(transaction);
+    assert.equal(indexed.status, 'confirmed');
+    assert.equal(indexed.confirmations, 3);
+  });
+
+  it('orphans a pending transaction on a reorg and restores it once mined again', async () => {
+    const { indexConsentEvents } = startIndexer();
+    const transaction = randomTransaction('consent-002');
+    chain.mine([transaction]);
+    const minedIn = chain.head;
+
+    await indexConsentEvents(chain.registry);
+    assert.equal((await findIndexed(transaction)).status, 'pending');
+
+    // A competing branch replaces the block from the fork point on, without the transaction
+    chain.reorg(minedIn - 1);
+    chain.mineEmpty(2);
+
+    const reorged = await indexConsentEvents(chain.registry);
+    assert.equal(reorged.reorgedAt, minedIn - 1);
+    assert.deepEqual(reorged.orphaned, [chainTransactionId(transaction.hash)]);
+    assert.equal(reorged.indexed, 0);
+
+    let indexed = await findIndexed(transaction);
+    assert.equal(indexed.status, 'failed');
+    assert.equal(indexed.failureReason, 'reorg');
+    assert.equal(indexed.confirmations, 0);
+
+    // The transaction goes back to the mempool and is included in the new branch
+    chain.mine([transaction]);
+
+    const restored = await indexConsentEvents(chain.registry);
+    assert.equal(restored.reorgedAt, null);
+    assert.equal(restored.indexed, 1);
+
+    indexed = await findIndexed(transaction);
+    assert.equal(indexed.status, 'pending');
+    assert.equal(indexed.failureReason, null);
+    assert.equal(indexed.blockNumber, chain.head);
+    assert.equal(indexed.blockHash, chain.blocks[chain.head].hash);
+    assert.equal(indexed.confirmations, 1);
+  });
+
+  it('resumes from the saved checkpoint after a restart without indexing a log twice', async () => {
+    const first = randomTransaction('consent-003');
+    const second = randomTransaction('consent-004');
+    chain.mine([first]);
+    chain.mineEmpty(1);
+
+    const before = await startIndexer().indexConsentEvents(chain.registry);
+    assert.equal(before.indexed, 1);
+
+    const checkpoint = await checkpointsRepository.findCheckpoint('consent-registry-indexer');
+    assert.equal(checkpoint.blockNumber, chain.head);
+    assert.equal(checkpoint.contractAddress, chain.registryAddress);
+
+    chain.mine([second]);
+    chain.mineEmpty(1);
+
+    const after = await startIndexer().indexConsentEvents(chain.registry);
+    assert.equal(after.fromBlock, checkpoint.blockNumber + 1);
+    assert.equal(after.toBlock, chain.head);
+    assert.equal(after.indexed, 1);
+
+    const idle = await startIndexer().indexConsentEvents(chain.registry);
+    assert.equal(idle.indexed, 0);
+
+    const servedKeys = chain.served.map(log => `${log.transactionHash}:${log.index}`);
+    assert.equal(new Set(servedKeys).size, servedKeys.length, 'a log was indexed twice');
+    assert.deepEqual(chain.served.map(log => log.transactionHash), [first.hash, second.hash]);
+
+    assert.equal((await findIndexed(first)).blockNumber, chain.head - 3);
+    assert.equal((await findIndexed(second)).blockNumber, chain.head - 1);
+  });
+});
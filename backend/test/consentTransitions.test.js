@@ -0,0 +1,98 @@
+// Consent transitions racing each other must never overwrite one another.
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A fresh in-memory dataset
+process.env.STORAGE_DRIVER = 'memory';
+
+const consentsRepository = require('../repositories/consentsRepository');
+const consentAnchoring = require('../services/consentAnchoring');
+const { ConflictError } = require('../utils/errors');
+
+const CHAIN_DELAY_MS = 100;
+const ADMIN_WALLET = '0x1111111111111111111111111111111111111111';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The chain, as slow as a transaction waiting to be mined. Replaced before the
+// controller loads, so it picks these up.
+consentAnchoring.anchorConsent = async () => {
+  await delay(CHAIN_DELAY_MS);
+  return { blockchainTxHash: '0xanchored', anchor: { revocationTxHash: null } };
+};
+consentAnchoring.revokeAnchoredConsent = async (consent) => {
+  await delay(CHAIN_DELAY_MS);
+  return { anchor: { ...consent.anchor, revocationTxHash: '0xrevoked' } };
+};
+
+const { updateConsent } = require('../controllers/consentsController');
+const { expireDueConsents } = require('../services/consentExpiry');
+
+const addConsent = (id, fields) => consentsRepository.createConsent({
+  id,
+  patientId: 'patient-001',
+  grantee: ADMIN_WALLET,
+  granteeId: null,
+  purpose: 'treatment',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  expiresAt: null,
+  history: [],
+  ...fields
+});
+
+// PATCH /consents/:id as an admin, resolving to the response body
+const patchConsent = async (id, status) => {
+  let body;
+  const req = {
+    id: `test-${id}-${status}`,
+    params: { id },
+    body: { status },
+    auth: { role: 'admin', wallet: ADMIN_WALLET }
+  };
+  const res = { json: (value) => { body = value; } };
+
+  await updateConsent(req, res);
+  return body;
+};
+
+describe('consent transitions', () => {
+  it('rejects a second transition made while the first waits on the chain', async () => {
+    await addConsent('consent-race-1', { status: 'pending' });
+
+    const approving = patchConsent('consent-race-1', 'active');
+    await delay(CHAIN_DELAY_MS / 10);
+    const rejecting = patchConsent('consent-race-1', 'rejected');
+
+    const [approved, rejected] = await Promise.allSettled([approving, rejecting]);
+    assert.equal(approved.status, 'fulfilled');
+    assert.equal(approved.value.status, 'active');
+    assert.equal(rejected.status, 'rejected');
+    assert.ok(rejected.reason instanceof ConflictError);
+
+    const stored = await consentsRepository.findConsentById('consent-race-1');
+    assert.equal(stored.status, 'active');
+    assert.deepEqual(stored.history.map(entry => [entry.from, entry.to]), [['pending', 'active']]);
+  });
+
+  it('leaves a consent revoked while the sweeper waited to expire it', async () => {
+    await addConsent('consent-race-2', {
+      status: 'active',
+      expiresAt: '2025-06-01T00:00:00.000Z',
+      anchor: { consentHash: '0xhash', revocationTxHash: null }
+    });
+
+    const revoking = patchConsent('consent-race-2', 'revoked');
+    await delay(CHAIN_DELAY_MS / 10);
+    const expired = await expireDueConsents(Date.parse('2026-01-01T00:00:00.000Z'));
+    const revoked = await revoking;
+
+    assert.equal(revoked.status, 'revoked');
+    assert.ok(!expired.includes('consent-race-2'));
+
+    const stored = await consentsRepository.findConsentById('consent-race-2');
+    assert.equal(stored.status, 'revoked');
+    assert.equal(stored.anchor.revocationTxHash, '0xrevoked');
+    assert.deepEqual(stored.history.map(entry => entry.to), ['revoked']);
+  });
+});
@@ -0,0 +1,116 @@
+// The OpenAPI document must describe every route the router serves.
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Keep the request log out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const router = require('../routes');
+const schemas = require('../routes/schemas');
+const operations = require('../routes/operations');
+const { listRoutes } = require('../utils/routeTable');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { notFound, errorHandler } = require('../middleware/errorHandler');
+
+const routes = listRoutes(router);
+const document = buildOpenApiDocument(router);
+
+const SCHEMA_NAMES = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+
+const label = (route) => `${route.method} /api${route.path}`;
+const operationOf = (route) => (document.paths[route.path.replace(/:(\w+)/g, '{$1}')] || {})[route.method.toLowerCase()];
+
+describe('OpenAPI document', () => {
+  it('documents every route', () => {
+    const undocumented = routes
+      .filter(route => !operations[SCHEMA_NAMES.get(route.schema)])
+      .map(label);
+
+    assert.deepEqual(undocumented, [], `Add these routes to routes/operations.js: ${undocumented.join(', ')}`);
+  });
+
+  it('has an operation with a summary and a success response for every route', () => {
+    for (const route of routes) {
+      const operation = operationOf(route);
+
+      assert.ok(operation, `${label(route)} is missing from the document`);
+      assert.ok(operation.summary, `${label(route)} has no summary`);
+      assert.ok(Object.keys(operation.responses).some(status => status < 400), `${label(route)} has no success response`);
+    }
+  });
+
+  it('has no documentation left over from removed routes', () => {
+    const routed = new Set(routes.map(route => SCHEMA_NAMES.get(route.schema)));
+    const stale = Object.keys(operations).filter(name => !routed.has(name));
+
+    assert.deepEqual(stale, [], `No route uses these entries of routes/operations.js: ${stale.join(', ')}`);
+  });
+
+  it('declares every path parameter', () => {
+    for (const route of routes) {
+      const declared = operationOf(route).parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+      const inPath = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+      assert.deepEqual(declared.sort(), inPath.sort(), `${label(route)} path parameters`);
+    }
+  });
+
+  it('only references defined components', () => {
+    const refs = [...JSON.stringify(document).matchAll(/"\$ref":"#\/([^"]+)"/g)].map(match => match[1]);
+
+    for (const ref of refs) {
+      const target = ref.split('/').reduce((node, key) => node && node[key], document);
+      assert.ok(target, `${ref} points nowhere`);
+    }
+  });
+
+  it('requires a session token exactly where the routes do', () => {
+    for (const route of routes) {
+      assert.equal(Boolean(operationOf(route).security), route.authenticated, `${label(route)} security`);
+    }
+  });
+});
+
+describe('GET /api/openapi.json, /api/docs and unknown paths', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    app.use(notFound);
+    app.use(errorHandler);
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}/api`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('serves the document without a session', async () => {
+    const response = await fetch(`${baseUrl}/openapi.json`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), JSON.parse(JSON.stringify(document)));
+  });
+
+  it('serves the explorer page without a session', async () => {
+    const response = await fetch(`${baseUrl}/docs`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(await response.text(), /openapi\.json/);
+  });
+
+  it('answers unknown paths with 404, not a session error', async () => {
+    const response = await fetch(`${baseUrl}/no-such-route`);
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'NOT_FOUND');
+  });
+});
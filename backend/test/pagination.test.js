@@ -0,0 +1,76 @@
+// Cursor pagination must visit every item exactly once, in order.
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paginate } = require('../utils/pagination');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULTS = { fields: ['name', 'date'], sort: 'name', order: 'asc', limit: 2 };
+
+const ITEMS = [
+  { id: 'a', name: 'carol', date: '2024-03-01' },
+  { id: 'b', name: 'Alice', date: '2024-01-15T10:00:00.000Z' },
+  { id: 'c', name: 'bob', date: null },
+  { id: 'd', name: 'alice', date: '2023-12-31' },
+  { id: 'e', name: 'Dave', date: '2024-02-01' }
+];
+
+// Every page of a list, following nextCursor to the end
+const allPages = (items, query = {}) => {
+  const pages = [];
+  let cursor;
+
+  do {
+    const page = paginate(items, { ...query, ...(cursor && { cursor }) }, DEFAULTS);
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return pages;
+};
+
+const idsOf = (pages) => pages.flatMap(page => page.items.map(item => item.id));
+
+describe('paginate', () => {
+  it('pages through the list with the defaults, ties broken by id', () => {
+    const pages = allPages(ITEMS);
+
+    assert.deepEqual(pages.map(page => page.items.length), [2, 2, 1]);
+    assert.deepEqual(idsOf(pages), ['b', 'd', 'c', 'a', 'e']);
+    assert.ok(pages.every(page => page.total === ITEMS.length));
+    assert.equal(pages[pages.length - 1].nextCursor, null);
+  });
+
+  it('sorts dates by time in either order, missing values last', () => {
+    assert.deepEqual(idsOf(allPages(ITEMS, { sort: 'date' })), ['d', 'b', 'e', 'a', 'c']);
+    assert.deepEqual(idsOf(allPages(ITEMS, { sort: 'date', order: 'desc' })), ['a', 'e', 'b', 'd', 'c']);
+  });
+
+  it('continues after the cursor item when the list changed in between', () => {
+    const first = paginate(ITEMS, {}, DEFAULTS);
+    const changed = [...ITEMS.filter(item => item.id !== 'b'), { id: 'f', name: 'Aaron' }, { id: 'g', name: 'zed' }];
+    const next = paginate(changed, { cursor: first.nextCursor }, DEFAULTS);
+
+    assert.deepEqual(next.items.map(item => item.id), ['c', 'a']);
+    assert.equal(next.total, 6);
+  });
+
+  it('honours the requested limit', () => {
+    const page = paginate(ITEMS, { limit: 10 }, DEFAULTS);
+
+    assert.equal(page.items.length, ITEMS.length);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it('rejects cursors it did not issue or issued for another sort', () => {
+    const { nextCursor } = paginate(ITEMS, {}, DEFAULTS);
+
+    assert.throws(() => paginate(ITEMS, { cursor: 'not-a-cursor' }, DEFAULTS), ValidationError);
+    assert.throws(() => paginate(ITEMS, { cursor: nextCursor, order: 'desc' }, DEFAULTS), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.details.errors[0].field, 'cursor');
+      return true;
+    });
+  });
+});
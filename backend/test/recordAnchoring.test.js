@@ -0,0 +1,68 @@
+// Anchoring passes must never clash, however close together they run.
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A fresh in-memory dataset
+process.env.STORAGE_DRIVER = 'memory';
+
+const recordsRepository = require('../repositories/recordsRepository');
+const transactionsRepository = require('../repositories/transactionsRepository');
+const { serializeRecordWrite, anchorPendingRecords, buildRecordProof } = require('../services/recordAnchoring');
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+
+const addRecord = (id) => recordsRepository.createRecord({
+  id,
+  patientId: 'patient-001',
+  type: 'Lab Results',
+  title: `Result ${id}`,
+  description: 'Blood panel',
+  date: '2025-12-31',
+  doctor: 'Dr. Test',
+  hospital: 'Test Hospital',
+  status: 'pending'
+});
+
+const anchorQueued = () => serializeRecordWrite(() => anchorPendingRecords(NOW));
+
+describe('record anchoring', () => {
+  it('gives passes in the same millisecond their own transaction', async () => {
+    // The seeded records
+    const seeded = await anchorQueued();
+
+    await addRecord('record-anchor-test-1');
+    const first = await anchorQueued();
+    await addRecord('record-anchor-test-2');
+    const second = await anchorQueued();
+
+    assert.deepEqual(first.recordIds, ['record-anchor-test-1']);
+    assert.deepEqual(second.recordIds, ['record-anchor-test-2']);
+    assert.equal(new Set([seeded.id, first.id, second.id]).size, 3);
+    assert.match(first.id, /^tx-anchor-[0-9a-f]{12}$/);
+
+    // Kept off chain, so nothing about it looks mined
+    assert.equal(first.status, 'off_chain');
+    assert.equal(first.blockchainTxHash, null);
+    assert.equal(first.blockNumber, null);
+
+    const proof = await buildRecordProof(await recordsRepository.findRecordById('record-anchor-test-2'));
+    assert.equal(proof.transaction.id, second.id);
+    assert.equal(proof.transaction.blockNumber, null);
+    assert.equal(proof.verified, true);
+  });
+
+  it('anchors each record once when passes are queued together', async () => {
+    await addRecord('record-anchor-test-3');
+    await addRecord('record-anchor-test-4');
+
+    const passes = await Promise.all([anchorQueued(), anchorQueued(), anchorQueued()]);
+    const anchored = passes.filter(Boolean);
+
+    assert.equal(anchored.length, 1);
+    assert.deepEqual(anchored[0].recordIds, ['record-anchor-test-3', 'record-anchor-test-4']);
+
+    const anchors = (await transactionsRepository.listTransactions()).filter(t => t.type === 'record_anchor');
+    assert.equal(anchors.filter(t => t.recordIds.includes('record-anchor-test-3')).length, 1);
+  });
+});
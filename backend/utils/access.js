@@ -0,0 +1,113 @@
+const consentsRepository = require('../repositories/consentsRepository');
+const { ROLES } = require('./roles');
+const { addressesMatch } = require('./signature');
+const { getScopeFields } = require('./consentScope');
+
+// A consent grants access only while it is active and not past its expiry
+const isConsentInEffect = (consent, now = Date.now()) => {
+  if (consent.status !== 'active') return false;
+  return !consent.expiresAt || new Date(consent.expiresAt).getTime() > now;
+};
+
+// Patients whose data the grantee wallet may read through a consent in effect
+const getGrantedPatientIds = async (wallet) => {
+  const consents = await consentsRepository.listConsents({ grantee: wallet });
+  return new Set(consents.filter(c => isConsentInEffect(c)).map(c => c.patientId));
+};
+
+// Demographic fields each granted patient shares with the grantee wallet, as a
+// Map of patientId to field names. Several consents for a patient add up.
+const getGrantedPatientFields = async (wallet) => {
+  const consents = await consentsRepository.listConsents({ grantee: wallet });
+  const shared = new Map();
+  
+  for (const consent of consents.filter(c => isConsentInEffect(c))) {
+    const fields = shared.get(consent.patientId) || new Set();
+    getScopeFields(consent.scope).forEach(field => fields.add(field));
+    shared.set(consent.patientId, fields);
+  }
+  
+  return new Map([...shared].map(([patientId, fields]) => [patientId, [...fields]]));
+};
+
+// Demographic fields the signed-in user sees per patient, or null when they see
+// every field (admins, and patients reading their own profile)
+const getSharedPatientFields = async (auth) => {
+  if (auth.role === ROLES.ADMIN || auth.role === ROLES.PATIENT) return null;
+  return getGrantedPatientFields(auth.wallet);
+};
+
+// Patients the signed-in user may read, or null when they may read every patient
+const getAccessiblePatientIds = async (auth) => {
+  switch (auth.role) {
+    case ROLES.ADMIN:
+      return null;
+    case ROLES.PATIENT:
+      return new Set([auth.patientId]);
+    case ROLES.PROVIDER:
+    case ROLES.RESEARCHER:
+      return getGrantedPatientIds(auth.wallet);
+    default:
+      return new Set();
+  }
+};
+
+// Whether the signed-in user may read the given patient's data
+const canAccessPatient = async (auth, patientId) => {
+  const patientIds = await getAccessiblePatientIds(auth);
+  return patientIds === null || patientIds.has(patientId);
+};
+
+// Whether the signed-in user may see a consent: admins see all, patients see
+// their own and grantees see the consents granted to them
+const canViewConsent = (auth, consent) => {
+  if (auth.role === ROLES.ADMIN) return true;
+  if (auth.role === ROLES.PATIENT && consent.patientId === auth.patientId) return true;
+  return addressesMatch(consent.grantee, auth.wallet);
+};
+
+const deny = (reason, error) => ({ allowed: false, reason, error });
+
+// Decide whether the signed-in user may read a patient's medical records.
+// Patients always read their own records. Every other wallet, admins included,
+// needs a consent in effect for that patient, granted to its wallet, for the
+// purpose it states. A granted decision carries the consent that allowed it.
+const authorizeRecordAccess = async (auth, patientId, purpose) => {
+  if (auth.role === ROLES.PATIENT && auth.patientId === patientId) {
+    return { allowed: true, basis: 'owner', consent: null };
+  }
+  
+  if (!purpose) {
+    return deny('purpose_required', 'A purpose is required to read another patient\'s records');
+  }
+  
+  const granted = await consentsRepository.listConsents({ patientId, grantee: auth.wallet });
+  if (granted.length === 0) {
+    return deny('no_consent', 'The patient has not granted this wallet a consent');
+  }
+  
+  const forPurpose = granted.filter(c => c.purpose === purpose);
+  if (forPurpose.length === 0) {
+    return deny('purpose_mismatch', `No consent covers the purpose "${purpose}"`);
+  }
+  
+  const consent = forPurpose.find(c => isConsentInEffect(c));
+  if (!consent) {
+    const expired = forPurpose.some(c => c.status === 'active' || c.status === 'expired');
+    return expired
+      ? deny('consent_expired', 'The consent for this purpose has expired')
+      : deny('consent_not_active', 'The consent for this purpose is not active');
+  }
+  
+  return { allowed: true, basis: 'consent', consent };
+};
+
+module.exports = {
+  authorizeRecordAccess,
+  isConsentInEffect,
+  getGrantedPatientIds,
+  getAccessiblePatientIds,
+  getSharedPatientFields,
+  canAccessPatient,
+  canViewConsent
+};
@@ -0,0 +1,27 @@
+// Deterministic JSON serialization for hashing: object keys are sorted at every
+// depth and undefined values are dropped, so two documents with the same content
+// always serialize (and hash) the same way regardless of key order.
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? null : canonicalize(item)));
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((sorted, key) => {
+        sorted[key] = canonicalize(value[key]);
+        return sorted;
+      }, {});
+  }
+  
+  return value;
+};
+
+const canonicalJson = (value) => JSON.stringify(canonicalize(value));
+
+module.exports = {
+  canonicalize,
+  canonicalJson
+};
@@ -0,0 +1,57 @@
+const CONSENT_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  REJECTED: 'rejected',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+// Allowed next states for each consent state. rejected, revoked and expired are final.
+const TRANSITIONS = {
+  [CONSENT_STATUS.PENDING]: [CONSENT_STATUS.ACTIVE, CONSENT_STATUS.REJECTED],
+  [CONSENT_STATUS.ACTIVE]: [CONSENT_STATUS.REVOKED, CONSENT_STATUS.EXPIRED],
+  [CONSENT_STATUS.REJECTED]: [],
+  [CONSENT_STATUS.REVOKED]: [],
+  [CONSENT_STATUS.EXPIRED]: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isConsentStatus = (status) => Object.values(CONSENT_STATUS).includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Whether the consent has an expiresAt at or before now
+const isPastExpiry = (consent, now = Date.now()) => {
+  return Boolean(consent.expiresAt) && new Date(consent.expiresAt).getTime() <= now;
+};
+
+// Whether an active consent will expire within the next `days` days
+const isExpiringWithin = (consent, days, now = Date.now()) => {
+  if (consent.status !== CONSENT_STATUS.ACTIVE || !consent.expiresAt) return false;
+  const expiresAt = new Date(consent.expiresAt).getTime();
+  return expiresAt > now && expiresAt <= now + days * DAY_MS;
+};
+
+// Return a copy of the consent moved to the given status, with the change
+// appended to its history. Callers check canTransition first.
+const applyTransition = (consent, to, { by, reason = null, at = new Date().toISOString() }) => {
+  const entry = { from: consent.status || null, to, by, at, reason };
+
+  return {
+    ...consent,
+    status: to,
+    statusChangedAt: at,
+    history: [...(consent.history || []), entry]
+  };
+};
+
+module.exports = {
+  CONSENT_STATUS,
+  TRANSITIONS,
+  isConsentStatus,
+  canTransition,
+  isPastExpiry,
+  isExpiringWithin,
+  applyTransition
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { canonicalJson } = require('./canonicalJson');
+
+// Functions, events and errors of contracts/ConsentRegistry.sol used by the backend
+const CONSENT_REGISTRY_ABI = [
+  'function owner() view returns (address)',
+  'function anchorConsent(string consentId, bytes32 consentHash, address grantee, uint64 expiry)',
+  'function revokeConsent(string consentId)',
+  'function getConsent(string consentId) view returns (tuple(bytes32 consentHash, address grantee, uint64 expiry, uint64 anchoredAt, uint64 revokedAt))',
+  'function isConsentActive(string consentId) view returns (bool)',
+  'event ConsentAnchored(bytes32 indexed consentKey, string consentId, bytes32 consentHash, address indexed grantee, uint64 expiry)',
+  'event ConsentRevoked(bytes32 indexed consentKey, string consentId)',
+  'error NotOwner()',
+  'error AlreadyAnchored(string consentId)',
+  'error NotAnchored(string consentId)',
+  'error AlreadyRevoked(string consentId)'
+];
+
+// Written by `npm run deploy:contracts`
+const DEPLOYMENT_FILE = path.join(__dirname, '..', 'data', 'consentRegistry.json');
+
+// Default JSON-RPC endpoint and chain ID of `anvil` and `npx hardhat node`
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_CHAIN_ID = 31337;
+
+// First pre-funded account of Anvil and Hardhat's dev chains. Its key is public,
+// set CHAIN_PRIVATE_KEY for anything but a local chain.
+const DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const readDeployment = () => {
+  try {
+    return JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// RPC endpoint, chain ID, signing key and registry address (CONSENT_REGISTRY_ADDRESS,
+// or the address of the last deployment). registryAddress is null until deployed.
+const getChainConfig = () => {
+  const deployment = readDeployment();
+  
+  return {
+    rpcUrl: process.env.CHAIN_RPC_URL || DEFAULT_RPC_URL,
+    chainId: Number(process.env.CHAIN_ID) || (deployment ? deployment.chainId : DEFAULT_CHAIN_ID),
+    privateKey: process.env.CHAIN_PRIVATE_KEY || DEV_PRIVATE_KEY,
+    registryAddress: process.env.CONSENT_REGISTRY_ADDRESS || (deployment ? deployment.address : null),
+    deploymentBlock: deployment ? deployment.blockNumber : 0
+  };
+};
+
+let registry = null;
+
+// Shared ConsentRegistry contract connected to the backend's signer, created on
+// first use. Returns null when no registry has been deployed or configured.
+const getConsentRegistry = () => {
+  if (!registry) {
+    const { rpcUrl, chainId, privateKey, registryAddress } = getChainConfig();
+    if (!registryAddress) return null;
+    
+    // A known network skips detection, which retries (and logs) forever while the
+    // chain is down. Responses aren't cached, a cached block number can predate a
+    // transaction that was just mined.
+    const network = ethers.Network.from(chainId);
+    const provider = new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network, cacheTimeout: -1 });
+    // Hands out nonces locally so concurrent approvals don't reuse one
+    const signer = new ethers.NonceManager(new ethers.Wallet(privateKey, provider));
+    registry = new ethers.Contract(registryAddress, CONSENT_REGISTRY_ABI, signer);
+  }
+  return registry;
+};
+
+// keccak256 of the canonical JSON of what the patient signed, the only
+// thing about a consent that goes on chain
+const hashConsent = (consent) => {
+  const { id, patientId, purpose, walletAddress, grantee, scope, expiresAt, nonce, chainId, signature } = consent;
+  const content = { id, patientId, purpose, walletAddress, grantee, scope, expiresAt, nonce, chainId, signature };
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(content)));
+};
+
+// Key the registry stores a consent under
+const consentKey = (consentId) => ethers.keccak256(ethers.toUtf8Bytes(consentId));
+
+// Transaction types of registry calls, by the event each one emits
+const REGISTRY_TRANSACTION_TYPES = {
+  ConsentAnchored: 'consent_approval',
+  ConsentRevoked: 'consent_revocation'
+};
+
+// ID of the transactions document for an on-chain transaction. The anchoring
+// service and the event indexer both write it, so they must agree on the ID.
+const chainTransactionId = (txHash) => `tx-${txHash.slice(2, 14).toLowerCase()}`;
+
+// Name and arguments (as strings) of a decoded event or error
+const describeFragment = ({ name, fragment, args }) => ({
+  name,
+  args: Object.fromEntries(fragment.inputs.map(({ name: input }, i) => [input, String(args[i])]))
+});
+
+// The parts of a receipt kept on a transactions document: outcome, gas and
+// fee, and each log with the registry event it decodes to (null otherwise)
+const summarizeReceipt = (receipt, contractInterface) => ({
+  status: receipt.status === 1 ? 'success' : 'reverted',
+  gasUsed: receipt.gasUsed.toString(),
+  effectiveGasPrice: receipt.gasPrice.toString(),
+  cumulativeGasUsed: receipt.cumulativeGasUsed.toString(),
+  fee: receipt.fee.toString(),
+  logs: receipt.logs.map(log => {
+    let event = null;
+    try {
+      const parsed = contractInterface.parseLog(log);
+      event = parsed ? describeFragment(parsed) : null;
+    } catch (error) {
+      // Not one of the registry's events
+    }
+    
+    return { index: log.index, address: log.address, topics: [...log.topics], data: log.data, event };
+  })
+});
+
+// The reason in a failed call's error: a registry error such as
+// "AlreadyAnchored(consent-001)", a require message, or ethers' description.
+// Errors from the signer (e.g. gas estimation) aren't decoded by ethers.
+const decodeRevertReason = (contractInterface, error) => {
+  const data = error.data || (error.info && error.info.error && error.info.error.data);
+  
+  if (typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = contractInterface.parseError(data);
+      if (parsed) {
+        const { name, args } = describeFragment(parsed);
+        // require(condition, "message") reverts with Error(string)
+        return name === 'Error' ? args.message : `${name}(${Object.values(args).join(', ')})`;
+      }
+    } catch (decodeError) {
+      // Not one of the registry's errors
+    }
+  }
+  
+  return error.reason || error.shortMessage || error.message || null;
+};
+
+// Why a mined transaction reverted. Receipts don't carry the reason, so the call
+// is replayed against the state before its block and the revert data decoded.
+// Null when the replay doesn't revert.
+const getRevertReason = async (provider, contractInterface, receipt) => {
+  const tx = await provider.getTransaction(receipt.hash);
+  if (!tx) return null;
+  
+  try {
+    await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value, blockTag: receipt.blockNumber - 1 });
+    return null;
+  } catch (error) {
+    return decodeRevertReason(contractInterface, error);
+  }
+};
+
+module.exports = {
+  CONSENT_REGISTRY_ABI,
+  DEPLOYMENT_FILE,
+  DEV_PRIVATE_KEY,
+  getChainConfig,
+  getConsentRegistry,
+  hashConsent,
+  consentKey,
+  REGISTRY_TRANSACTION_TYPES,
+  chainTransactionId,
+  describeFragment,
+  summarizeReceipt,
+  decodeRevertReason,
+  getRevertReason
+};
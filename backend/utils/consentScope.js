@@ -0,0 +1,61 @@
+// Consent scopes: which record types, which record dates and which patient
+// demographic fields a consent shares with its grantee.
+// RECORD_TYPES and DEMOGRAPHIC_FIELDS are mirrored in frontend/src/utils/consentScope.js.
+
+const RECORD_TYPES = ['Diagnostic', 'Lab Results', 'Treatment'];
+
+const DEMOGRAPHIC_FIELDS = ['name', 'email', 'dateOfBirth', 'gender', 'phone', 'address'];
+
+// Identifiers every grantee of a patient sees, whatever the scope
+const ALWAYS_SHARED_FIELDS = ['id', 'patientId', 'walletAddress', 'createdAt'];
+
+// Normalize a scope that passed its schema (routes/schemas.js), which already
+// rejects a list repeating an entry. Returns { scope } with missing dates set to
+// null, or { error, field } when the date range is reversed. Lists are kept
+// exactly as given: the patient's signature covers them.
+const parseConsentScope = ({ recordTypes, dateFrom = null, dateTo = null, fields = [] }) => {
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    return { error: 'scope.dateFrom must not be after scope.dateTo', field: 'scope.dateFrom' };
+  }
+
+  return {
+    scope: {
+      recordTypes,
+      dateFrom: dateFrom || null,
+      dateTo: dateTo || null,
+      fields
+    }
+  };
+};
+
+// Whether a record falls inside a scope. Consents created before scopes
+// existed have none and share every record.
+const isRecordInScope = (record, scope) => {
+  if (!scope) return true;
+  if (!scope.recordTypes.includes(record.type)) return false;
+
+  const day = (record.date || '').slice(0, 10);
+  if (scope.dateFrom && day < scope.dateFrom) return false;
+  if (scope.dateTo && day > scope.dateTo) return false;
+
+  return true;
+};
+
+// Fields a scope shares, with unscoped consents sharing every demographic field
+const getScopeFields = (scope) => (scope ? scope.fields : DEMOGRAPHIC_FIELDS);
+
+// Copy of a patient with only the identifiers and the given demographic fields
+const pickPatientFields = (patient, fields) => {
+  const allowed = new Set([...ALWAYS_SHARED_FIELDS, ...fields]);
+  return Object.fromEntries(Object.entries(patient).filter(([key]) => allowed.has(key)));
+};
+
+module.exports = {
+  RECORD_TYPES,
+  DEMOGRAPHIC_FIELDS,
+  ALWAYS_SHARED_FIELDS,
+  parseConsentScope,
+  isRecordInScope,
+  getScopeFields,
+  pickPatientFields
+};
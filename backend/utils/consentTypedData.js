@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+
+// EIP-712 definitions for consent signatures.
+// Mirrored in frontend/src/utils/consentTypedData.js, keep both in sync.
+const CONSENT_DOMAIN_NAME = 'AI Health Chains Consent';
+// Version 2 added the scope fields. Version 1 signatures are no longer accepted.
+const CONSENT_DOMAIN_VERSION = '2';
+
+const CONSENT_TYPES = {
+  Consent: [
+    { name: 'patientId', type: 'string' },
+    { name: 'purpose', type: 'string' },
+    { name: 'grantee', type: 'address' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'recordTypes', type: 'string[]' },
+    { name: 'dateFrom', type: 'string' },
+    { name: 'dateTo', type: 'string' },
+    { name: 'fields', type: 'string[]' }
+  ]
+};
+
+// The chain ID is part of the domain so a signature made on one network
+// can't be replayed against another
+const buildConsentDomain = (chainId) => ({
+  name: CONSENT_DOMAIN_NAME,
+  version: CONSENT_DOMAIN_VERSION,
+  chainId
+});
+
+// Build the Consent struct exactly as the wallet signed it. The scope is
+// flattened into the struct, with an open date bound signed as ''.
+const buildConsentValue = ({ patientId, purpose, grantee, expiry, nonce, scope }) => ({
+  patientId,
+  purpose,
+  grantee,
+  expiry,
+  nonce,
+  recordTypes: scope.recordTypes,
+  dateFrom: scope.dateFrom || '',
+  dateTo: scope.dateTo || '',
+  fields: scope.fields
+});
+
+// Recover the signer of a Consent typed-data signature.
+// Returns null when the signature or the typed data is malformed.
+const recoverConsentSigner = (chainId, consent, signature) => {
+  try {
+    return ethers.verifyTypedData(
+      buildConsentDomain(chainId),
+      CONSENT_TYPES,
+      buildConsentValue(consent),
+      signature
+    );
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  CONSENT_TYPES,
+  buildConsentDomain,
+  buildConsentValue,
+  recoverConsentSigner
+};
@@ -0,0 +1,68 @@
+// Application errors. Handlers throw these instead of answering errors
+// themselves; middleware/errorHandler.js turns them into
+// { error, code, requestId, ...details } responses. `code` is stable and meant
+// for clients to branch on, `error` is for people. Anything else thrown is an
+// unexpected failure and answered as a 500 without its message.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // Extra response fields, e.g. the denial `reason` or the conflicting `field`
+    this.details = details;
+  }
+}
+
+// Invalid input. `errors` lists each problem as { location, field, message },
+// location being params, query or body and field null for the request as a whole.
+class ValidationError extends AppError {
+  constructor(errors, details = {}) {
+    super(`Invalid request: ${errors.map(e => e.message).join('; ')}`, {
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      details: { ...details, errors }
+    });
+  }
+
+  // A single problem found by a handler rather than a schema
+  static forField(location, field, message, details) {
+    return new ValidationError([{ location, field, message }], details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+// The request is valid but clashes with the current state, e.g. a duplicate
+// or a transition that isn't allowed
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+};
@@ -0,0 +1,70 @@
+// Structured JSON logger. Every entry is one JSON line with a timestamp, level
+// and message plus any context fields. Fields holding patient health
+// information (PHI) or credentials are redacted at any depth, so a context
+// object can be logged without checking what it contains first.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const PHI_FIELDS = ['name', 'email', 'phone', 'address', 'dateOfBirth'];
+const SECRET_FIELDS = ['authorization', 'token', 'signature'];
+const REDACTED_FIELDS = new Set([...PHI_FIELDS, ...SECRET_FIELDS].map(field => field.toLowerCase()));
+
+const REDACTED = '[REDACTED]';
+
+const getThreshold = () => {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+};
+
+// Copy a value with every PHI or secret field replaced by a placeholder
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      REDACTED_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(field, seen)
+    ])
+  );
+};
+
+const write = (level, message, context = {}) => {
+  if (LEVELS[level] < getThreshold()) return;
+  
+  const entry = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...redact(context)
+  });
+  
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${entry}\n`);
+  } else {
+    process.stdout.write(`${entry}\n`);
+  }
+};
+
+const logger = {
+  debug: (message, context) => write('debug', message, context),
+  info: (message, context) => write('info', message, context),
+  warn: (message, context) => write('warn', message, context),
+  error: (message, context) => write('error', message, context)
+};
+
+module.exports = {
+  logger,
+  redact
+};
@@ -0,0 +1,60 @@
+const { ethers } = require('ethers');
+
+// Merkle trees over 32-byte hashes. Each pair is sorted before hashing, so a
+// proof is just the list of sibling hashes (no left/right flags), the same
+// scheme OpenZeppelin's MerkleProof verifies on chain. A node without a sibling
+// moves up a level unchanged. Mirrored in frontend/src/utils/merkleTree.js.
+
+const hashPair = (a, b) => {
+  const [first, second] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([first, second]));
+};
+
+// Build every level of the tree, leaves first and the root last
+const buildMerkleTree = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+  
+  const layers = [leaves];
+  
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+  
+  return { root: layers[layers.length - 1][0], layers };
+};
+
+// Sibling hashes from the leaf at `index` up to the root
+const getMerkleProof = (layers, index) => {
+  const proof = [];
+  
+  for (let level = 0; level < layers.length - 1; level += 1) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  
+  return proof;
+};
+
+// Whether the proof links the leaf to the root
+const verifyMerkleProof = (leaf, proof, root) => {
+  const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+};
+
+module.exports = {
+  hashPair,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof
+};
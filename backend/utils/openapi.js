@@ -0,0 +1,185 @@
+// OpenAPI 3.1 document of the API, built from the router: every route's
+// method, path, request schema (routes/schemas.js), session and role
+// requirements come from the routes themselves (utils/routeTable.js), their
+// summaries and responses from routes/operations.js. Served at /api/openapi.json.
+
+const { version } = require('../package.json');
+const schemas = require('../routes/schemas');
+const operations = require('../routes/operations');
+const { listRoutes } = require('./routeTable');
+
+// Schema names by schema, to find a route's documentation
+const SCHEMA_NAMES = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+
+// Error responses, each answered as { error, code, requestId, ...details }
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'Invalid request, with every problem in `errors`', 'ValidationErrorResponse'],
+  401: ['Unauthorized', 'Missing or expired session token'],
+  403: ['Forbidden', 'The wallet\'s role or consents don\'t allow this'],
+  404: ['NotFound', 'No such resource'],
+  409: ['Conflict', 'Clashes with the current state, e.g. a duplicate or a disallowed transition'],
+  500: ['InternalError', 'Unexpected failure, quote the requestId when reporting it'],
+  502: ['BadGateway', 'The chain transaction reverted or wasn\'t mined in time'],
+  503: ['ServiceUnavailable', 'No chain or ConsentRegistry is available']
+};
+
+const ERROR_SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'What went wrong, for people' },
+      code: { type: 'string', description: 'Stable error code, e.g. NOT_FOUND' },
+      requestId: { type: 'string', description: 'ID of the request, also sent as X-Request-Id' }
+    },
+    required: ['error', 'code', 'requestId'],
+    additionalProperties: true
+  },
+  ValidationErrorResponse: {
+    allOf: [
+      { $ref: '#/components/schemas/ErrorResponse' },
+      {
+        type: 'object',
+        properties: {
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['params', 'query', 'body'] },
+                field: { type: ['string', 'null'], description: 'Dotted path of the field, null for the request as a whole' },
+                message: { type: 'string' }
+              },
+              required: ['location', 'field', 'message']
+            }
+          }
+        },
+        required: ['errors']
+      }
+    ]
+  }
+};
+
+// Route schemas are JSON Schema already; only ajv-errors' errorMessage isn't
+const toJsonSchema = (schema) => {
+  const converted = { ...schema };
+  delete converted.errorMessage;
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, toJsonSchema(property)]));
+  }
+  if (schema.items) {
+    converted.items = toJsonSchema(schema.items);
+  }
+
+  return converted;
+};
+
+// Path and query parameters of an object schema, their descriptions moved onto the parameter
+const parametersOf = (schema, location) => Object.entries(schema.properties || {}).map(([name, property]) => {
+  const { description, ...rest } = toJsonSchema(property);
+
+  return {
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: rest
+  };
+});
+
+// /patients/:id becomes /patients/{id}
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const describeRoles = (roles) => `Requires role: ${roles.join(' or ')}.`;
+
+// Operation object of one route. 400 and 500 can come from any route, 401 and
+// 403 from those needing a session or a role.
+const buildOperation = (route) => {
+  const name = SCHEMA_NAMES.get(route.schema);
+  const doc = operations[name] || {};
+  const schema = route.schema || {};
+  const status = doc.status || 200;
+
+  const description = [doc.description, route.roles && describeRoles(route.roles)].filter(Boolean).join('\n\n');
+  const errorStatuses = [
+    400,
+    ...(route.authenticated ? [401] : []),
+    ...(route.roleRequired || route.roles ? [403] : []),
+    ...(doc.errors || []),
+    500
+  ].sort((a, b) => a - b);
+
+  return {
+    ...(name && { operationId: name }),
+    ...(doc.tag && { tags: [doc.tag] }),
+    ...(doc.summary && { summary: doc.summary }),
+    ...(description && { description }),
+    parameters: [
+      ...(schema.params ? parametersOf(schema.params, 'path') : []),
+      ...(schema.query ? parametersOf(schema.query, 'query') : [])
+    ],
+    ...(schema.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toJsonSchema(schema.body) } }
+      }
+    }),
+    ...(route.authenticated && { security: [{ sessionToken: [] }] }),
+    responses: {
+      [status]: {
+        description: doc.returns || 'Success',
+        ...(status !== 204 && {
+          content: { [doc.contentType || 'application/json']: { schema: doc.contentType ? { type: 'string' } : { type: 'object' } } }
+        })
+      },
+      ...Object.fromEntries([...new Set(errorStatuses)].map(code => [
+        code,
+        { $ref: `#/components/responses/${ERROR_RESPONSES[code][0]}` }
+      ]))
+    }
+  };
+};
+
+// The OpenAPI document of every route of `router` (mounted under /api)
+const buildOpenApiDocument = (router) => {
+  const paths = {};
+
+  for (const route of listRoutes(router)) {
+    const path = openApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'AI Health Chains API',
+      version,
+      description: 'Patients, medical records and the consents that share them, with consents anchored on chain. '
+        + 'Sign in with `POST /auth/login` and send the token as `Authorization: Bearer <token>`.'
+    },
+    servers: [{ url: '/api' }],
+    tags: [...new Set(Object.values(operations).map(doc => doc.tag))].map(tag => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        sessionToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session token issued by POST /auth/login'
+        }
+      },
+      schemas: ERROR_SCHEMAS,
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description, schemaName = 'ErrorResponse']) => [
+        name,
+        {
+          description,
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+        }
+      ]))
+    }
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,103 @@
+// Cursor pagination of list responses. A list is sorted by one field, with the
+// item `id` breaking ties, and a cursor marks the last item of a page by its
+// sort value and ID, so the next page starts right after it even when items
+// were added or removed in between. Cursors are opaque to clients (base64url
+// JSON) and only valid with the sort and order they were issued for.
+//
+// Each list declares its sorting as { fields, sort, order, limit }: the fields
+// it can be sorted by, the default field and order, and the default page size.
+
+const { ValidationError } = require('./errors');
+
+const MAX_PAGE_SIZE = 100;
+
+const ORDERS = ['asc', 'desc'];
+
+// Dates (YYYY-MM-DD or ISO 8601 timestamps) compare by time, not as text
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T|$)/;
+
+// Comparable form of a sort value: a number, a lowercased string or null when missing
+const sortValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) {
+    return Date.parse(value);
+  }
+  return typeof value === 'string' ? value.toLowerCase() : value;
+};
+
+const compareValues = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+// Order of two { value, id } keys. Missing values come last in either order.
+const compareKeys = (a, b, order) => {
+  if (a.value === null || b.value === null) {
+    if (a.value === b.value) return compareValues(a.id, b.id);
+    return a.value === null ? 1 : -1;
+  }
+
+  const compared = compareValues(a.value, b.value) || compareValues(a.id, b.id);
+  return order === 'desc' ? -compared : compared;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const invalidCursor = (message) => ValidationError.forField('query', 'cursor', message);
+
+const decodeCursor = (cursor, sort, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor('cursor is not a cursor this API issued');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || typeof decoded.id !== 'string' || !('value' in decoded)) {
+    throw invalidCursor('cursor is not a cursor this API issued');
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw invalidCursor(`cursor was issued for sort=${decoded.sort}&order=${decoded.order}, not sort=${sort}&order=${order}`);
+  }
+
+  return decoded;
+};
+
+// One page of `items` for the request's `sort`, `order`, `limit` and `cursor`
+// (query values already validated), using the list's defaults for anything
+// missing. Returns the page's `items`, the `total` number of items in the list
+// and the `nextCursor` of the following page, null on the last page.
+const paginate = (items, query, defaults) => {
+  const sort = query.sort || defaults.sort;
+  const order = query.order || defaults.order;
+  const limit = query.limit || defaults.limit;
+
+  const keyOf = (item) => ({ value: sortValue(item[sort]), id: String(item.id) });
+  const sorted = items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  let start = 0;
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor, sort, order);
+    start = sorted.findIndex(({ key }) => compareKeys(key, after, order) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const page = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(({ item }) => item),
+    total: sorted.length,
+    nextCursor: hasMore ? encodeCursor({ sort, order, ...last.key }) : null
+  };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  ORDERS,
+  paginate
+};
@@ -0,0 +1,32 @@
+// Patient profile fields accepted by POST /patients and PATCH /patients/:id.
+// IDs and timestamps are set by the server and can't be written. Types and
+// formats are checked by the route schemas in routes/schemas.js.
+
+const { DEMOGRAPHIC_FIELDS } = require('./consentScope');
+
+const PATIENT_FIELDS = [...DEMOGRAPHIC_FIELDS, 'walletAddress'];
+
+const REQUIRED_PATIENT_FIELDS = ['name', 'email', 'dateOfBirth', 'walletAddress'];
+
+// Normalize patient fields that passed their schema. Returns { fields } with
+// surrounding whitespace trimmed and the email lowercased, or { error, field }
+// for a date of birth in the future.
+const parsePatientFields = (input) => {
+  const fields = Object.fromEntries(Object.entries(input).map(([field, value]) => [field, value.trim()]));
+
+  if (fields.email) {
+    fields.email = fields.email.toLowerCase();
+  }
+
+  if (fields.dateOfBirth && new Date(`${fields.dateOfBirth}T00:00:00Z`) > new Date()) {
+    return { error: 'dateOfBirth must be a past date', field: 'dateOfBirth' };
+  }
+
+  return { fields };
+};
+
+module.exports = {
+  PATIENT_FIELDS,
+  REQUIRED_PATIENT_FIELDS,
+  parsePatientFields
+};
@@ -0,0 +1,19 @@
+// Medical record content accepted by POST /patients/:id/records and record
+// amendments. IDs, versions, authors and hashes are set by the server. Types
+// and formats are checked by the route schemas in routes/schemas.js.
+
+const RECORD_FIELDS = ['type', 'title', 'description', 'date', 'doctor', 'hospital'];
+
+const REQUIRED_RECORD_FIELDS = ['type', 'title', 'description', 'doctor', 'hospital'];
+
+// The record fields of a request body that passed its schema, with surrounding
+// whitespace trimmed
+const pickRecordFields = (input) => Object.fromEntries(
+  RECORD_FIELDS.filter(field => field in input).map(field => [field, input[field].trim()])
+);
+
+module.exports = {
+  RECORD_FIELDS,
+  REQUIRED_RECORD_FIELDS,
+  pickRecordFields
+};
@@ -0,0 +1,18 @@
+const { ethers } = require('ethers');
+const { canonicalJson } = require('./canonicalJson');
+
+// Fields that make up a record's content. Storage metadata such as the status,
+// the hash itself and its anchor are left out so they can change without
+// invalidating the hash. Mirrored in frontend/src/utils/recordHash.js.
+const RECORD_CONTENT_FIELDS = ['id', 'patientId', 'type', 'title', 'description', 'date', 'doctor', 'hospital'];
+
+// keccak256 of the canonical JSON of the record's content fields, as a 0x-prefixed hex string
+const hashRecord = (record) => {
+  const content = Object.fromEntries(RECORD_CONTENT_FIELDS.map(field => [field, record[field]]));
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(content)));
+};
+
+module.exports = {
+  RECORD_CONTENT_FIELDS,
+  hashRecord
+};
@@ -0,0 +1,48 @@
+const patientsRepository = require('../repositories/patientsRepository');
+
+const ROLES = {
+  PATIENT: 'patient',
+  PROVIDER: 'provider',
+  RESEARCHER: 'researcher',
+  ADMIN: 'admin'
+};
+
+// Parse a comma-separated list of wallet addresses from the environment
+const parseWalletList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Resolve the role of a signed-in wallet.
+// Admins, providers and researchers are configured through ADMIN_WALLETS,
+// PROVIDER_WALLETS and RESEARCHER_WALLETS. Any other wallet that belongs to a
+// patient record is a patient. Returns a null role for unknown wallets.
+const resolveRole = async (wallet) => {
+  const address = wallet.toLowerCase();
+  
+  if (parseWalletList(process.env.ADMIN_WALLETS).includes(address)) {
+    return { role: ROLES.ADMIN, patientId: null };
+  }
+  
+  if (parseWalletList(process.env.PROVIDER_WALLETS).includes(address)) {
+    return { role: ROLES.PROVIDER, patientId: null };
+  }
+  
+  if (parseWalletList(process.env.RESEARCHER_WALLETS).includes(address)) {
+    return { role: ROLES.RESEARCHER, patientId: null };
+  }
+  
+  const patient = await patientsRepository.findPatientByWallet(wallet);
+  if (patient) {
+    return { role: ROLES.PATIENT, patientId: patient.id };
+  }
+  
+  return { role: null, patientId: null };
+};
+
+module.exports = {
+  ROLES,
+  resolveRole
+};
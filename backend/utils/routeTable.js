@@ -0,0 +1,45 @@
+// What the router knows about each route, for tooling that describes the API
+// (scripts/generateApiTypes.js, utils/openapi.js). Request schemas are kept on
+// the validate middleware and roles on requireRole, see middleware/.
+
+const { requireAuth } = require('../middleware/auth');
+const { attachRole } = require('../middleware/authorize');
+
+// Every route of the router in declaration order: its method, Express path,
+// request schema (null without a validate middleware), whether it needs a
+// session, whether it needs a wallet with a role, and the roles it is limited to
+const listRoutes = (router) => {
+  const routes = [];
+  let authenticated = false;
+  let roleRequired = false;
+
+  for (const layer of router.stack) {
+    // router.use() middleware applies to every route declared after it
+    if (!layer.route) {
+      if (layer.handle === requireAuth) authenticated = true;
+      if (layer.handle === attachRole) roleRequired = true;
+      continue;
+    }
+
+    const handlers = layer.route.stack.map(handler => handler.handle);
+    const validator = handlers.find(handler => handler.schema);
+    const roleCheck = handlers.find(handler => handler.roles);
+
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        schema: validator ? validator.schema : null,
+        authenticated: authenticated || handlers.includes(requireAuth),
+        roleRequired: roleRequired || handlers.includes(attachRole),
+        roles: roleCheck ? roleCheck.roles : null
+      });
+    }
+  }
+
+  return routes;
+};
+
+module.exports = {
+  listRoutes
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// In-memory store for sign-in nonces and session tokens.
+// Sessions don't survive a restart, users simply sign in again.
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+
+const nonces = new Map();
+const sessions = new Map();
+
+// Drop expired entries so the maps don't grow forever
+const pruneExpired = (store) => {
+  const now = Date.now();
+  for (const [key, entry] of store) {
+    if (entry.expiresAt <= now) store.delete(key);
+  }
+};
+
+// Issue a single-use nonce for a SIWE message (alphanumeric, as EIP-4361 requires)
+const issueNonce = () => {
+  pruneExpired(nonces);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  nonces.set(nonce, { expiresAt: Date.now() + NONCE_TTL_MS });
+  return nonce;
+};
+
+// Consume a nonce. Returns false when it was never issued, already used or expired.
+const consumeNonce = (nonce) => {
+  const entry = nonces.get(nonce);
+  nonces.delete(nonce);
+  return Boolean(entry) && entry.expiresAt > Date.now();
+};
+
+const createSession = (address) => {
+  pruneExpired(sessions);
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = {
+    address,
+    issuedAt: new Date().toISOString(),
+    expiresAt: Date.now() + SESSION_TTL_MS
+  };
+  sessions.set(token, session);
+  return { token, ...session };
+};
+
+// Look up a session by token. Returns null when the token is unknown or expired.
+const getSession = (token) => {
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+};
+
+const destroySession = (token) => {
+  sessions.delete(token);
+};
+
+module.exports = {
+  issueNonce,
+  consumeNonce,
+  createSession,
+  getSession,
+  destroySession
+};
@@ -0,0 +1,40 @@
+const { ethers } = require('ethers');
+
+// Recover the signer of an EIP-191 (personal_sign) message.
+// Returns null when the signature is malformed and no address can be recovered.
+const recoverMessageSigner = (message, signature) => {
+  try {
+    return ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Compare two wallet addresses ignoring EIP-55 checksum casing
+const addressesMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  return a.toLowerCase() === b.toLowerCase();
+};
+
+// Check that a string is a 20-byte hex address, regardless of checksum casing
+const isHexAddress = (address) => {
+  return typeof address === 'string' && ethers.isAddress(address.toLowerCase());
+};
+
+// Check that an address is written with its EIP-55 checksum casing
+const isChecksumAddress = (address) => {
+  try {
+    return ethers.getAddress(address) === address;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  recoverMessageSigner,
+  addressesMatch,
+  isHexAddress,
+  isChecksumAddress
+};
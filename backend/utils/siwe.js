@@ -0,0 +1,60 @@
+// Minimal Sign-In With Ethereum (EIP-4361) message parser.
+// The frontend builds the message in frontend/src/utils/siweMessage.js.
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime'
+};
+
+// Parse a SIWE message into its fields. Returns null when the message is not
+// in the EIP-4361 format.
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    return null;
+  }
+  
+  const lines = message.split('\n');
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX) || !lines[1]) {
+    return null;
+  }
+  
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1].trim(),
+    statement: null
+  };
+  
+  // Optional statement between blank lines, then "Key: value" fields
+  let index = 2;
+  if (lines[index] === '' && lines[index + 1] !== undefined && !lines[index + 1].startsWith('URI: ')) {
+    parsed.statement = lines[index + 1];
+    index += 2;
+  }
+  
+  for (const line of lines.slice(index)) {
+    if (line === '') continue;
+    const separator = line.indexOf(': ');
+    if (separator === -1) return null;
+    const field = FIELD_NAMES[line.slice(0, separator)];
+    if (field) {
+      parsed[field] = line.slice(separator + 2);
+    }
+  }
+  
+  if (!parsed.uri || parsed.version !== '1' || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+    return null;
+  }
+  
+  parsed.chainId = Number(parsed.chainId);
+  return parsed;
+};
+
+module.exports = {
+  parseSiweMessage
+};
@@ -0,0 +1,194 @@
+// Declarative request validation. Schemas are plain objects in a subset of JSON
+// Schema (type, enum, format, minLength, pattern, minimum, maximum,
+// exclusiveMinimum, items, minItems, uniqueItems, properties, required, additionalProperties,
+// minProperties) plus ajv-errors' `errorMessage`, which replaces the message of
+// any failure of that schema. Route schemas live in routes/schemas.js.
+
+const { isHexAddress, isChecksumAddress } = require('./signature');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits with an optional leading + and spaces, dots, dashes or parentheses between them
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A date (YYYY-MM-DD) or a full ISO 8601 timestamp
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// 7 to 15 digits, the longest number E.164 allows
+const isPhone = (value) => {
+  const digits = value.replace(/\D/g, '').length;
+  return PHONE_PATTERN.test(value) && digits >= 7 && digits <= 15;
+};
+
+// A real calendar day, no 2024-02-30
+const isDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const isDateTime = (value) => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// String formats: the check and the message of a value that fails it
+const FORMATS = {
+  address: [isHexAddress, 'must be a wallet address'],
+  'checksum-address': [isChecksumAddress, 'must be a wallet address with a valid EIP-55 checksum'],
+  email: [(value) => EMAIL_PATTERN.test(value), 'must be an email address'],
+  phone: [isPhone, 'must be a phone number of 7 to 15 digits'],
+  date: [isDate, 'must be a date in YYYY-MM-DD format'],
+  'date-time': [isDateTime, 'must be a YYYY-MM-DD date or an ISO 8601 timestamp'],
+  bytes32: [(value) => /^0x[0-9a-fA-F]{64}$/.test(value), 'must be a 32-byte hex string'],
+  hex: [(value) => /^0x([0-9a-fA-F]{2})+$/.test(value), 'must be a hex string']
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+};
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+// Query strings and route params are always strings; turn them into the
+// number or boolean their schema asks for so handlers get typed values
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+
+  const types = typesOf(schema);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Check one value against its schema, pushing { field, message } for the first
+// problem with it (and with each of its properties or items). Returns the value,
+// coerced when `options.coerce` is set.
+const checkValue = (schema, value, field, options, errors) => {
+  const label = field || options.label;
+  const fail = (message) => {
+    errors.push({ field: field || null, message: `${label} ${schema.errorMessage || message}` });
+    return value;
+  };
+
+  if (options.coerce) {
+    value = coerce(schema, value);
+  }
+
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    return fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+  }
+
+  if (value === null) return value;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${plural(schema.minLength, 'character')}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${plural(schema.maxLength, 'character')}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`must match the pattern ${schema.pattern}`);
+    }
+    if (schema.format && !FORMATS[schema.format][0](value)) {
+      return fail(FORMATS[schema.format][1]);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must list at least ${plural(schema.minItems, 'item')}`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size < value.length) {
+      return fail('must not list the same item twice');
+    }
+    if (schema.items) {
+      return value.map((item, i) => checkValue(schema.items, item, `${label}[${i}]`, options, errors));
+    }
+    return value;
+  }
+
+  if (typeof value === 'object') {
+    const properties = schema.properties || {};
+    const path = (key) => (field ? `${field}.${key}` : key);
+    const checked = { ...value };
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: path(key), message: `${path(key)} is required` });
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (properties[key]) {
+        checked[key] = checkValue(properties[key], value[key], path(key), options, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: path(key), message: `${path(key)} is not an allowed field` });
+      }
+    }
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      return fail(`must include at least ${plural(schema.minProperties, 'field')}`);
+    }
+
+    return checked;
+  }
+
+  return value;
+};
+
+// Validate one part of a request (`location` is params, query or body) against
+// its schema. Returns { value, errors }, each error with its location, the
+// field path (null for the whole part) and a message naming the field.
+const validateSchema = (schema, input, { location, coerce: coerceValues = false }) => {
+  const errors = [];
+  const value = checkValue(schema, input, '', { label: `Request ${location}`, coerce: coerceValues }, errors);
+
+  return { value, errors: errors.map(error => ({ location, ...error })) };
+};
+
+module.exports = {
+  FORMATS,
+  validateSchema
+};
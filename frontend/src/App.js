@@ -7,12 +7,30 @@ import ConsentManagement from './components/ConsentManagement';
 import TransactionHistory from './components/TransactionHistory';
 import StatsDashboard from './components/StatsDashboard';
 import { useWeb3 } from './hooks/useWeb3';
+import { useAuth } from './hooks/useAuth';
+
+// Tabs available to each role, mirroring the route permissions in backend/routes/index.js
+const TABS = [
+  { id: 'patients', label: 'Patients', roles: ['admin', 'provider', 'researcher'] },
+  { id: 'my-records', label: 'My Records', roles: ['patient'] },
+  { id: 'consents', label: 'Consents', roles: ['patient', 'provider', 'researcher', 'admin'] },
+  { id: 'transactions', label: 'Transactions', roles: ['patient', 'provider', 'researcher', 'admin'] },
+  { id: 'stats', label: 'Statistics', roles: ['admin'] },
+];
 
 function App() {
-  const { account, connectWallet, disconnectWallet, isConnected } = useWeb3();
+  const { account, connectWallet, disconnectWallet, isConnected, signMessage, getChainId } = useWeb3();
+  const { session, isSignedIn, isSigningIn, signIn, signOut } = useAuth({ account, signMessage, getChainId });
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [activeTab, setActiveTab] = useState('patients');
 
+  const role = session?.role;
+  const visibleTabs = isSignedIn ? TABS.filter((tab) => tab.roles.includes(role)) : TABS;
+  // Fall back to the first tab the role can use when the selected one is hidden
+  const currentTab = visibleTabs.some((tab) => tab.id === activeTab)
+    ? activeTab
+    : visibleTabs[0]?.id;
+
   useEffect(() => {
     // Check if wallet is already connected
     if (window.ethereum) {
@@ -25,6 +43,12 @@ function App() {
     }
   }, []);
 
+  // Disconnecting the wallet also ends the backend session
+  const handleDisconnect = () => {
+    signOut();
+    disconnectWallet();
+  };
+
   return (
     <div className="App">
       <header className="App-header">
@@ -35,45 +59,52 @@ function App() {
         <WalletConnection
           account={account}
           isConnected={isConnected}
+          isSignedIn={isSignedIn}
+          isSigningIn={isSigningIn}
           onConnect={connectWallet}
-          onDisconnect={disconnectWallet}
+          onDisconnect={handleDisconnect}
+          onSignIn={signIn}
         />
       </header>
 
       <nav className="App-nav">
-        <button
-          className={activeTab === 'patients' ? 'active' : ''}
-          onClick={() => setActiveTab('patients')}
-        >
-          Patients
-        </button>
-        <button
-          className={activeTab === 'consents' ? 'active' : ''}
-          onClick={() => setActiveTab('consents')}
-        >
-          Consents
-        </button>
-        <button
-          className={activeTab === 'transactions' ? 'active' : ''}
-          onClick={() => setActiveTab('transactions')}
-        >
-          Transactions
-        </button>
-        <button
-          className={activeTab === 'stats' ? 'active' : ''}
-          onClick={() => setActiveTab('stats')}
-        >
-          Statistics
-        </button>
+        {/* Only the tabs the signed-in role may use are shown */}
+        {visibleTabs.map((tab) => (
+          <button
+            key={tab.id}
+            className={currentTab === tab.id ? 'active' : ''}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
       </nav>
 
       <main className="App-main">
-        {activeTab === 'patients' && (
+        {/* Every API route except health and auth requires a signed-in wallet */}
+        {!isSignedIn && (
+          <div className="auth-required">
+            {isConnected
+              ? 'Sign in with your wallet to access healthcare data.'
+              : 'Connect your MetaMask wallet and sign in to access healthcare data.'}
+          </div>
+        )}
+
+        {isSignedIn && !role && (
+          <div className="auth-required">
+            No role is assigned to this wallet. Ask an administrator for access.
+          </div>
+        )}
+
+        {isSignedIn && currentTab === 'patients' && (
           <div className="patients-container">
             {selectedPatient ? (
               <PatientDetail
                 patientId={selectedPatient}
                 onBack={() => setSelectedPatient(null)}
+                showAccessLog={role === 'admin'}
+                canEdit={role === 'admin'}
+                canEditWallet={role === 'admin'}
               />
             ) : (
               <PatientList
@@ -83,15 +114,25 @@ function App() {
           </div>
         )}
 
-        {activeTab === 'consents' && (
-          <ConsentManagement account={account} />
+        {isSignedIn && currentTab === 'my-records' && (
+          <div className="patients-container">
+            <PatientDetail patientId={session.patientId} showAccessLog canEdit />
+          </div>
+        )}
+
+        {isSignedIn && currentTab === 'consents' && (
+          <ConsentManagement
+            account={account}
+            canCreate={role === 'patient'}
+            canUpdate={role === 'patient' || role === 'admin'}
+          />
         )}
 
-        {activeTab === 'transactions' && (
+        {isSignedIn && currentTab === 'transactions' && (
           <TransactionHistory account={account} />
         )}
 
-        {activeTab === 'stats' && (
+        {isSignedIn && currentTab === 'stats' && (
           <StatsDashboard />
         )}
       </main>
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import './AccessLogTimeline.css';
+import { apiService } from '../services/apiService';
+import { formatWalletAddress, formatGranteeType } from '../utils/formatUtilService';
+import { describeFieldScope } from '../utils/consentScope';
+
+/**
+ * Describes what an access-log entry exposed
+ *
+ * @param {Object} access - Access log entry from the API
+ * @returns {string} Summary such as "Read 2 medical records"
+ */
+const describeAccess = (access) => {
+  if (access.outcome === 'denied') {
+    return 'Tried to read medical records (denied)';
+  }
+
+  switch (access.action) {
+    case 'record.read':
+      return `Read ${access.recordIds.length} medical record${access.recordIds.length === 1 ? '' : 's'}`;
+    case 'patient.read':
+      return 'Viewed your profile';
+    case 'patient.list':
+      return 'Saw you in a patient listing';
+    default:
+      return access.action;
+  }
+};
+
+/**
+ * AccessLogTimeline Component
+ *
+ * Shows a patient who accessed their data, newest first, as a vertical timeline.
+ * Each entry names the grantee (or the wallet and role when it isn't a registered
+ * grantee), the consent and purpose used, the records touched and when it happened.
+ * Denied attempts are included and highlighted.
+ *
+ * Data comes from the audit log through GET /patients/:id/access-log, which only
+ * the patient themselves and admins may call. The patient's own reads are not listed.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.patientId - ID of the patient whose access log to show
+ *
+ * @example
+ * <AccessLogTimeline patientId="patient-001" />
+ */
+const AccessLogTimeline = ({ patientId }) => {
+  // State management
+  const [accesses, setAccesses] = useState([]); // Access log entries, newest first
+  const [loading, setLoading] = useState(true); // Loading state for API calls
+  const [error, setError] = useState(null); // Error messages from API calls
+
+  /**
+   * Effect hook: Fetches the access log when the component mounts or patientId changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchAccessLog = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await apiService.getPatientAccessLog(patientId);
+        if (!cancelled) setAccesses(response.accesses || []);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to fetch access log');
+          setAccesses([]);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchAccessLog();
+
+    // Ignore a response that arrives after switching patients
+    return () => {
+      cancelled = true;
+    };
+  }, [patientId]);
+
+  if (loading) {
+    return <div className="loading">Loading access log...</div>;
+  }
+
+  if (error) {
+    return <div className="error">Error: {error}</div>;
+  }
+
+  if (accesses.length === 0) {
+    return <p>No one else has accessed this patient's data yet.</p>;
+  }
+
+  return (
+    <ol className="access-timeline">
+      {accesses.map((access) => (
+        <li key={access.id} className={`access-entry ${access.outcome}`}>
+          {/* Timestamp with date and time, accesses often happen on the same day */}
+          <time className="access-time" dateTime={access.timestamp}>
+            {new Date(access.timestamp).toLocaleString('en-US', {
+              year: 'numeric',
+              month: 'short',
+              day: 'numeric',
+              hour: '2-digit',
+              minute: '2-digit',
+            })}
+          </time>
+
+          <div className="access-body">
+            {/* Who accessed the data: registered grantee, or wallet and role */}
+            <div className="access-who">
+              {access.grantee ? (
+                <>
+                  <strong>{access.grantee.name}</strong>
+                  <span className="access-role">{formatGranteeType(access.grantee.type)}</span>
+                </>
+              ) : (
+                <>
+                  <strong className="access-wallet">{formatWalletAddress(access.actor)}</strong>
+                  {access.role && <span className="access-role">{access.role}</span>}
+                </>
+              )}
+            </div>
+
+            <div className="access-what">{describeAccess(access)}</div>
+
+            {/* Consent and purpose the access relied on */}
+            {(access.consentId || access.purpose) && (
+              <div className="access-meta">
+                {access.purpose && <>Purpose: {access.purpose}</>}
+                {access.consentId && <> · Consent {access.consentId}</>}
+              </div>
+            )}
+
+            {/* Records or profile fields that were exposed */}
+            {access.recordIds.length > 0 && (
+              <div className="access-meta">Records: {access.recordIds.join(', ')}</div>
+            )}
+            {access.fields.length > 0 && (
+              <div className="access-meta">Details: {describeFieldScope(access.fields)}</div>
+            )}
+
+            {access.reason && (
+              <div className="access-meta">Reason: {access.reason.replace(/_/g, ' ')}</div>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default AccessLogTimeline;
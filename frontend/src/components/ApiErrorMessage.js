@@ -0,0 +1,85 @@
+import React from 'react';
+import './ApiErrorMessage.css';
+import {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  NetworkError
+} from '../services/apiErrors';
+
+/**
+ * Headline for each kind of failure, so the user knows whether to fix their
+ * input, sign in, ask for access or simply try again
+ *
+ * @param {Error} error - Error thrown by an apiService call
+ * @returns {string} Short headline
+ */
+const headlineOf = (error) => {
+  if (error instanceof ValidationError) return 'Please check your input';
+  if (error instanceof UnauthorizedError) return 'Please sign in again';
+  if (error instanceof ForbiddenError) return 'You don\'t have access to this';
+  if (error instanceof NotFoundError) return 'Not found';
+  if (error instanceof ConflictError) return 'This conflicts with the current data';
+  if (error instanceof NetworkError) return 'The server could not be reached';
+  return 'Something went wrong';
+};
+
+/**
+ * ApiErrorMessage Component
+ *
+ * Explains a failed API request: a headline for the kind of failure, the
+ * backend's message, each invalid field of a validation error, and for
+ * unexpected server failures the request ID to quote when reporting it.
+ * Failures worth retrying (network errors and server errors) get a retry button.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Error} props.error - Error thrown by an apiService call (usually an ApiError)
+ * @param {string} props.fallback - Message to show when the error has none
+ * @param {Function} [props.onRetry] - Called by the retry button; no button without it
+ * @param {Function} [props.onDismiss] - Called by the dismiss button; no button without it
+ *
+ * @example
+ * <ApiErrorMessage error={error} fallback="Failed to fetch patients" onRetry={fetchPatients} />
+ */
+const ApiErrorMessage = ({ error, fallback, onRetry, onDismiss }) => {
+  const isApiError = error instanceof ApiError;
+  const retryable = error instanceof NetworkError || (isApiError && error.isServerError);
+  // The message of a validation error already lists every problem; show them one per line instead
+  const fieldErrors = error instanceof ValidationError ? error.errors : [];
+
+  return (
+    <div className="api-error" role="alert">
+      <strong className="api-error-headline">{headlineOf(error)}</strong>
+
+      {fieldErrors.length > 0 ? (
+        <ul className="api-error-fields">
+          {fieldErrors.map(({ field, message }, index) => (
+            <li key={`${field}-${index}`}>{message}</li>
+          ))}
+        </ul>
+      ) : (
+        <p className="api-error-message">{error?.message || fallback}</p>
+      )}
+
+      {/* Internal failures don't say what went wrong, the request ID lets support find out */}
+      {isApiError && error.isServerError && error.requestId && (
+        <p className="api-error-reference">
+          Reference: <code>{error.requestId}</code>
+        </p>
+      )}
+
+      {(retryable && onRetry) || onDismiss ? (
+        <div className="api-error-actions">
+          {retryable && onRetry && <button onClick={onRetry}>Try again</button>}
+          {onDismiss && <button onClick={onDismiss}>Dismiss</button>}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default ApiErrorMessage;
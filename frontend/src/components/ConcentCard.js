@@ -1,9 +1,34 @@
-import { formatDate } from '../utils/formatUtilService';
+import React, { useState, useEffect } from 'react';
+import { formatDate, formatTimeRemaining, formatGranteeType } from '../utils/formatUtilService';
+import { describeRecordScope, describeFieldScope } from '../utils/consentScope';
+
+/**
+ * Active consents expiring within this many days get the expiring-soon highlight
+ * @type {number}
+ */
+const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * Actions offered for each consent status, mirroring the backend lifecycle
+ * (pending → active → revoked/expired, pending → rejected).
+ * Expiry is applied by the backend and final states offer no actions.
+ * @type {Object<string, Array<{label: string, status: string, className: string}>>}
+ */
+const STATUS_ACTIONS = {
+    pending: [
+        { label: 'Approve', status: 'active', className: 'primary' },
+        { label: 'Reject', status: 'rejected', className: 'danger' },
+    ],
+    active: [
+        { label: 'Revoke', status: 'revoked', className: 'danger' },
+    ],
+};
 
 /**
  * ConcentCard Component
  * 
- * Displays a consent record with its details and allows users to approve pending consents.
+ * Displays a consent record with its details and offers the lifecycle actions valid for its
+ * current status: approve or reject a pending consent, or revoke an active one.
  * This component is used in the ConsentManagement section to show individual consent items.
  * 
  * @component
@@ -12,19 +37,29 @@ import { formatDate } from '../utils/formatUtilService';
  * @param {string} props.consent.id - Unique identifier for the consent
  * @param {string} props.consent.patientId - ID of the patient associated with this consent
  * @param {string} props.consent.purpose - Purpose of the consent (e.g., "Research Study Participation")
- * @param {string} props.consent.status - Current status of the consent ("pending", "active", "revoked")
+ * @param {string} props.consent.status - Current status of the consent ("pending", "active", "rejected", "revoked", "expired")
  * @param {string} props.consent.walletAddress - Ethereum wallet address associated with the consent
+ * @param {string} props.consent.grantee - Wallet address the patient granted access to (optional)
+ * @param {Object} props.consent.granteeDetails - Registered grantee holding the consent: name, type, walletAddress, contact (optional)
+ * @param {Object} props.consent.scope - Record types, record date range and demographic fields shared (optional)
+ * @param {string} props.consent.expiresAt - ISO timestamp when the consent expires (optional)
  * @param {string} props.consent.createdAt - ISO timestamp when the consent was created
- * @param {string} props.consent.blockchainTxHash - Hash of the blockchain transaction (optional)
+ * @param {string} props.consent.blockchainTxHash - Hash of the transaction anchoring the consent on chain (optional)
+ * @param {Object} props.consent.anchor - ConsentRegistry anchoring: contractAddress, consentHash, blockNumber,
+ *                                        gasUsed and revocationTxHash (optional)
+ * @param {Array<Object>} props.consent.history - Status changes with from, to, by, at and reason (optional)
  * @param {Function} props.onUpdateStatus - Callback function to handle status updates
+ * @param {boolean} props.canUpdate - Whether the signed-in user may change the consent status
+ * @param {boolean} [props.isUpdating=false] - Whether a status change is waiting to be mined
  * 
  * @example
  * <ConcentCard 
  *   consent={consentObject} 
  *   onUpdateStatus={handleUpdateStatus}
+ *   canUpdate={true}
  * />
  */
-const ConcentCard = ({ consent, onUpdateStatus }) => {
+const ConcentCard = ({ consent, onUpdateStatus, canUpdate, isUpdating = false }) => {
     /**
      * Formats a date string to a readable format
      * @param {string} dateString - ISO date string to format
@@ -33,15 +68,41 @@ const ConcentCard = ({ consent, onUpdateStatus }) => {
     // Note: This is imported from formatUtilService for reusability across the app
 
     /**
-     * Handles the approval of a pending consent
-     * Calls the onUpdateStatus callback with the consent ID and 'active' status
+     * Handles a lifecycle action
+     * Rejecting or revoking asks for a reason, which is stored in the consent history
+     * @param {Object} action - Entry from STATUS_ACTIONS
      */
-    const handleApprove = () => {
-        if (onUpdateStatus) {
-            onUpdateStatus(consent.id, 'active');
+    const handleAction = (action) => {
+        if (!onUpdateStatus) return;
+
+        let reason = null;
+        if (action.status !== 'active') {
+            reason = window.prompt(`Reason to ${action.label.toLowerCase()} this consent (optional)`);
+            // Cancelling the prompt cancels the action
+            if (reason === null) return;
         }
+
+        onUpdateStatus(consent.id, action.status, reason || null);
     }
 
+    // Current time, ticking every minute so the expiry countdown stays live
+    const [now, setNow] = useState(Date.now());
+    const hasCountdown = consent.status === 'active' && Boolean(consent.expiresAt);
+
+    useEffect(() => {
+        if (!hasCountdown) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(timer);
+    }, [hasCountdown]);
+
+    const expiresInMs = consent.expiresAt ? new Date(consent.expiresAt).getTime() - now : null;
+    const isExpiringSoon = hasCountdown && expiresInMs <= EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000;
+
+    const actions = canUpdate ? STATUS_ACTIONS[consent.status] || [] : [];
+    const lastChange = consent.history && consent.history.length > 1
+        ? consent.history[consent.history.length - 1]
+        : null;
+
     return (
         <div key={consent.id} className="consent-card">
             {/* Header section with purpose and status badge */}
@@ -67,12 +128,77 @@ const ConcentCard = ({ consent, onUpdateStatus }) => {
                     <span className="consent-wallet">{consent.walletAddress}</span>
                 </div>
 
+                {/* Registered grantee holding access, with its contact */}
+                {consent.granteeDetails ? (
+                    <div className="consent-detail-item">
+                        <strong>Grantee:</strong>
+                        <span className="consent-grantee">
+                            <span className="consent-grantee-name">{consent.granteeDetails.name}</span>
+                            <span>{formatGranteeType(consent.granteeDetails.type)}</span>
+                            {consent.granteeDetails.contact?.email && (
+                                <a href={`mailto:${consent.granteeDetails.contact.email}`}>
+                                    {consent.granteeDetails.contact.email}
+                                </a>
+                            )}
+                            <span className="consent-wallet">{consent.grantee}</span>
+                        </span>
+                    </div>
+                ) : consent.grantee && (
+                    // Wallet only, for a grantee that isn't registered
+                    <div className="consent-detail-item">
+                        <strong>Grantee:</strong>
+                        <span className="consent-wallet">{consent.grantee}</span>
+                    </div>
+                )}
+
+                {/* Scope (only shown for consents created with one, older consents share everything) */}
+                {consent.scope && (
+                    <>
+                        <div className="consent-detail-item">
+                            <strong>Shared Records:</strong>
+                            <span>{describeRecordScope(consent.scope)}</span>
+                        </div>
+                        <div className="consent-detail-item">
+                            <strong>Shared Details:</strong>
+                            <span>{describeFieldScope(consent.scope.fields)}</span>
+                        </div>
+                    </>
+                )}
+
+                {/* Expiry date (only shown if the consent was signed with one) */}
+                {consent.expiresAt && (
+                    <div className="consent-detail-item">
+                        <strong>Expires At:</strong>
+                        <span>
+                            {formatDate(consent.expiresAt)}
+                            {/* Live countdown while the consent is still active */}
+                            {hasCountdown && (
+                                <span className={`consent-countdown ${isExpiringSoon ? 'expiring-soon' : ''}`}>
+                                    {formatTimeRemaining(consent.expiresAt, now)}
+                                </span>
+                            )}
+                        </span>
+                    </div>
+                )}
+
                 {/* Creation timestamp formatted for readability */}
                 <div className="consent-detail-item">
                     <strong>Created At:</strong>
                     <span>{formatDate(consent.createdAt)}</span>
                 </div>
 
+                {/* Most recent status change after creation, with who made it and why */}
+                {lastChange && (
+                    <div className="consent-detail-item">
+                        <strong>Last Change:</strong>
+                        <span>
+                            {lastChange.from} → {lastChange.to} on {formatDate(lastChange.at)} by{' '}
+                            <span className="consent-wallet">{lastChange.by}</span>
+                            {lastChange.reason && ` (${lastChange.reason})`}
+                        </span>
+                    </div>
+                )}
+
                 {/* Blockchain transaction hash (only shown if available) */}
                 {consent.blockchainTxHash && (
                     <div className="consent-detail-item">
@@ -80,17 +206,32 @@ const ConcentCard = ({ consent, onUpdateStatus }) => {
                         <span className="consent-tx-hash">{consent.blockchainTxHash}</span>
                     </div>
                 )}
+
+                {/* Block and gas of the ConsentRegistry anchoring (only for consents approved on chain) */}
+                {consent.anchor && (
+                    <div className="consent-detail-item">
+                        <strong>Anchored:</strong>
+                        <span>
+                            Block {consent.anchor.blockNumber} ({consent.anchor.gasUsed} gas)
+                            {consent.anchor.revocationTxHash && ', revoked on chain'}
+                        </span>
+                    </div>
+                )}
             </div>
 
-            {/* Action buttons - only shown for pending consents */}
-            {consent.status === "pending" && (
+            {/* Action buttons - only the transitions valid for the current status */}
+            {actions.length > 0 && (
                 <div className="consent-actions">
-                    <button
-                        className="action-btn primary"
-                        onClick={handleApprove}
-                    >
-                        Approve
-                    </button>
+                    {actions.map((action) => (
+                        <button
+                            key={action.status}
+                            className={`action-btn ${action.className}`}
+                            onClick={() => handleAction(action)}
+                            disabled={isUpdating}
+                        >
+                            {isUpdating ? 'Updating...' : action.label}
+                        </button>
+                    ))}
                 </div>
             )}
         </div>
@@ -2,83 +2,130 @@ import React, { useState, useEffect, useCallback } from 'react';
 import './ConsentManagement.css';
 import { apiService } from '../services/apiService';
 import { useWeb3 } from '../hooks/useWeb3';
+import { useCursorList } from '../hooks/useCursorList';
 import ConcentCard from './ConcentCard';
+import ApiErrorMessage from './ApiErrorMessage';
+import LoadMore from './LoadMore';
+import { CONSENT_PURPOSES } from '../utils/consentPurposes';
+import { CONSENT_TYPES, buildConsentDomain, buildConsentValue } from '../utils/consentTypedData';
+import { RECORD_TYPES, DEMOGRAPHIC_FIELDS } from '../utils/consentScope';
+import { formatGranteeType } from '../utils/formatUtilService';
+import { ConflictError } from '../services/apiErrors';
+
+/**
+ * Window in days for the "Expiring Soon" filter
+ * @type {number}
+ */
+const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * Initial values of the create consent form
+ * @type {Object}
+ */
+const EMPTY_FORM = {
+  patientId: '', // Patient identifier
+  purpose: '', // Consent purpose/category
+  grantee: '', // Wallet address receiving access
+  expiresOn: '', // Optional expiry date (YYYY-MM-DD)
+  recordTypes: [], // Record types shared with the grantee
+  dateFrom: '', // Optional earliest record date (YYYY-MM-DD)
+  dateTo: '', // Optional latest record date (YYYY-MM-DD)
+  fields: [], // Demographic fields shared with the grantee
+};
 
 /**
  * ConsentManagement Component
  * 
  * Manages patient data sharing consents with blockchain integration.
  * Allows users to:
- * - View all consents with filtering by status (All, Active, Pending)
- * - Create new consents with digital signatures
- * - Approve pending consents
+ * - View all consents with filtering by status (All, Active, Pending) or those expiring soon,
+ *   20 at a time with a "Load more" button
+ * - Create new consents signed as EIP-712 typed data, scoped to record types,
+ *   a record date range and patient demographic fields
+ * - Approve or reject pending consents and revoke active ones
+ * 
+ * Failed requests are explained with ApiErrorMessage: a failed load replaces the
+ * list, a rejected consent is shown in the create form with its invalid fields,
+ * and a refused status change above the list.
  * 
  * Requires a connected Web3 wallet (MetaMask) for full functionality.
  * 
  * @component
  * @param {Object} props - Component props
  * @param {string} props.account - Connected wallet address from MetaMask
+ * @param {boolean} props.canCreate - Whether the signed-in role may create consents (patients only)
+ * @param {boolean} props.canUpdate - Whether the signed-in role may change consent status (patients and admins)
  * 
  * @example
  * <ConsentManagement account="0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb" />
  */
-const ConsentManagement = ({ account }) => {
+const ConsentManagement = ({ account, canCreate, canUpdate }) => {
   // Web3 utilities from custom hook
-  const { signMessage } = useWeb3();
+  const { signTypedData, getChainId } = useWeb3();
 
   // State management
-  const [consents, setConsents] = useState([]); // Array of consent objects
-  const [loading, setLoading] = useState(true); // Loading state for API calls
-  const [error, setError] = useState(null); // Error messages
-  const [filterStatus, setFilterStatus] = useState('all'); // Active filter: 'all', 'active', or 'pending'
+  const [createError, setCreateError] = useState(null); // Why the last consent couldn't be created
+  const [updateError, setUpdateError] = useState(null); // Why the last status change was refused
+  const [filterStatus, setFilterStatus] = useState('all'); // Active filter: 'all', 'active', 'pending' or 'expiring'
   const [showCreateForm, setShowCreateForm] = useState(false); // Toggle create form visibility
-  const [formData, setFormData] = useState({
-    patientId: '', // Patient identifier
-    purpose: '', // Consent purpose/category
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [grantees, setGrantees] = useState([]); // Registered grantees a consent can be granted to
+  const [updatingId, setUpdatingId] = useState(null); // Consent whose status change is being mined
 
   /**
-   * Fetches consents from the API based on current filter status
-   * Filters can be: 'all', 'active', or 'pending'
+   * Fetches one page of consents from the API based on current filter status
+   * Filters can be: 'all', 'active', 'pending', or 'expiring'
+   * 
+   * Changes with the filter, which makes useCursorList reload the list
+   * from the first page.
    * 
    * @async
-   * @function fetchConsents
-   * @returns {Promise<void>}
+   * @function fetchPage
+   * @param {string|null} cursor - nextCursor of the previous page, null for the first page
+   * @returns {Promise<Object>} The page: { consents, total, nextCursor }
    */
-  const fetchConsents = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      // Call API with appropriate filter
-      const response = await apiService.getConsents(null, filterStatus === 'all' ? null : filterStatus);
+  const fetchPage = useCallback((cursor) => {
+    // 'expiring' lists active consents lapsing within the next 7 days, soonest first
+    const filter = filterStatus === 'expiring'
+      ? { expiringWithinDays: EXPIRING_SOON_DAYS }
+      : { status: filterStatus === 'all' ? null : filterStatus };
 
-      // Update state with fetched consents
-      setConsents(response.consents || []);
-      setError(null);
-    } catch (err) {
-      // Handle errors gracefully
-      setError(err.message || 'Failed to fetch consents');
-      setConsents([]);
-    } finally {
-      setLoading(false);
-    }
+    return apiService.getConsents({ ...filter, cursor, limit: 20 });
   }, [filterStatus]);
 
+  // Consents loaded so far; error is the typed error (see apiErrors.js) of a failed first page
+  const {
+    items: consents,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    reload: fetchConsents,
+  } = useCursorList(fetchPage, 'consents');
+
   /**
-   * Effect hook: Fetches consents whenever the filter status changes
+   * Effect hook: Loads the registered grantees when the create form opens
+   * Consents can only be granted to a registered grantee
    */
   useEffect(() => {
-    fetchConsents();
-  }, [fetchConsents]);
+    if (!showCreateForm) return;
+
+    apiService.getAllGrantees()
+      .then(setGrantees)
+      .catch(() => setGrantees([]));
+  }, [showCreateForm]);
 
   /**
    * Handles creation of a new consent record
    * 
    * Process:
    * 1. Validates wallet connection
-   * 2. Creates a message to sign combining purpose and patient ID
-   * 3. Signs the message using the connected wallet
-   * 4. Sends consent data with signature to the backend
+   * 2. Builds the EIP-712 Consent struct (patient, purpose, grantee, expiry, nonce)
+   * 3. Signs the typed data using the connected wallet
+   * 4. Sends the signed struct to the backend, which verifies it
    * 5. Refreshes consent list on success
    * 
    * @async
@@ -95,55 +142,91 @@ const ConsentManagement = ({ account }) => {
       return;
     }
 
+    setCreateError(null);
     try {
-      // Create a message combining consent details for signing
-      const message = `I consent to: ${formData.purpose} for patient: ${formData.patientId}`;
+      // Build the typed data for the connected network
+      const chainId = await getChainId();
+      const domain = buildConsentDomain(chainId);
+      const scope = {
+        recordTypes: formData.recordTypes,
+        dateFrom: formData.dateFrom || null,
+        dateTo: formData.dateTo || null,
+        fields: formData.fields,
+      };
+      const value = buildConsentValue({ ...formData, scope });
 
-      // Sign the message using MetaMask (requires user confirmation)
-      const signature = await signMessage(message);
+      // Sign the typed data using MetaMask (wallet shows every field for confirmation)
+      const signature = await signTypedData(domain, CONSENT_TYPES, value);
 
-      // Submit consent data to backend with wallet signature
+      // Submit the signed struct to the backend with wallet signature
       await apiService.createConsent({
-        patientId: formData.patientId,
-        purpose: formData.purpose,
+        patientId: value.patientId,
+        purpose: value.purpose,
+        grantee: value.grantee,
+        expiry: value.expiry,
+        nonce: value.nonce,
+        scope,
         walletAddress: account,
-        signature: signature // Blockchain-verified signature
+        chainId,
+        signature: signature // EIP-712 signature, verified by the backend
       });
 
       // Reset form and refresh list on success
       await fetchConsents();
-      setFormData({
-        patientId: '',
-        purpose: ''
-      });
+      setFormData(EMPTY_FORM);
       setShowCreateForm(false);
       alert('Consent created successfully!');
     } catch (err) {
-      alert('Failed to create consent: ' + err.message);
+      // Shown in the form, next to the values that need fixing
+      setCreateError(err);
     }
   };
 
   /**
-   * Updates a consent's status (e.g., from pending to active)
-   * Called when user approves a pending consent
+   * Moves a consent to a new lifecycle status (approve, reject or revoke)
+   * Called from the action buttons on a consent card
    * 
    * @async
    * @function handleUpdateStatus
    * @param {string} consentId - ID of the consent to update
+   * @param {string} status - Target status ('active', 'rejected' or 'revoked')
+   * @param {string|null} reason - Why the status changed, stored in the consent history
    * @returns {Promise<void>}
    */
-  const handleUpdateStatus = async (consentId) => {
+  const handleUpdateStatus = async (consentId, status, reason) => {
+    // Approvals and revocations wait for their anchoring transaction to be mined
+    setUpdatingId(consentId);
+    setUpdateError(null);
     try {
       // Call API to update consent status
-      await apiService.updateConsent(consentId, { status: "active" });
+      await apiService.updateConsent(consentId, { status, reason });
 
       // Refresh consent list to reflect changes
       fetchConsents();
     } catch (err) {
-      alert('Failed to update consent: ' + err.message);
+      setUpdateError(err);
+      // A conflict means the consent changed since it was listed, show its current status
+      if (err instanceof ConflictError) fetchConsents();
+    } finally {
+      setUpdatingId(null);
     }
   };
 
+  /**
+   * Adds or removes a value from one of the form's checkbox lists
+   * 
+   * @function toggleFormListValue
+   * @param {string} key - Form field holding the list ('recordTypes' or 'fields')
+   * @param {string} value - Checkbox value that was toggled
+   */
+  const toggleFormListValue = (key, value) => {
+    const list = formData[key];
+    setFormData({
+      ...formData,
+      [key]: list.includes(value) ? list.filter((item) => item !== value) : [...list, value],
+    });
+  };
+
   // Loading state UI
   if (loading) {
     return (
@@ -157,7 +240,7 @@ const ConsentManagement = ({ account }) => {
   if (error) {
     return (
       <div className="consent-management-container">
-        <div className="error">Error: {error}</div>
+        <ApiErrorMessage error={error} fallback="Failed to fetch consents" onRetry={fetchConsents} />
       </div>
     );
   }
@@ -168,13 +251,16 @@ const ConsentManagement = ({ account }) => {
       {/* Header with title and create button */}
       <div className="consent-header">
         <h2>Consent Management</h2>
-        <button
-          className="create-btn"
-          onClick={() => setShowCreateForm(!showCreateForm)}
-          disabled={!account} // Disabled without wallet connection
-        >
-          {showCreateForm ? 'Cancel' : 'Create New Consent'}
-        </button>
+        {/* Only patients grant consent over their own data */}
+        {canCreate && (
+          <button
+            className="create-btn"
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            disabled={!account} // Disabled without wallet connection
+          >
+            {showCreateForm ? 'Cancel' : 'Create New Consent'}
+          </button>
+        )}
       </div>
 
       {/* Warning message if wallet is not connected */}
@@ -185,9 +271,16 @@ const ConsentManagement = ({ account }) => {
       )}
 
       {/* Create Consent Form - Only shown when toggled and wallet is connected */}
-      {showCreateForm && account && (
+      {showCreateForm && canCreate && account && (
         <div className="create-consent-form">
           <h3>Create New Consent</h3>
+          {createError && (
+            <ApiErrorMessage
+              error={createError}
+              fallback="Failed to create consent"
+              onDismiss={() => setCreateError(null)}
+            />
+          )}
           <form onSubmit={handleCreateConsent}>
             {/* Patient ID input field */}
             <div className="form-group">
@@ -210,48 +303,147 @@ const ConsentManagement = ({ account }) => {
                 required
               >
                 <option value="">Select purpose...</option>
-                <option value="Research Study Participation">Research Study Participation</option>
-                <option value="Data Sharing with Research Institution">Data Sharing with Research Institution</option>
-                <option value="Third-Party Analytics Access">Third-Party Analytics Access</option>
-                <option value="Insurance Provider Access">Insurance Provider Access</option>
+                {CONSENT_PURPOSES.map((purpose) => (
+                  <option key={purpose} value={purpose}>{purpose}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Grantee dropdown - the consent is signed over the selected grantee's wallet */}
+            <div className="form-group">
+              <label>Grantee</label>
+              <select
+                value={formData.grantee}
+                onChange={(e) => setFormData({ ...formData, grantee: e.target.value })}
+                required
+              >
+                <option value="">Select grantee...</option>
+                {grantees.map((grantee) => (
+                  <option key={grantee.id} value={grantee.walletAddress}>
+                    {grantee.name} ({formatGranteeType(grantee.type)})
+                  </option>
+                ))}
               </select>
             </div>
 
+            {/* Optional expiry date field */}
+            <div className="form-group">
+              <label>Expires On (optional)</label>
+              <input
+                type="date"
+                value={formData.expiresOn}
+                onChange={(e) => setFormData({ ...formData, expiresOn: e.target.value })}
+              />
+            </div>
+
+            {/* Record types shared with the grantee - at least one is required */}
+            <div className="form-group">
+              <label>Shared Record Types</label>
+              <div className="scope-options">
+                {RECORD_TYPES.map((type) => (
+                  <label key={type} className="scope-option">
+                    <input
+                      type="checkbox"
+                      checked={formData.recordTypes.includes(type)}
+                      onChange={() => toggleFormListValue('recordTypes', type)}
+                    />
+                    {type}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Optional record date range */}
+            <div className="form-group">
+              <label>Records Dated (optional)</label>
+              <div className="scope-date-range">
+                <input
+                  type="date"
+                  value={formData.dateFrom}
+                  max={formData.dateTo || undefined}
+                  onChange={(e) => setFormData({ ...formData, dateFrom: e.target.value })}
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  value={formData.dateTo}
+                  min={formData.dateFrom || undefined}
+                  onChange={(e) => setFormData({ ...formData, dateTo: e.target.value })}
+                />
+              </div>
+            </div>
+
+            {/* Demographic fields shared with the grantee */}
+            <div className="form-group">
+              <label>Shared Patient Details</label>
+              <div className="scope-options">
+                {DEMOGRAPHIC_FIELDS.map((field) => (
+                  <label key={field.name} className="scope-option">
+                    <input
+                      type="checkbox"
+                      checked={formData.fields.includes(field.name)}
+                      onChange={() => toggleFormListValue('fields', field.name)}
+                    />
+                    {field.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
             {/* Submit button - Triggers wallet signature prompt */}
-            <button type="submit" className="submit-btn">
+            <button
+              type="submit"
+              className="submit-btn"
+              disabled={formData.recordTypes.length === 0} // A consent must share at least one record type
+            >
               Sign & Create Consent
             </button>
           </form>
         </div>
       )}
 
+      {/* Why the last approve, reject or revoke was refused */}
+      {updateError && (
+        <ApiErrorMessage
+          error={updateError}
+          fallback="Failed to update consent"
+          onDismiss={() => setUpdateError(null)}
+        />
+      )}
+
+      {/* Filter buttons for consent status, shown even when a filter matches nothing */}
+      <div className="consent-filters">
+        <button
+          className={filterStatus === 'all' ? 'active' : ''}
+          onClick={() => setFilterStatus('all')}
+        >
+          All
+        </button>
+        <button
+          className={filterStatus === 'active' ? 'active' : ''}
+          onClick={() => setFilterStatus('active')}
+        >
+          Active
+        </button>
+        <button
+          className={filterStatus === 'pending' ? 'active' : ''}
+          onClick={() => setFilterStatus('pending')}
+        >
+          Pending
+        </button>
+        <button
+          className={filterStatus === 'expiring' ? 'active' : ''}
+          onClick={() => setFilterStatus('expiring')}
+        >
+          Expiring Soon
+        </button>
+      </div>
+
       {/* Consents list or empty state */}
       {consents.length === 0 ? (
         <p>No consents found.</p>
       ) : (
         <>
-          {/* Filter buttons for consent status */}
-          <div className="consent-filters">
-            <button
-              className={filterStatus === 'all' ? 'active' : ''}
-              onClick={() => setFilterStatus('all')}
-            >
-              All
-            </button>
-            <button
-              className={filterStatus === 'active' ? 'active' : ''}
-              onClick={() => setFilterStatus('active')}
-            >
-              Active
-            </button>
-            <button
-              className={filterStatus === 'pending' ? 'active' : ''}
-              onClick={() => setFilterStatus('pending')}
-            >
-              Pending
-            </button>
-          </div>
-
           {/* Render consent cards for each consent */}
           <div className="consents-list">
             {consents.map((consent) => (
@@ -259,10 +451,23 @@ const ConsentManagement = ({ account }) => {
                 <ConcentCard
                   consent={consent}
                   onUpdateStatus={handleUpdateStatus}
+                  canUpdate={canUpdate}
+                  isUpdating={updatingId === consent.id}
                 />
               </div>
             ))}
           </div>
+
+          {/* Count and "Load more" button, until the last page is loaded */}
+          <LoadMore
+            shown={consents.length}
+            total={total}
+            noun="consents"
+            hasMore={hasMore}
+            loading={loadingMore}
+            error={loadMoreError}
+            onLoadMore={loadMore}
+          />
         </>
       )}
     </div>
@@ -0,0 +1,46 @@
+import React from 'react';
+import './LoadMore.css';
+import ApiErrorMessage from './ApiErrorMessage';
+
+/**
+ * LoadMore Component
+ *
+ * Footer of a cursor-paginated list (see useCursorList): how many of the
+ * matching items are shown, and a button that appends the next page until
+ * the last one is loaded. A failed page is explained with ApiErrorMessage,
+ * keeping the items already shown.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.shown - Number of items loaded so far
+ * @param {number} props.total - Number of items in the whole list
+ * @param {string} props.noun - Plural name of the items, e.g. "patients"
+ * @param {boolean} props.hasMore - Whether there is a next page
+ * @param {boolean} props.loading - Whether the next page is being fetched
+ * @param {Error|null} [props.error] - Why the last next page failed to load
+ * @param {Function} props.onLoadMore - Fetches the next page
+ *
+ * @example
+ * <LoadMore shown={patients.length} total={total} noun="patients" hasMore={hasMore}
+ *   loading={loadingMore} error={loadMoreError} onLoadMore={loadMore} />
+ */
+const LoadMore = ({ shown, total, noun, hasMore, loading, error, onLoadMore }) => (
+  <div className="load-more">
+    <span className="load-more-info">
+      Showing {shown} of {total} {noun}
+    </span>
+
+    {error && (
+      <ApiErrorMessage error={error} fallback={`Failed to load more ${noun}`} onRetry={onLoadMore} />
+    )}
+
+    {/* Hidden once the last page is loaded */}
+    {hasMore && (
+      <button className="load-more-button" onClick={onLoadMore} disabled={loading}>
+        {loading ? 'Loading...' : 'Load more'}
+      </button>
+    )}
+  </div>
+);
+
+export default LoadMore;
@@ -1,6 +1,48 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './MedicalRecordCard.css';
+import { apiService } from '../services/apiService';
+import { ConflictError } from '../services/apiErrors';
 import { formatDate, truncateDescription } from '../utils/formatUtilService';
+import { hashRecord } from '../utils/recordHash';
+import { verifyMerkleProof } from '../utils/merkleTree';
+import RecordHistory from './RecordHistory';
+
+/**
+ * Labels of the integrity states shown in the badge
+ * @constant {Object<string, string>}
+ */
+const INTEGRITY_LABELS = {
+    checking: 'Checking...',
+    verified: 'Verified',
+    mismatch: 'Mismatch',
+    unanchored: 'Unanchored',
+    unverified: 'Unverified',
+};
+
+/**
+ * Checks a record against its inclusion proof entirely in the browser
+ * 
+ * The content hash is recomputed from the record as displayed and must equal the
+ * anchored leaf, and the proof must lead from that leaf to the anchored Merkle
+ * root. The server's own `verified` flag is deliberately ignored.
+ * 
+ * @function checkRecordIntegrity
+ * @param {Object} record - Medical record as displayed
+ * @param {Object} proof - Response of GET /records/:id/proof
+ * @returns {{status: string, detail: string}} 'verified' or 'mismatch' with an explanation
+ */
+const checkRecordIntegrity = (record, proof) => {
+    if (hashRecord(record) !== proof.anchoredHash) {
+        return { status: 'mismatch', detail: 'Record content does not match the anchored hash' };
+    }
+    if (!verifyMerkleProof(proof.anchoredHash, proof.proof, proof.merkleRoot)) {
+        return { status: 'mismatch', detail: 'Merkle proof does not lead to the anchored root' };
+    }
+    if (record.anchor && record.anchor.merkleRoot !== proof.merkleRoot) {
+        return { status: 'mismatch', detail: 'Proof root differs from the root the record was anchored in' };
+    }
+    return { status: 'verified', detail: `Content hash is included in Merkle root ${proof.merkleRoot}` };
+};
 
 /**
  * MedicalRecordCard Component
@@ -8,11 +50,18 @@ import { formatDate, truncateDescription } from '../utils/formatUtilService';
  * Displays a single medical record with expandable description, 
  * doctor/hospital information, and blockchain verification hash.
  * 
+ * The status badge reflects a real integrity check: the card fetches the record's
+ * Merkle inclusion proof, recomputes the content hash and Merkle path in the browser
+ * and compares them with the anchored root. The badge reads Verified, Mismatch
+ * (content or proof doesn't match), Unanchored (not anchored yet) or Unverified
+ * (the proof couldn't be fetched).
+ * 
  * Features:
  * - Collapsible/expandable description for long text
- * - Status indicator with visual icon
+ * - Integrity indicator with visual icon, checked client-side against the anchored Merkle root
  * - Record type badge for categorization
  * - Blockchain hash for data integrity verification
+ * - Version badge and history with diffs between versions for amended records
  * - Responsive layout with grid system
  * 
  * @component
@@ -27,11 +76,15 @@ import { formatDate, truncateDescription } from '../utils/formatUtilService';
  * @param {string} props.record.hospital - Name of the hospital/facility
  * @param {string} props.record.status - Status of the record (e.g., "verified", "pending")
  * @param {string} props.record.blockchainHash - Hash stored on blockchain for verification
+ * @param {Object} [props.record.anchor] - Anchoring transaction and Merkle root of the record
+ * @param {number} [props.record.version] - Version number, above 1 once the record has been amended
+ * @param {string} [props.purpose] - Consent purpose used to read the record, needed to fetch
+ *                                  the proof of another patient's record
  * 
  * @example
- * <MedicalRecordCard record={medicalRecordObject} />
+ * <MedicalRecordCard record={medicalRecordObject} purpose="Research Study Participation" />
  */
-const MedicalRecordCard = ({ record }) => {
+const MedicalRecordCard = ({ record, purpose = null }) => {
     /**
      * State to track which records have expanded descriptions
      * Key: record ID, Value: boolean indicating if expanded
@@ -53,6 +106,59 @@ const MedicalRecordCard = ({ record }) => {
         }))
     }
 
+    /**
+     * Integrity check result and the proof it was checked against
+     * @type {[{status: string, detail: string, proof: Object|null}, Function]}
+     */
+    const [integrity, setIntegrity] = useState({ status: 'checking', detail: '', proof: null })
+
+    /**
+     * Whether the version history is open
+     * @type {[boolean, Function]}
+     */
+    const [showHistory, setShowHistory] = useState(false)
+
+    /**
+     * Amended records have versions to compare; seeded ones have no version number
+     * @type {boolean}
+     */
+    const amended = (record.version || 1) > 1
+
+    /**
+     * Effect hook: Fetches the inclusion proof and checks the record against it
+     * whenever the record (or the purpose it was read with) changes
+     */
+    useEffect(() => {
+        let cancelled = false
+
+        const verify = async () => {
+            setIntegrity({ status: 'checking', detail: '', proof: null })
+            try {
+                const proof = await apiService.getRecordProof(record.id, purpose)
+                if (!cancelled) setIntegrity({ ...checkRecordIntegrity(record, proof), proof })
+            } catch (err) {
+                if (cancelled) return
+                // 409: the record exists but hasn't been batched into a Merkle root yet
+                if (err instanceof ConflictError) {
+                    setIntegrity({ status: 'unanchored', detail: 'Record has not been anchored yet', proof: null })
+                } else {
+                    setIntegrity({
+                        status: 'unverified',
+                        detail: err.message || 'Could not fetch the proof',
+                        proof: null,
+                    })
+                }
+            }
+        }
+
+        verify()
+
+        // Ignore a proof that arrives after the record changed
+        return () => {
+            cancelled = true
+        }
+    }, [record, purpose])
+
     return (
         <div className="record-card">
             {/* Header section with record metadata */}
@@ -62,6 +168,9 @@ const MedicalRecordCard = ({ record }) => {
                     {/* Record type badge for quick categorization */}
                     <span className="record-type-badge">{record.type}</span>
 
+                    {/* Version badge, only once the record has been amended */}
+                    {amended && <span className="record-version-badge">Version {record.version}</span>}
+
                     {/* Record title */}
                     <h3 className="record-title">{record.title}</h3>
 
@@ -69,23 +178,33 @@ const MedicalRecordCard = ({ record }) => {
                     <p className="record-date">{formatDate(record.date)}</p>
                 </div>
 
-                {/* Right side: Status indicator with icon */}
-                <span className={`record-status ${record.status.toLowerCase()}`}>
-                    {/* Custom SVG checkmark icon for status indication */}
+                {/* Right side: Integrity indicator with icon, explained on hover */}
+                <span className={`record-status ${integrity.status}`} title={integrity.detail}>
+                    {/* Custom SVG icon for status indication */}
                     <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
                         {/* Circle background */}
                         <circle cx="6" cy="6" r="5" stroke="currentColor" strokeWidth="1.5" />
-                        {/* Checkmark path */}
-                        <path
-                            d="M4 6L5.5 7.5L8 4.5"
-                            stroke="currentColor"
-                            strokeWidth="1.5"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                        />
+                        {/* Checkmark for a verified record, cross for a mismatch */}
+                        {integrity.status === 'verified' && (
+                            <path
+                                d="M4 6L5.5 7.5L8 4.5"
+                                stroke="currentColor"
+                                strokeWidth="1.5"
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                            />
+                        )}
+                        {integrity.status === 'mismatch' && (
+                            <path
+                                d="M4.25 4.25L7.75 7.75M7.75 4.25L4.25 7.75"
+                                stroke="currentColor"
+                                strokeWidth="1.5"
+                                strokeLinecap="round"
+                            />
+                        )}
                     </svg>
                     {/* Status text */}
-                    {record.status}
+                    {INTEGRITY_LABELS[integrity.status]}
                 </span>
             </div>
 
@@ -135,7 +254,26 @@ const MedicalRecordCard = ({ record }) => {
                     <span className="record-label">Blockchain Hash:</span>
                     {/* Hash displayed in monospace font for clarity */}
                     <span className="record-value record-hash">{record.blockchainHash}</span>
+                    {/* Where the hash was anchored, once the proof has been fetched */}
+                    {integrity.proof && (
+                        <span className="record-anchor">
+                            {integrity.proof.transaction.blockNumber === null
+                                ? 'Anchored off chain'
+                                : `Anchored in block ${integrity.proof.transaction.blockNumber}`} under Merkle root{' '}
+                            <span className="record-hash">{integrity.proof.merkleRoot}</span>
+                        </span>
+                    )}
                 </div>
+
+                {/* Version history with diffs, for amended records */}
+                {amended && (
+                    <div className="record-item-full">
+                        <button onClick={() => setShowHistory((open) => !open)} className="expand-button">
+                            {showHistory ? 'Hide history' : 'View history'}
+                        </button>
+                        {showHistory && <RecordHistory recordId={record.id} purpose={purpose} />}
+                    </div>
+                )}
             </div>
         </div>
     )
@@ -1,4 +1,5 @@
 import { formatDate, formatWalletAddress } from '../utils/formatUtilService';
+import { NOT_SHARED_LABEL } from '../utils/consentScope';
 
 /**
  * PatientCard Component
@@ -39,7 +40,7 @@ const PatientCard = ({ patient }) => {
             <div className="patient-card-header">
                 <div>
                     {/* Patient's full name */}
-                    <h3 className="patient-name">{patient.name}</h3>
+                    <h3 className="patient-name">{patient.name ?? `Name ${NOT_SHARED_LABEL.toLowerCase()}`}</h3>
 
                     {/* Patient's medical record ID for quick reference */}
                     <span className="patient-id">{patient.patientId}</span>
@@ -54,7 +55,7 @@ const PatientCard = ({ patient }) => {
                     <span>📅</span>
                     <span>
                         {/* Formatted date of birth and gender separated by bullet */}
-                        {formatDate(patient.dateOfBirth)} • {patient.gender}
+                        {patient.dateOfBirth ? formatDate(patient.dateOfBirth) : NOT_SHARED_LABEL} • {patient.gender ?? NOT_SHARED_LABEL}
                     </span>
                 </div>
 
@@ -62,21 +63,21 @@ const PatientCard = ({ patient }) => {
                 <div className="patient-info-item">
                     {/* Email emoji icon */}
                     <span>📧</span>
-                    <span>{patient.email}</span>
+                    <span>{patient.email ?? NOT_SHARED_LABEL}</span>
                 </div>
 
                 {/* Phone contact information */}
                 <div className="patient-info-item">
                     {/* Phone emoji icon */}
                     <span>📱</span>
-                    <span>{patient.phone}</span>
+                    <span>{patient.phone ?? NOT_SHARED_LABEL}</span>
                 </div>
 
                 {/* Physical address information */}
                 <div className="patient-info-item">
                     {/* Location/map emoji icon */}
                     <span>📍</span>
-                    <span>{patient.address}</span>
+                    <span>{patient.address ?? NOT_SHARED_LABEL}</span>
                 </div>
             </div>
 
@@ -1,8 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './PatientDetail.css';
 import { apiService } from '../services/apiService';
+import { ForbiddenError, describeApiError } from '../services/apiErrors';
 import PatientInformation from './PatientInformation';
 import MedicalRecordCard from './MedicalRecordCard';
+import AccessLogTimeline from './AccessLogTimeline';
+import { CONSENT_PURPOSES } from '../utils/consentPurposes';
+import { describeRecordScope } from '../utils/consentScope';
 
 /**
  * PatientDetail Component
@@ -10,6 +14,11 @@ import MedicalRecordCard from './MedicalRecordCard';
  * Displays comprehensive information about a single patient including:
  * - Complete patient demographics and contact information
  * - Medical records associated with the patient
+ * - Optionally, an access log tab listing who read the patient's data
+ * 
+ * Medical records are consent-gated: anyone but the patient must pick the
+ * purpose of an active consent granted to their wallet. A denied read only
+ * affects the records section, which shows the reason and a purpose selector.
  * 
  * This is a detailed view component that fetches data from the backend API
  * and renders child components to display patient information and medical records.
@@ -23,17 +32,27 @@ import MedicalRecordCard from './MedicalRecordCard';
  * @component
  * @param {Object} props - Component props
  * @param {string} props.patientId - ID of the patient to display details for
- * @param {Function} props.onBack - Callback function to navigate back to patient list
+ * @param {Function} [props.onBack] - Callback function to navigate back to patient list
+ *                                   (omitted when patients view their own record)
+ * @param {boolean} [props.showAccessLog=false] - Whether to offer the Access Log tab
+ *                                               (for the patient themselves and admins)
+ * @param {boolean} [props.canEdit=false] - Whether the patient information can be edited
+ *                                         (the patient themselves and admins)
+ * @param {boolean} [props.canEditWallet=false] - Whether the wallet address can be edited (admins)
  * 
  * @example
- * <PatientDetail patientId="patient-001" onBack={() => navigate(-1)} />
+ * <PatientDetail patientId="patient-001" onBack={() => navigate(-1)} showAccessLog canEdit />
  */
-const PatientDetail = ({ patientId, onBack }) => {
+const PatientDetail = ({ patientId, onBack, showAccessLog = false, canEdit = false, canEditWallet = false }) => {
   // State management
   const [patient, setPatient] = useState(null); // Patient object containing demographics
   const [records, setRecords] = useState([]); // Array of medical records
   const [loading, setLoading] = useState(true); // Loading state for API calls
   const [error, setError] = useState(null); // Error messages from API calls
+  const [purpose, setPurpose] = useState(''); // Consent purpose stated for record reads
+  const [recordsAccess, setRecordsAccess] = useState(null); // Owner/consent basis of a granted read
+  const [recordsDenied, setRecordsDenied] = useState(null); // { error, reason } of a denied read
+  const [activeTab, setActiveTab] = useState('records'); // 'records' or 'access-log'
 
   /**
    * Fetches patient details and medical records from the API
@@ -43,7 +62,7 @@ const PatientDetail = ({ patientId, onBack }) => {
    * 
    * API Endpoints Called:
    * - apiService.getPatient(patientId) - Fetches patient demographics
-   * - apiService.getPatientRecords(patientId) - Fetches patient's medical records
+   * - apiService.getPatientRecords(patientId, purpose) - Fetches patient's medical records
    * 
    * @async
    * @function fetchPatientData
@@ -56,7 +75,13 @@ const PatientDetail = ({ patientId, onBack }) => {
       // Fetch both patient data and records in parallel for efficiency
       const [patientResponse, recordsResponse] = await Promise.all([
         apiService.getPatient(patientId),
-        apiService.getPatientRecords(patientId)
+        // A consent denial (403) is shown in the records section, not as a page error
+        apiService.getPatientRecords(patientId, purpose || null).catch((err) => {
+          if (err instanceof ForbiddenError) {
+            return { denied: { error: err.message, reason: err.reason } };
+          }
+          throw err;
+        })
       ]);
 
       // Update patient state with fetched data
@@ -64,17 +89,34 @@ const PatientDetail = ({ patientId, onBack }) => {
 
       // Update records state (handle both wrapped and direct array responses)
       setRecords(recordsResponse.records || []);
+      setRecordsAccess(recordsResponse.access || null);
+      setRecordsDenied(recordsResponse.denied || null);
 
       setError(null);
     } catch (err) {
       // Handle errors gracefully
-      setError(err.message || 'Failed to fetch patient data');
+      setError(describeApiError(err, 'Failed to fetch patient data'));
       setPatient(null);
       setRecords([]);
     } finally {
       setLoading(false);
     }
-  }, [patientId]);
+  }, [patientId, purpose]);
+
+  /**
+   * Saves edited patient information and shows the stored result
+   * 
+   * Errors are left to PatientInformation, which shows them above its form.
+   * 
+   * @async
+   * @function handleSavePatient
+   * @param {Object} updates - Changed profile fields
+   * @returns {Promise<void>}
+   */
+  const handleSavePatient = async (updates) => {
+    const updated = await apiService.updatePatient(patientId, updates);
+    setPatient(updated);
+  };
 
   /**
    * Effect hook: Fetches patient data when component mounts or patientId changes
@@ -104,7 +146,7 @@ const PatientDetail = ({ patientId, onBack }) => {
     return (
       <div className="patient-detail-container">
         <div className="error">Error loading patient: {error || 'Patient not found'}</div>
-        <button onClick={onBack} className="back-btn">Back to List</button>
+        {onBack && <button onClick={onBack} className="back-btn">Back to List</button>}
       </div>
     );
   }
@@ -113,11 +155,13 @@ const PatientDetail = ({ patientId, onBack }) => {
   return (
     <div className="patient-detail-container">
       {/* Header with back navigation */}
-      <div className="patient-detail-header">
-        <button onClick={onBack} className="back-btn">
-          ← Back to List
-        </button>
-      </div>
+      {onBack && (
+        <div className="patient-detail-header">
+          <button onClick={onBack} className="back-btn">
+            ← Back to List
+          </button>
+        </div>
+      )}
 
       {/* Main content section with two subsections */}
       <div className="patient-detail-content">
@@ -126,27 +170,87 @@ const PatientDetail = ({ patientId, onBack }) => {
         <div className="patient-info-section">
           <h2>Patient Information</h2>
           {/* Child component handles rendering patient details */}
-          <PatientInformation patient={patient} />
+          <PatientInformation
+            patient={patient}
+            onSave={canEdit ? handleSavePatient : undefined}
+            canEditWallet={canEditWallet}
+          />
         </div>
 
+        {/* Tabs between the records and the access log, when the viewer may see the log */}
+        {showAccessLog && (
+          <div className="detail-tabs">
+            <button
+              className={activeTab === 'records' ? 'active' : ''}
+              onClick={() => setActiveTab('records')}
+            >
+              Medical Records
+            </button>
+            <button
+              className={activeTab === 'access-log' ? 'active' : ''}
+              onClick={() => setActiveTab('access-log')}
+            >
+              Access Log
+            </button>
+          </div>
+        )}
+
+        {/* Access Log Section */}
+        {/* The timeline fetches the log itself, so it is only loaded once the tab is opened */}
+        {showAccessLog && activeTab === 'access-log' && (
+          <div className="patient-records-section">
+            <h2>Access Log</h2>
+            <AccessLogTimeline patientId={patientId} />
+          </div>
+        )}
+
         {/* Medical Records Section */}
         {/* Displays all medical records associated with the patient */}
-        <div className="patient-records-section">
-          <h2>Medical Records ({records.length})</h2>
-
-          {/* Conditional rendering: Show message if no records exist */}
-          {records.length === 0 ? (
-            <p>No medical records found for this patient.</p>
-          ) : (
-            // Render list of medical record cards
-            <div className="records-list">
-              {records.map((record) => (
-                // Each record displayed in a dedicated card component
-                <MedicalRecordCard key={record.id} record={record} />
-              ))}
-            </div>
-          )}
-        </div>
+        {activeTab === 'records' && (
+          <div className="patient-records-section">
+            <h2>Medical Records ({records.length})</h2>
+
+            {/* Purpose selector for consent-gated reads (hidden for the patient's own records) */}
+            {recordsAccess?.basis !== 'owner' && (
+              <div className="records-purpose">
+                <label htmlFor="records-purpose">Purpose of access</label>
+                <select
+                  id="records-purpose"
+                  value={purpose}
+                  onChange={(e) => setPurpose(e.target.value)}
+                >
+                  <option value="">Select purpose...</option>
+                  {CONSENT_PURPOSES.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Consent that granted this read */}
+            {recordsAccess?.basis === 'consent' && (
+              <p className="records-access-note">
+                Access granted by consent {recordsAccess.consentId} for "{recordsAccess.purpose}"
+                {recordsAccess.scope && ` — limited to ${describeRecordScope(recordsAccess.scope)}`}
+              </p>
+            )}
+
+            {/* Conditional rendering: Show denial reason, or message if no records exist */}
+            {recordsDenied ? (
+              <p className="records-denied">Access denied: {recordsDenied.error}</p>
+            ) : records.length === 0 ? (
+              <p>No medical records found for this patient.</p>
+            ) : (
+              // Render list of medical record cards
+              <div className="records-list">
+                {records.map((record) => (
+                  // Each record displayed in a dedicated card component
+                  <MedicalRecordCard key={record.id} record={record} purpose={purpose || null} />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
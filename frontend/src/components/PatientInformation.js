@@ -1,5 +1,33 @@
+import React, { useState } from 'react';
 import './PatientInformation.css';
 import { formatDate } from '../utils/formatUtilService';
+import { NOT_SHARED_LABEL } from '../utils/consentScope';
+
+// Profile fields the edit form offers, in display order. The wallet is only
+// editable by admins, it decides who signs in as the patient.
+const EDITABLE_FIELDS = [
+    { name: 'name', label: 'Full Name', type: 'text' },
+    { name: 'dateOfBirth', label: 'Date of Birth', type: 'date' },
+    { name: 'gender', label: 'Gender', type: 'text' },
+    { name: 'email', label: 'Email', type: 'email' },
+    { name: 'phone', label: 'Phone', type: 'tel' },
+    { name: 'address', label: 'Address', type: 'text', fullWidth: true },
+    { name: 'walletAddress', label: 'Wallet Address', type: 'text', fullWidth: true, walletOnly: true },
+];
+
+/**
+ * Display value of an optional profile field
+ * 
+ * Fields a consent doesn't share are missing from the patient object, fields
+ * the patient never provided are null.
+ * 
+ * @param {string|null|undefined} value - Field value
+ * @returns {string} The value, "Not shared" or "Not provided"
+ */
+const formatField = (value) => {
+    if (value === undefined) return NOT_SHARED_LABEL;
+    return value ?? 'Not provided';
+};
 
 /**
  * PatientInformation Component
@@ -19,6 +47,12 @@ import { formatDate } from '../utils/formatUtilService';
  * - Two-column grid for standard fields
  * - Full-width fields for longer content (Address, Wallet)
  * - Date fields are automatically formatted for readability
+ * - Demographic fields a grantee's consent does not share read "Not shared"
+ * 
+ * Edit Mode:
+ * - When `onSave` is given an Edit button switches the grid to a form
+ * - Only changed fields are passed to `onSave`; server validation errors
+ *   (email, phone, date of birth, wallet checksum, duplicates) are shown above the form
  * 
  * @component
  * @param {Object} props - Component props
@@ -32,11 +66,101 @@ import { formatDate } from '../utils/formatUtilService';
  * @param {string} props.patient.address - Patient's residential address
  * @param {string} props.patient.walletAddress - Ethereum wallet address for blockchain operations
  * @param {string} props.patient.createdAt - ISO timestamp of patient registration
+ * @param {Function} [props.onSave] - Saves changed fields, resolves once stored
+ *                                    (omit to make the information read-only)
+ * @param {boolean} [props.canEditWallet=false] - Whether the wallet address is editable (admins)
  * 
  * @example
- * <PatientInformation patient={patientObject} />
+ * <PatientInformation patient={patientObject} onSave={(updates) => apiService.updatePatient(id, updates)} />
  */
-const PatientInformation = ({ patient }) => {
+const PatientInformation = ({ patient, onSave, canEditWallet = false }) => {
+    const [isEditing, setIsEditing] = useState(false); // Whether the edit form is shown
+    const [draft, setDraft] = useState({}); // Field values being edited
+    const [saving, setSaving] = useState(false); // Whether a save is in flight
+    const [error, setError] = useState(null); // Validation error from the last save
+
+    const fields = EDITABLE_FIELDS.filter((field) => canEditWallet || !field.walletOnly);
+
+    /**
+     * Opens the edit form with the current values
+     */
+    const startEditing = () => {
+        setDraft(Object.fromEntries(fields.map((field) => [field.name, patient[field.name] ?? ''])));
+        setError(null);
+        setIsEditing(true);
+    };
+
+    /**
+     * Sends the fields that differ from the stored profile and leaves edit mode
+     * once they are saved. Nothing is sent when no field changed.
+     * 
+     * @async
+     * @param {Event} e - Form submit event
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const updates = Object.fromEntries(
+            Object.entries(draft).filter(([name, value]) => value.trim() !== (patient[name] ?? ''))
+        );
+
+        if (Object.keys(updates).length === 0) {
+            setIsEditing(false);
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave(updates);
+            setIsEditing(false);
+        } catch (err) {
+            setError(err.message || 'Failed to save changes');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (isEditing) {
+        return (
+            <form className="info-edit-form" onSubmit={handleSubmit}>
+                {error && <div className="info-edit-error">{error}</div>}
+
+                <div className="info-grid">
+                    {fields.map((field) => (
+                        <label
+                            key={field.name}
+                            className={`info-item${field.fullWidth ? ' full-width' : ''}`}
+                        >
+                            <span className="info-label">{field.label}</span>
+                            <input
+                                className="info-input"
+                                type={field.type}
+                                value={draft[field.name]}
+                                onChange={(e) => setDraft({ ...draft, [field.name]: e.target.value })}
+                                disabled={saving}
+                            />
+                        </label>
+                    ))}
+                </div>
+
+                <div className="info-edit-actions">
+                    <button type="submit" className="info-edit-btn primary" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                        type="button"
+                        className="info-edit-btn"
+                        onClick={() => setIsEditing(false)}
+                        disabled={saving}
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        )
+    }
+
     return (
         <div className="info-grid">
             {/* Patient ID Field */}
@@ -50,42 +174,42 @@ const PatientInformation = ({ patient }) => {
             {/* Legal name of the patient */}
             <div className="info-item">
                 <span className="info-label">Full Name</span>
-                <span className="info-value">{patient.name}</span>
+                <span className="info-value">{patient.name ?? NOT_SHARED_LABEL}</span>
             </div>
 
             {/* Date of Birth Field */}
             {/* Formatted using formatDate utility for consistency */}
             <div className="info-item">
                 <span className="info-label">Date of Birth</span>
-                <span className="info-value">{formatDate(patient.dateOfBirth)}</span>
+                <span className="info-value">{patient.dateOfBirth ? formatDate(patient.dateOfBirth) : NOT_SHARED_LABEL}</span>
             </div>
 
             {/* Gender Field */}
             {/* Patient's gender for medical records */}
             <div className="info-item">
                 <span className="info-label">Gender</span>
-                <span className="info-value">{patient.gender}</span>
+                <span className="info-value">{formatField(patient.gender)}</span>
             </div>
 
             {/* Email Field */}
             {/* Primary email contact for the patient */}
             <div className="info-item">
                 <span className="info-label">Email</span>
-                <span className="info-value">{patient.email}</span>
+                <span className="info-value">{patient.email ?? NOT_SHARED_LABEL}</span>
             </div>
 
             {/* Phone Field */}
             {/* Primary phone contact for the patient */}
             <div className="info-item">
                 <span className="info-label">Phone</span>
-                <span className="info-value">{patient.phone}</span>
+                <span className="info-value">{formatField(patient.phone)}</span>
             </div>
 
             {/* Address Field - Full Width */}
             {/* Residential address (may be long, so spans full width) */}
             <div className="info-item full-width">
                 <span className="info-label">Address</span>
-                <span className="info-value">{patient.address}</span>
+                <span className="info-value">{formatField(patient.address)}</span>
             </div>
 
             {/* Wallet Address Field - Full Width */}
@@ -103,6 +227,15 @@ const PatientInformation = ({ patient }) => {
                 <span className="info-label">Registration Date</span>
                 <span className="info-value">{formatDate(patient.createdAt)}</span>
             </div>
+
+            {/* Edit button, when the viewer may correct the profile */}
+            {onSave && (
+                <div className="info-edit-actions full-width">
+                    <button type="button" className="info-edit-btn" onClick={startEditing}>
+                        Edit Information
+                    </button>
+                </div>
+            )}
         </div>
     )
 }
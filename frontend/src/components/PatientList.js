@@ -1,26 +1,41 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './PatientList.css';
 import { apiService } from '../services/apiService';
+import { useCursorList } from '../hooks/useCursorList';
 import PatientCard from './PatientCard';
+import ApiErrorMessage from './ApiErrorMessage';
+import LoadMore from './LoadMore';
+
+/**
+ * Orders the list can be sorted in, as the `sort` and `order` query parameters
+ * @type {Object<string, {label: string, sort: string, order: string}>}
+ */
+const SORT_OPTIONS = {
+  name: { label: 'Name (A-Z)', sort: 'name', order: 'asc' },
+  newest: { label: 'Newest first', sort: 'createdAt', order: 'desc' },
+  youngest: { label: 'Youngest first', sort: 'dateOfBirth', order: 'desc' },
+  oldest: { label: 'Oldest first', sort: 'dateOfBirth', order: 'asc' },
+};
 
 /**
  * PatientList Component
  * 
- * Displays a paginated list of patients with search functionality.
+ * Displays a growing list of patients with search and sorting.
  * Serves as the main view for browsing and selecting patients in the application.
  * 
  * Features:
- * - Paginated display (10 patients per page)
+ * - Cursor-paginated display (10 patients per page) with a "Load more" button
  * - Debounced search (500ms delay) to minimize API calls while typing
+ * - Sorting by name, registration date or date of birth
  * - Click on patient card to view detailed patient information
- * - Previous/Next pagination controls
- * - Loading and error state handling
+ * - Loading and error state handling, explaining failed requests with ApiErrorMessage
  * 
  * Data Flow:
  * 1. User types in search input → searchInput state updates immediately
- * 2. After 500ms of no typing → searchTerm state updates and triggers API call
- * 3. User clicks pagination buttons → currentPage updates and triggers API call
- * 4. Fetched patients displayed in a list of PatientCard components
+ * 2. After 500ms of no typing → searchTerm state updates and the list reloads from the first page
+ * 3. User changes the sort → the list reloads from the first page
+ * 4. User clicks "Load more" → the next page (from the previous page's nextCursor) is appended
+ * 5. Fetched patients displayed in a list of PatientCard components
  * 
  * @component
  * @param {Object} props - Component props
@@ -32,85 +47,45 @@ import PatientCard from './PatientCard';
  */
 const PatientList = ({ onSelectPatient }) => {
   // State management
-  const [patients, setPatients] = useState([]); // Array of patient objects to display
-  const [loading, setLoading] = useState(true); // Loading state during API calls
-  const [error, setError] = useState(null); // Error messages from failed API calls
   const [searchTerm, setSearchTerm] = useState(''); // Debounced search term (triggers API calls)
   const [searchInput, setSearchInput] = useState(''); // Immediate search input (for UI)
-  const [currentPage, setCurrentPage] = useState(1); // Current pagination page number
-  const [pagination, setPagination] = useState(null); // Pagination metadata from API
+  const [sortKey, setSortKey] = useState('name'); // Selected entry of SORT_OPTIONS
 
   /**
-   * Fetches patients from the API with current filters and pagination
+   * Fetches one page of patients with the current search and sort
    * 
-   * Called when:
-   * - Component mounts
-   * - currentPage changes (user clicks pagination)
-   * - searchTerm changes (after debounce delay)
+   * Changes whenever searchTerm or sortKey changes, which makes
+   * useCursorList reload the list from the first page.
    * 
    * @async
-   * @function fetchPatients
-   * @returns {Promise<void>}
+   * @function fetchPage
+   * @param {string|null} cursor - nextCursor of the previous page, null for the first page
+   * @returns {Promise<Object>} The page: { patients, total, nextCursor }
    */
-  const fetchPatients = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      // Call API with pagination and search parameters
-      const response = await apiService.getPatients(
-        currentPage, // Current page number
-        10, // Items per page
-        searchTerm // Search query (empty string for no filter)
-      );
-
-      // Update patients list with API response
-      setPatients(response.patients || []);
-
-      // Update currentPage with API response (ensures consistency)
-      setCurrentPage(response.pagination.page);
-
-      // Calculate pagination flags for UI controls
-      setPagination({
-        ...response.pagination,
-        // Check if there are more pages after current
-        hasNextPage: response.pagination.page < response.pagination.totalPages,
-        // Check if there are pages before current
-        hasPrevPage: response.pagination.page > 1
-      });
-
-      setError(null);
-    } catch (err) {
-      // Handle API errors gracefully
-      setError(err.message || 'Failed to fetch patients');
-      setPatients([]);
-    } finally {
-      setLoading(false);
-    }
-  }, [currentPage, searchTerm]);
-
-  /**
-   * Effect Hook: Fetches patients when currentPage or searchTerm changes
-   * 
-   * This ensures fresh data when:
-   * - User navigates to a different page
-   * - User completes a search (after debounce)
-   * 
-   * Dependencies: [currentPage, searchTerm, fetchPatients]
-   */
-  useEffect(() => {
-    fetchPatients();
-  }, [fetchPatients]);
+  const fetchPage = useCallback((cursor) => {
+    const { sort, order } = SORT_OPTIONS[sortKey];
+    return apiService.getPatients({ search: searchTerm, sort, order, cursor, limit: 10 });
+  }, [searchTerm, sortKey]);
+
+  // Patients loaded so far; loading covers the first page, loadingMore the ones after it
+  const {
+    items: patients,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    reload,
+  } = useCursorList(fetchPage, 'patients');
 
   /**
    * Effect Hook: Debounces search input with 500ms delay
    * 
    * Purpose: Prevents excessive API calls while user is typing
    * - User types character → searchInput updates immediately
-   * - 500ms after last keystroke → searchTerm updates → triggers API call
-   * 
-   * When search term changes:
-   * - Reset to page 1 (to show results from beginning)
-   * - Clear pagination from previous search
+   * - 500ms after last keystroke → searchTerm updates → list reloads from the first page
    * 
    * Dependencies: [searchInput]
    */
@@ -118,7 +93,6 @@ const PatientList = ({ onSelectPatient }) => {
     // Set timeout to delay search term update
     const timer = setTimeout(() => {
       setSearchTerm(searchInput);
-      setCurrentPage(1); // Reset to first page on new search
     }, 500); // 500ms debounce delay
 
     // Cleanup: Clear timeout if component unmounts or searchInput changes
@@ -136,30 +110,6 @@ const PatientList = ({ onSelectPatient }) => {
     setSearchInput(e.target.value);
   };
 
-  /**
-   * Navigates to the previous page
-   * Only enabled if there are previous pages available
-   * 
-   * @function handlePreviousPage
-   */
-  const handlePreviousPage = () => {
-    if (pagination && pagination.hasPrevPage) {
-      setCurrentPage((prev) => prev - 1);
-    }
-  };
-
-  /**
-   * Navigates to the next page
-   * Only enabled if there are more pages available
-   * 
-   * @function handleNextPage
-   */
-  const handleNextPage = () => {
-    if (pagination && pagination.hasNextPage) {
-      setCurrentPage((prev) => prev + 1);
-    }
-  };
-
   // Loading state UI
   if (loading) {
     return (
@@ -173,7 +123,7 @@ const PatientList = ({ onSelectPatient }) => {
   if (error) {
     return (
       <div className="patient-list-container">
-        <div className="error">Error: {error}</div>
+        <ApiErrorMessage error={error} fallback="Failed to fetch patients" onRetry={reload} />
       </div>
     );
   }
@@ -184,14 +134,27 @@ const PatientList = ({ onSelectPatient }) => {
       {/* Header section with title and search input */}
       <div className="patient-list-header">
         <h2>Patients</h2>
-        {/* Search input field with debounced onChange */}
-        <input
-          type="text"
-          placeholder="Search patients..."
-          className="search-input"
-          value={searchInput} // Immediate input value (no debounce)
-          onChange={handleSearch} // Updates searchInput state
-        />
+        <div className="patient-list-controls">
+          {/* Search input field with debounced onChange */}
+          <input
+            type="text"
+            placeholder="Search patients..."
+            className="search-input"
+            value={searchInput} // Immediate input value (no debounce)
+            onChange={handleSearch} // Updates searchInput state
+          />
+          {/* Sort order, reloads the list from the first page */}
+          <select
+            className="sort-select"
+            value={sortKey}
+            onChange={(e) => setSortKey(e.target.value)}
+            aria-label="Sort patients"
+          >
+            {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+              <option key={key} value={key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
       {/* Patient list or empty state */}
@@ -214,30 +177,17 @@ const PatientList = ({ onSelectPatient }) => {
         </div>
       )}
 
-      {/* Pagination controls - Only shown when pagination data exists */}
-      {pagination && (
-        <div className="pagination">
-          {/* Previous page button */}
-          <button
-            onClick={handlePreviousPage}
-            disabled={currentPage === 1} // Disabled on first page
-          >
-            Previous
-          </button>
-
-          {/* Current page indicator */}
-          <span className="pagination-info">
-            Page {currentPage} of {pagination.totalPages}
-          </span>
-
-          {/* Next page button */}
-          <button
-            onClick={handleNextPage}
-            disabled={currentPage === pagination.totalPages} // Disabled on last page
-          >
-            Next
-          </button>
-        </div>
+      {/* Count and "Load more" button, until the last page is loaded */}
+      {patients.length > 0 && (
+        <LoadMore
+          shown={patients.length}
+          total={total}
+          noun="patients"
+          hasMore={hasMore}
+          loading={loadingMore}
+          error={loadMoreError}
+          onLoadMore={loadMore}
+        />
       )}
     </div>
   );
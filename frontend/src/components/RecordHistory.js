@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import './RecordHistory.css';
+import { apiService } from '../services/apiService';
+import { formatDate, formatWalletAddress } from '../utils/formatUtilService';
+import { diffWords } from '../utils/textDiff';
+
+/**
+ * Record fields that can change between versions, with their labels.
+ * Free-text fields are diffed word by word, the others shown as old → new.
+ * @constant {Array<{key: string, label: string, text: boolean}>}
+ */
+const VERSIONED_FIELDS = [
+  { key: 'type', label: 'Type', text: false },
+  { key: 'title', label: 'Title', text: true },
+  { key: 'description', label: 'Description', text: true },
+  { key: 'date', label: 'Date', text: false },
+  { key: 'doctor', label: 'Doctor', text: false },
+  { key: 'hospital', label: 'Hospital', text: false },
+];
+
+/**
+ * Formats a field value for the old → new view
+ *
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display value
+ */
+const formatValue = (key, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return key === 'date' ? formatDate(value) : String(value);
+};
+
+/**
+ * Describes who wrote a version
+ *
+ * @param {Object} version - Record version from the history endpoint
+ * @returns {string} Author's role and shortened wallet, or a note for seeded records
+ */
+const formatAuthor = (version) => {
+  if (!version.author) return 'Original record';
+  return `${version.author.role} ${formatWalletAddress(version.author.wallet)}`;
+};
+
+/**
+ * Word-level diff of a free-text field, removed words struck through
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.before - Older text
+ * @param {string} props.after - Newer text
+ */
+const WordDiff = ({ before, after }) => (
+  <p className="version-diff-text">
+    {diffWords(before, after).map((part, i) => {
+      if (part.type === 'added') return <ins key={i}>{part.text}</ins>;
+      if (part.type === 'removed') return <del key={i}>{part.text}</del>;
+      return <span key={i}>{part.text}</span>;
+    })}
+  </p>
+);
+
+/**
+ * RecordHistory Component
+ *
+ * Version history of a medical record, opened from a MedicalRecordCard. Lists
+ * every version with its author, reason and content hash, and shows what
+ * changed between any two of them: free-text fields word by word, the other
+ * fields as old → new. Compares the previous version with the current one by
+ * default.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.recordId - ID of any version of the record
+ * @param {string} [props.purpose] - Consent purpose the record was read with
+ *
+ * @example
+ * <RecordHistory recordId="record-001-v2" purpose="Treatment" />
+ */
+const RecordHistory = ({ recordId, purpose = null }) => {
+  // State management
+  const [versions, setVersions] = useState([]); // All versions, oldest first
+  const [fromId, setFromId] = useState(null); // Older side of the comparison
+  const [toId, setToId] = useState(null); // Newer side of the comparison
+  const [loading, setLoading] = useState(true); // Loading state for the fetch
+  const [error, setError] = useState(null); // Error messages from API calls
+
+  /**
+   * Effect hook: Fetches the history and selects the last two versions
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const history = await apiService.getRecordHistory(recordId, purpose);
+        if (cancelled) return;
+
+        const list = history.versions;
+        setVersions(list);
+        setToId(list[list.length - 1]?.id ?? null);
+        setFromId(list[Math.max(list.length - 2, 0)]?.id ?? null);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to fetch record history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recordId, purpose]);
+
+  if (loading) {
+    return <div className="record-history-loading">Loading history...</div>;
+  }
+
+  if (error) {
+    return <div className="record-history-error">Error: {error}</div>;
+  }
+
+  const from = versions.find((v) => v.id === fromId);
+  const to = versions.find((v) => v.id === toId);
+  const changed = from && to ? VERSIONED_FIELDS.filter(({ key }) => from[key] !== to[key]) : [];
+
+  const versionSelect = (value, onChange, label) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      {versions.map((v) => (
+        <option key={v.id} value={v.id}>
+          Version {v.version}{v.supersededBy ? '' : ' (current)'}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="record-history">
+      {/* Every version with who wrote it and why */}
+      <ol className="record-history-versions">
+        {versions.map((v) => (
+          <li key={v.id} className={v.supersededBy ? '' : 'current'}>
+            <span className="record-history-version">v{v.version}</span>
+            <span>{formatAuthor(v)}</span>
+            {v.createdAt && <span className="record-history-date">{formatDate(v.createdAt)}</span>}
+            {v.reason && <span className="record-history-reason">"{v.reason}"</span>}
+            <span className="record-history-hash" title={v.contentHash}>{v.contentHash}</span>
+          </li>
+        ))}
+      </ol>
+
+      {versions.length > 1 && (
+        <div className="version-diff">
+          {/* Which two versions to compare */}
+          <div className="version-diff-controls">
+            Compare {versionSelect(fromId, setFromId, 'Older version')}
+            with {versionSelect(toId, setToId, 'Newer version')}
+          </div>
+
+          {changed.length === 0 && <p className="version-diff-empty">No differences between these versions.</p>}
+
+          {changed.map(({ key, label, text }) => (
+            <div key={key} className="version-diff-field">
+              <span className="record-label">{label}:</span>
+              {text ? (
+                <WordDiff before={from[key] || ''} after={to[key] || ''} />
+              ) : (
+                <p className="version-diff-text">
+                  <del>{formatValue(key, from[key])}</del> → <ins>{formatValue(key, to[key])}</ins>
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordHistory;
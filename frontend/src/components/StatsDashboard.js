@@ -93,7 +93,10 @@ const StatsDashboard = () => {
    * 5. Pending Consents - Secondary stat
    *    Consent records awaiting patient/provider approval
    * 
-   * 6. Total Transactions - Secondary stat
+   * 6. Expiring Soon - Secondary stat
+   *    Active consents that lapse within the next 7 days
+   * 
+   * 7. Total Transactions - Secondary stat
    *    Count of blockchain transactions recorded for data integrity
    * 
    * Note: Returns empty array if stats data hasn't loaded yet
@@ -137,6 +140,12 @@ const StatsDashboard = () => {
         description: "Awaiting approval",
         isPrimary: false, // Secondary stat - standard styling
       },
+      {
+        label: "Expiring Soon",
+        value: stats.expiringConsents,
+        description: "Active consents expiring within 7 days",
+        isPrimary: false, // Secondary stat - standard styling
+      },
       {
         label: "Total Transactions",
         value: stats.totalTransactions,
@@ -1,4 +1,9 @@
-import { formatDate, formatWalletAddress } from '../utils/formatUtilService';
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/apiService';
+import { formatDate, formatWalletAddress, formatConfirmations } from '../utils/formatUtilService';
+
+// How often a pending transaction's confirmations are refreshed
+const CONFIRMATION_POLL_MS = 4000;
 
 /**
  * TransactionCard Component
@@ -8,15 +13,20 @@ import { formatDate, formatWalletAddress } from '../utils/formatUtilService';
  * 
  * Features:
  * - Transaction type and amount display
- * - Status indicator with dynamic icon (confirmed/pending)
+ * - Status indicator with dynamic icon (confirmed/pending/failed/off-chain)
+ * - Live confirmation counter: pending chain transactions are re-fetched every
+ *   few seconds until the backend marks them confirmed or failed
  * - Wallet addresses with truncation and tooltip
  * - Blockchain metadata (block number, gas used, timestamp)
- * - Full transaction hash for verification
+ * - Full transaction hash, linking to the block-explorer-style TransactionDetail
  * 
  * Transaction Types Supported:
  * - consent_creation: Patient consent record creation
  * - record_verification: Medical record verification
  * - data_access: Data access transaction
+ * - record_anchor: Merkle root anchoring a batch of medical record hashes, kept
+ *   off chain: no transaction hash, block or gas, shown with its Merkle root instead
+ * - consent_approval / consent_revocation: ConsentRegistry calls, indexed from chain events
  * 
  * @component
  * @param {Object} props - Component props
@@ -25,27 +35,73 @@ import { formatDate, formatWalletAddress } from '../utils/formatUtilService';
  * @param {string} props.transaction.type - Type of transaction (e.g., "consent_creation")
  * @param {number} props.transaction.amount - Transaction amount in currency
  * @param {string} props.transaction.currency - Currency code (e.g., "ETH", "USD")
- * @param {string} props.transaction.status - Transaction status ("confirmed" or "pending")
+ * @param {string} props.transaction.status - Transaction status ("confirmed", "pending", "failed" or "off_chain")
  * @param {string} props.transaction.from - Sender's wallet address
  * @param {string} props.transaction.to - Recipient's wallet address
- * @param {number} props.transaction.blockNumber - Blockchain block number
+ * @param {number|null} props.transaction.blockNumber - Blockchain block number, null off chain
  * @param {string} props.transaction.timestamp - ISO timestamp of transaction
- * @param {string} props.transaction.gasUsed - Gas consumed by transaction
- * @param {string} props.transaction.blockchainTxHash - Full transaction hash on blockchain
+ * @param {string|null} props.transaction.gasUsed - Gas consumed by transaction, null off chain
+ * @param {string|null} props.transaction.blockchainTxHash - Full transaction hash on blockchain, null off chain
+ * @param {string} [props.transaction.merkleRoot] - Root of the records anchored by a record_anchor
+ * @param {number} [props.transaction.confirmations] - Confirmations counted by the backend (chain transactions)
+ * @param {number} [props.transaction.requiredConfirmations] - Confirmations needed to be confirmed
+ * @param {string} [props.transaction.revertReason] - Why a failed transaction reverted
+ * @param {Function} [props.onSelect] - Called with the transaction hash to open its detail view
  * 
  * @example
- * <TransactionCard transaction={transactionObject} />
+ * <TransactionCard transaction={transactionObject} onSelect={setSelectedHash} />
  */
-const TransactionCard = ({ transaction }) => {
+const TransactionCard = ({ transaction: initialTransaction, onSelect }) => {
+    const [transaction, setTransaction] = useState(initialTransaction); // Latest copy of the transaction
+
+    const hash = transaction.blockchainTxHash;
+    const isTracked = typeof transaction.confirmations === 'number';
+    const isPending = transaction.status === 'pending' && isTracked && Boolean(hash);
+    const isOffChain = transaction.status === 'off_chain';
+
+    /**
+     * Effect hook: Takes over a new transaction object from the parent list
+     */
+    useEffect(() => {
+        setTransaction(initialTransaction);
+    }, [initialTransaction]);
+
+    /**
+     * Effect hook: Polls a pending transaction until it is confirmed or failed
+     * 
+     * Each response replaces the transaction, so the counter and status update
+     * in place. Polling stops when the status changes or the card unmounts.
+     */
+    useEffect(() => {
+        if (!isPending) return undefined;
+
+        let cancelled = false;
+        const timer = setInterval(async () => {
+            try {
+                const latest = await apiService.getTransaction(hash);
+                if (!cancelled) setTransaction(latest);
+            } catch (err) {
+                // Keep the last known state and try again on the next tick
+            }
+        }, CONFIRMATION_POLL_MS);
+
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [isPending, hash]);
+
     /**
      * Returns appropriate status icon based on transaction status
      * 
      * Icons:
      * - "confirmed": Green checkmark SVG
+     * - "failed": Cross SVG (reverted, or dropped by a chain reorg)
+     * - "off_chain": Dash SVG (never sent to a chain)
      * - "pending": Circle loading indicator SVG
      * 
      * @function getStatusIcon
-     * @param {string} status - Transaction status ("confirmed" or "pending")
+     * @param {string} status - Transaction status ("confirmed", "pending", "failed" or "off_chain")
      * @returns {JSX.Element} SVG icon component
      */
     const getStatusIcon = (status) => {
@@ -63,6 +119,32 @@ const TransactionCard = ({ transaction }) => {
                 </svg>
             )
         }
+        if (status === "failed") {
+            // Cross icon for failed transactions
+            return (
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path
+                        d="M4 4L12 12M12 4L4 12"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                        strokeLinecap="round"
+                    />
+                </svg>
+            )
+        }
+        if (status === "off_chain") {
+            // Dash icon for transactions kept off chain
+            return (
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path
+                        d="M3 8H13"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                        strokeLinecap="round"
+                    />
+                </svg>
+            )
+        }
         // Circle icon for pending transactions
         return (
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -94,11 +176,29 @@ const TransactionCard = ({ transaction }) => {
                     {/* Dynamic status icon (checkmark or loading circle) */}
                     {getStatusIcon(transaction.status)}
 
-                    {/* Status text */}
-                    {transaction.status}
+                    {/* Status text, "off_chain" shown as "off-chain" */}
+                    {isOffChain ? 'off-chain' : transaction.status}
+
+                    {/* Live confirmation counter for chain transactions */}
+                    {isTracked && transaction.status !== 'failed' && (
+                        <span className="transaction-confirmations">
+                            · {formatConfirmations(transaction.confirmations, transaction.requiredConfirmations)}
+                        </span>
+                    )}
                 </span>
             </div>
 
+            {/* Why a failed transaction failed: its revert reason, or a chain reorg */}
+            {transaction.status === 'failed' && (transaction.revertReason || transaction.failureReason) && (
+                <div className="transaction-failure">
+                    {transaction.revertReason
+                        ? `Reverted: ${transaction.revertReason}`
+                        : transaction.failureReason === 'reorg'
+                            ? 'Dropped by a chain reorganization'
+                            : `Failed: ${transaction.failureReason}`}
+                </div>
+            )}
+
             {/* Transaction details section */}
             <div className="transaction-details">
                 {/* Sender wallet address */}
@@ -136,7 +236,7 @@ const TransactionCard = ({ transaction }) => {
                     <span className="transaction-detail-label">Block Number</span>
                     {/* Formatted with thousands separator for readability */}
                     <span className="transaction-detail-value">
-                        {transaction.blockNumber.toLocaleString()}
+                        {isOffChain ? 'Not on chain' : transaction.blockNumber.toLocaleString()}
                     </span>
                 </div>
 
@@ -157,26 +257,50 @@ const TransactionCard = ({ transaction }) => {
                         Shows actual units consumed with thousands separator
                     */}
                     <span className="transaction-detail-value">
-                        {Number.parseInt(transaction.gasUsed).toLocaleString()}
+                        {isOffChain ? '—' : Number.parseInt(transaction.gasUsed).toLocaleString()}
                     </span>
                 </div>
             </div>
 
-            {/* Transaction hash section */}
-            {/* Full blockchain transaction hash for verification and lookup */}
-            <div className="transaction-hash-section">
-                <span className="transaction-detail-label">Transaction Hash</span>
-                {/* 
-                    Full transaction hash with tooltip for full visibility
-                    Hash is used to verify transaction on blockchain explorer
-                */}
-                <span
-                    className="transaction-detail-value hash"
-                    title={transaction.blockchainTxHash} // Full hash shown on hover
-                >
-                    {transaction.blockchainTxHash}
-                </span>
-            </div>
+            {/* Off-chain anchors have no transaction hash: their Merkle root instead */}
+            {isOffChain ? (
+                <div className="transaction-hash-section">
+                    <span className="transaction-detail-label">Merkle Root (not on chain)</span>
+                    <span
+                        className="transaction-detail-value hash"
+                        title={transaction.merkleRoot} // Full root shown on hover
+                    >
+                        {transaction.merkleRoot}
+                    </span>
+                </div>
+            ) : (
+                /* Full blockchain transaction hash for verification and lookup */
+                <div className="transaction-hash-section">
+                    <span className="transaction-detail-label">Transaction Hash</span>
+                    {/* 
+                        Full transaction hash with tooltip for full visibility
+                        Hash is used to verify transaction on blockchain explorer,
+                        and opens the local detail view when the list handles it
+                    */}
+                    {onSelect && transaction.blockchainTxHash ? (
+                        <button
+                            type="button"
+                            className="transaction-detail-value hash transaction-hash-link"
+                            title="View transaction details"
+                            onClick={() => onSelect(transaction.blockchainTxHash)}
+                        >
+                            {transaction.blockchainTxHash}
+                        </button>
+                    ) : (
+                        <span
+                            className="transaction-detail-value hash"
+                            title={transaction.blockchainTxHash} // Full hash shown on hover
+                        >
+                            {transaction.blockchainTxHash}
+                        </span>
+                    )}
+                </div>
+            )}
         </div>
     )
 }
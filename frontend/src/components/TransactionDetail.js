@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import './TransactionDetail.css';
+import { apiService } from '../services/apiService';
+import { formatWei, formatConfirmations } from '../utils/formatUtilService';
+
+// How often a pending transaction is refreshed while its detail view is open
+const POLL_INTERVAL_MS = 4000;
+
+/**
+ * Describes why a failed transaction failed
+ *
+ * @param {Object} transaction - Transaction from the API
+ * @returns {string|null} The revert reason, a reorg note, or null
+ */
+const describeFailure = (transaction) => {
+  if (transaction.revertReason) return `Reverted: ${transaction.revertReason}`;
+  if (transaction.failureReason === 'reorg') return 'Dropped by a chain reorganization';
+  return transaction.failureReason ? `Failed: ${transaction.failureReason}` : null;
+};
+
+/**
+ * One label/value row of the overview table
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Row label
+ * @param {boolean} [props.mono=false] - Whether the value is a hash or address
+ * @param {React.ReactNode} props.children - Row value
+ */
+const DetailRow = ({ label, mono = false, children }) => (
+  <div className="tx-detail-row">
+    <span className="tx-detail-label">{label}</span>
+    <span className={`tx-detail-value${mono ? ' mono' : ''}`}>{children}</span>
+  </div>
+);
+
+/**
+ * TransactionDetail Component
+ *
+ * Block-explorer-style view of a single transaction, opened from a
+ * TransactionCard's hash. Shows the overview (status, block, confirmations,
+ * addresses, gas and fee) and the receipt's logs with the registry event each
+ * one decodes to. Pending transactions are refreshed until they settle, so the
+ * confirmation count keeps moving while the view is open.
+ *
+ * Seeded transactions have no receipt; their receipt-only rows are left out.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.hash - Chain transaction hash to show
+ * @param {Function} props.onBack - Callback to return to the transaction list
+ *
+ * @example
+ * <TransactionDetail hash="0x3f4a...0a4d" onBack={() => setSelectedHash(null)} />
+ */
+const TransactionDetail = ({ hash, onBack }) => {
+  // State management
+  const [transaction, setTransaction] = useState(null); // Transaction with receipt
+  const [loading, setLoading] = useState(true); // Loading state for the first fetch
+  const [error, setError] = useState(null); // Error messages from API calls
+
+  /**
+   * Effect hook: Fetches the transaction, then polls it while it is pending
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const fetchTransaction = async () => {
+      try {
+        const response = await apiService.getTransaction(hash);
+        if (cancelled) return;
+
+        setTransaction(response);
+        setError(null);
+        if (response.status === 'pending') {
+          timer = setTimeout(fetchTransaction, POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to fetch transaction');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setLoading(true);
+    fetchTransaction();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hash]);
+
+  const backButton = (
+    <button onClick={onBack} className="back-btn">
+      ← Back to Transactions
+    </button>
+  );
+
+  if (loading) {
+    return <div className="loading">Loading transaction...</div>;
+  }
+
+  if (error || !transaction) {
+    return (
+      <div className="tx-detail">
+        {backButton}
+        <div className="error">Error: {error || 'Transaction not found'}</div>
+      </div>
+    );
+  }
+
+  const receipt = transaction.receipt;
+  const failure = transaction.status === 'failed' ? describeFailure(transaction) : null;
+
+  return (
+    <div className="tx-detail">
+      {backButton}
+
+      <h2>Transaction Details</h2>
+
+      {/* Overview, in the order block explorers use */}
+      <section className="tx-detail-section">
+        <DetailRow label="Transaction Hash" mono>{transaction.blockchainTxHash}</DetailRow>
+
+        <DetailRow label="Status">
+          <span className={`transaction-status ${transaction.status}`}>{transaction.status}</span>
+          {failure && <span className="tx-detail-failure">{failure}</span>}
+        </DetailRow>
+
+        <DetailRow label="Block">
+          {transaction.blockNumber?.toLocaleString() ?? '—'}
+          {typeof transaction.confirmations === 'number' && (
+            <span className="tx-detail-confirmations">
+              {formatConfirmations(transaction.confirmations, transaction.requiredConfirmations)}
+            </span>
+          )}
+        </DetailRow>
+
+        {transaction.blockHash && <DetailRow label="Block Hash" mono>{transaction.blockHash}</DetailRow>}
+
+        <DetailRow label="Timestamp">{new Date(transaction.timestamp).toLocaleString('en-US')}</DetailRow>
+
+        <DetailRow label="Type">{transaction.type.replace(/_/g, ' ')}</DetailRow>
+        {transaction.consentId && <DetailRow label="Consent">{transaction.consentId}</DetailRow>}
+        {transaction.merkleRoot && <DetailRow label="Merkle Root" mono>{transaction.merkleRoot}</DetailRow>}
+
+        <DetailRow label="From" mono>{transaction.from}</DetailRow>
+        <DetailRow label="To" mono>{transaction.to}</DetailRow>
+        <DetailRow label="Value">{transaction.amount} {transaction.currency}</DetailRow>
+      </section>
+
+      {/* Gas and fee, from the receipt when there is one */}
+      <section className="tx-detail-section">
+        <DetailRow label="Gas Used">{Number.parseInt(receipt?.gasUsed ?? transaction.gasUsed).toLocaleString()}</DetailRow>
+        <DetailRow label={receipt ? 'Effective Gas Price' : 'Gas Price'}>
+          {formatWei(receipt?.effectiveGasPrice ?? transaction.gasPrice, 'gwei')}
+        </DetailRow>
+        {receipt && <DetailRow label="Transaction Fee">{formatWei(receipt.fee)}</DetailRow>}
+      </section>
+
+      {/* Receipt logs with decoded events */}
+      {receipt && (
+        <section className="tx-detail-section">
+          <h3>Logs ({receipt.logs.length})</h3>
+          {receipt.logs.length === 0 && <p className="tx-detail-empty">This transaction emitted no logs.</p>}
+          {receipt.logs.map((log) => (
+            <div key={log.index} className="tx-log">
+              <DetailRow label={`Log ${log.index}`} mono>{log.address}</DetailRow>
+              {log.event && (
+                <DetailRow label="Event">
+                  <strong>{log.event.name}</strong>
+                  <dl className="tx-log-args">
+                    {Object.entries(log.event.args).map(([name, value]) => (
+                      <React.Fragment key={name}>
+                        <dt>{name}</dt>
+                        <dd>{value}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                </DetailRow>
+              )}
+              <DetailRow label="Topics" mono>
+                {log.topics.map((topic, i) => (
+                  <span key={i} className="tx-log-topic">[{i}] {topic}</span>
+                ))}
+              </DetailRow>
+              <DetailRow label="Data" mono>{log.data}</DetailRow>
+            </div>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default TransactionDetail;
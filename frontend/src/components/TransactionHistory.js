@@ -1,7 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import './TransactionHistory.css';
 import { apiService } from '../services/apiService';
+import { useCursorList } from '../hooks/useCursorList';
 import TransactionCard from './TransactionCard';
+import TransactionDetail from './TransactionDetail';
+import LoadMore from './LoadMore';
 import { formatWalletAddress } from '../utils/formatUtilService';
 
 /**
@@ -11,17 +14,19 @@ import { formatWalletAddress } from '../utils/formatUtilService';
  * Shows transaction details including type, amount, status, and blockchain metadata.
  * 
  * Features:
- * - Fetches latest 20 transactions from connected wallet
+ * - Fetches the latest 20 transactions from connected wallet, then 20 more per "Load more"
  * - Only displays when wallet is connected
  * - Shows formatted wallet address as filter indicator
  * - Displays transaction details in individual cards
+ * - Clicking a transaction hash opens its TransactionDetail view
  * - Loading and error state handling
  * 
  * Data Flow:
  * 1. User connects MetaMask wallet → account prop updated
- * 2. Effect hook detects account change → triggers fetchTransactions
+ * 2. fetchPage changes with the account → useCursorList reloads the first page
  * 3. API fetches latest 20 transactions for the account
  * 4. Transactions displayed in TransactionCard components
+ * 5. "Load more" appends the next 20 (from the previous page's nextCursor)
  * 
  * @component
  * @param {Object} props - Component props
@@ -33,63 +38,41 @@ import { formatWalletAddress } from '../utils/formatUtilService';
  */
 const TransactionHistory = ({ account }) => {
   // State management
-  const [transactions, setTransactions] = useState([]); // Array of transaction objects
-  const [loading, setLoading] = useState(true); // Loading state for API call
-  const [error, setError] = useState(null); // Error messages from failed API calls
+  const [selectedHash, setSelectedHash] = useState(null); // Hash of the transaction shown in detail
 
   /**
-   * Fetches blockchain transactions from the API
+   * Fetches one page of blockchain transactions from the API
    * 
-   * Parameters:
-   * - null: No wallet filter (fetches all transactions accessible to current user)
-   * - 20: Limits results to the 20 most recent transactions
-   * 
-   * This provides a manageable view of recent activity without overwhelming the UI.
+   * No wallet filter: the backend returns the transactions the signed-in
+   * user may see, newest first, 20 per page. Without a connected wallet
+   * the list is empty. Changes with the account, which makes useCursorList
+   * reload the list from the first page.
    * 
    * @async
-   * @function fetchTransactions
-   * @returns {Promise<void>}
+   * @function fetchPage
+   * @param {string|null} cursor - nextCursor of the previous page, null for the first page
+   * @returns {Promise<Object>} The page: { transactions, total, nextCursor }
    */
-  const fetchTransactions = async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      // Call API to fetch transactions (null = all, 20 = limit to 20 results)
-      const response = await apiService.getTransactions(null, 20);
-
-      // Update transactions state with API response
-      setTransactions(response.transactions || []);
-      setError(null);
-    } catch (err) {
-      // Handle API errors gracefully
-      setError(err.message || 'Failed to fetch transactions');
-      setTransactions([]);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  /**
-   * Effect Hook: Fetches transactions when wallet account changes
-   * 
-   * Behavior:
-   * - If account is provided: Fetch transactions for that wallet
-   * - If account is not provided: Clear transactions list
-   * 
-   * Dependencies: [account]
-   * - Refetches whenever account prop changes (new wallet connected/disconnected)
-   */
-  useEffect(() => {
-    if (account) {
-      // Fetch transactions when wallet is connected
-      fetchTransactions();
-    } else {
-      // Clear transactions when wallet is disconnected
-      setTransactions([]);
-      setLoading(false);
+  const fetchPage = useCallback((cursor) => {
+    if (!account) {
+      return Promise.resolve({ transactions: [], total: 0, nextCursor: null });
     }
+    return apiService.getTransactions({ cursor, limit: 20 });
   }, [account]);
 
+  // Transactions loaded so far; loading covers the first page, loadingMore the ones after it
+  const {
+    items: transactions,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    reload,
+  } = useCursorList(fetchPage, 'transactions');
+
   // Loading state UI
   if (loading) {
     return (
@@ -103,7 +86,23 @@ const TransactionHistory = ({ account }) => {
   if (error) {
     return (
       <div className="transaction-history-container">
-        <div className="error">Error: {error}</div>
+        <div className="error">Error: {error.message || 'Failed to fetch transactions'}</div>
+      </div>
+    );
+  }
+
+  // Detail view of a selected transaction
+  if (selectedHash) {
+    return (
+      <div className="transaction-history-container">
+        {/* Going back refetches the list, statuses may have moved on meanwhile */}
+        <TransactionDetail
+          hash={selectedHash}
+          onBack={() => {
+            setSelectedHash(null);
+            reload();
+          }}
+        />
       </div>
     );
   }
@@ -142,11 +141,24 @@ const TransactionHistory = ({ account }) => {
           {transactions.map((transaction) => (
             <div key={transaction.id}>
               {/* Individual transaction card component */}
-              <TransactionCard transaction={transaction} />
+              <TransactionCard transaction={transaction} onSelect={setSelectedHash} />
             </div>
           ))}
         </div>
       )}
+
+      {/* Count and "Load more" button, until the last page is loaded */}
+      {transactions.length > 0 && (
+        <LoadMore
+          shown={transactions.length}
+          total={total}
+          noun="transactions"
+          hasMore={hasMore}
+          loading={loadingMore}
+          error={loadMoreError}
+          onLoadMore={loadMore}
+        />
+      )}
     </div>
   );
 };
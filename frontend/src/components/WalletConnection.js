@@ -1,7 +1,15 @@
 import React from 'react';
 import './WalletConnection.css';
 
-const WalletConnection = ({ account, isConnected, onConnect, onDisconnect }) => {
+const WalletConnection = ({
+  account,
+  isConnected,
+  isSignedIn,
+  isSigningIn,
+  onConnect,
+  onDisconnect,
+  onSignIn,
+}) => {
   const formatAddress = (address) => {
     if (!address) return '';
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -15,6 +23,14 @@ const WalletConnection = ({ account, isConnected, onConnect, onDisconnect }) =>
             <span className="wallet-icon">🔗</span>
             <span className="address-text">{formatAddress(account)}</span>
           </div>
+          {/* Connected wallets still need to sign a SIWE message to get a session */}
+          {isSignedIn ? (
+            <span className="signed-in-badge">✓ Signed in</span>
+          ) : (
+            <button className="sign-in-btn" onClick={onSignIn} disabled={isSigningIn}>
+              {isSigningIn ? 'Signing in...' : 'Sign In'}
+            </button>
+          )}
           <button className="disconnect-btn" onClick={onDisconnect}>
             Disconnect
           </button>
@@ -29,5 +45,3 @@ const WalletConnection = ({ account, isConnected, onConnect, onDisconnect }) =>
 };
 
 export default WalletConnection;
-
-
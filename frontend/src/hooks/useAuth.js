@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { apiService, hasAuthToken, onSessionExpired } from '../services/apiService';
+import { buildSiweMessage } from '../utils/siweMessage';
+
+/**
+ * Sign-In With Ethereum session state on top of useWeb3.
+ * A connected wallet is not signed in until it signs a SIWE message
+ * and the backend issues a session token.
+ */
+export const useAuth = ({ account, signMessage, getChainId }) => {
+  const [session, setSession] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  useEffect(() => {
+    // Clear the session when the backend rejects the stored token
+    onSessionExpired(() => setSession(null));
+
+    // Restore the session from a previous page load
+    if (hasAuthToken()) {
+      apiService.getSession()
+        .then(setSession)
+        .catch(() => setSession(null));
+    }
+  }, []);
+
+  useEffect(() => {
+    // Switching to another account in MetaMask ends the current session
+    if (session && account && account.toLowerCase() !== session.address.toLowerCase()) {
+      apiService.logout().catch(() => {});
+      setSession(null);
+    }
+  }, [account, session]);
+
+  const signIn = async () => {
+    setIsSigningIn(true);
+    try {
+      const { nonce } = await apiService.getNonce();
+      const chainId = await getChainId();
+      const message = buildSiweMessage({ address: account, chainId, nonce });
+      const signature = await signMessage(message);
+      const { token, ...result } = await apiService.login(message, signature);
+      setSession(result);
+    } catch (error) {
+      console.error('Error signing in:', error);
+      alert('Failed to sign in: ' + error.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const signOut = async () => {
+    setSession(null);
+    await apiService.logout().catch(() => {});
+  };
+
+  return {
+    session,
+    isSignedIn: Boolean(session),
+    isSigningIn,
+    signIn,
+    signOut,
+  };
+};
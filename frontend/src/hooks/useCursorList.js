@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * A cursor-paginated list that grows one page at a time ("load more").
+ * `fetchPage(cursor)` requests a page, starting with a null cursor, and
+ * resolves to a list response: `{ [listKey]: items, total, nextCursor }`.
+ * The list reloads from the first page whenever `fetchPage` changes, so
+ * wrap it in useCallback with the filters it depends on. Responses to
+ * requests made before the latest reload are dropped.
+ */
+export const useCursorList = (fetchPage, listKey) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const latestRequest = useRef(0);
+
+  const reload = useCallback(async () => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    setLoadingMore(false);
+    setError(null);
+    setLoadMoreError(null);
+    try {
+      const response = await fetchPage(null);
+      if (request !== latestRequest.current) return;
+      setItems(response[listKey] || []);
+      setTotal(response.total);
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      if (request !== latestRequest.current) return;
+      setError(err);
+      setItems([]);
+      setTotal(0);
+      setNextCursor(null);
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  }, [fetchPage, listKey]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor) return;
+
+    const request = ++latestRequest.current;
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    try {
+      const response = await fetchPage(nextCursor);
+      if (request !== latestRequest.current) return;
+      setItems((previous) => [...previous, ...(response[listKey] || [])]);
+      setTotal(response.total);
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      // The pages already shown stay, the error is shown next to the button
+      if (request === latestRequest.current) setLoadMoreError(err);
+    } finally {
+      if (request === latestRequest.current) setLoadingMore(false);
+    }
+  }, [fetchPage, listKey, nextCursor]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return {
+    items,
+    total,
+    hasMore: Boolean(nextCursor),
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    reload,
+  };
+};
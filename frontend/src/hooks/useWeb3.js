@@ -85,6 +85,21 @@ export const useWeb3 = () => {
     return await signer.signMessage(message);
   };
 
+  const signTypedData = async (domain, types, value) => {
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+    return await signer.signTypedData(domain, types, value);
+  };
+
+  const getChainId = async () => {
+    if (!provider) {
+      throw new Error('Wallet not connected');
+    }
+    const network = await provider.getNetwork();
+    return Number(network.chainId);
+  };
+
   return {
     account,
     isConnected,
@@ -93,6 +108,8 @@ export const useWeb3 = () => {
     connectWallet,
     disconnectWallet,
     signMessage,
+    signTypedData,
+    getChainId,
   };
 };
 
@@ -0,0 +1,183 @@
+/**
+ * API Errors
+ *
+ * Typed errors for failed API requests. The backend answers every error as
+ * `{ error, code, requestId, ...details }`; the apiService response interceptor
+ * turns each failed request into one of these classes so components can branch
+ * with `instanceof` instead of inspecting HTTP statuses.
+ *
+ * @module services/apiErrors
+ */
+
+/**
+ * A failed API request
+ *
+ * The original axios error stays available as `cause`, and `response` is kept
+ * for code that still reads the raw response.
+ *
+ * @class ApiError
+ * @extends Error
+ * @property {number|null} status - HTTP status, null when no response arrived
+ * @property {string} code - Stable error code from the backend, e.g. NOT_FOUND
+ * @property {string|null} requestId - Correlation ID to quote when reporting the failure
+ * @property {Object} details - Extra fields of the error response, e.g. `reason` or `field`
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'INTERNAL_ERROR', requestId = null, details = {}, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.details = details;
+    this.cause = cause;
+    this.response = cause?.response;
+  }
+
+  /**
+   * Whether the backend failed unexpectedly, rather than refusing the request
+   *
+   * @returns {boolean} True for 5xx responses
+   */
+  get isServerError() {
+    return this.status !== null && this.status >= 500;
+  }
+}
+
+/**
+ * The request was invalid (400)
+ *
+ * @class ValidationError
+ * @extends ApiError
+ * @property {Array<{location: string, field: ?string, message: string}>} errors - Every problem found
+ */
+export class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.errors = this.details.errors || [];
+  }
+
+  /**
+   * Messages keyed by field, for showing each next to its input
+   *
+   * @returns {Object<string, string>} First message of each field; problems with
+   *   the request as a whole are left out
+   */
+  get fieldErrors() {
+    return this.errors.reduce((fields, { field, message }) => {
+      if (field && !fields[field]) fields[field] = message;
+      return fields;
+    }, {});
+  }
+}
+
+/**
+ * The request needs a (valid) signed-in session (401)
+ *
+ * @class UnauthorizedError
+ * @extends ApiError
+ */
+export class UnauthorizedError extends ApiError {}
+
+/**
+ * The signed-in wallet may not do this (403), e.g. no consent is in effect
+ *
+ * @class ForbiddenError
+ * @extends ApiError
+ * @property {?string} reason - Why access was denied, when the backend says
+ */
+export class ForbiddenError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = this.details.reason || null;
+  }
+}
+
+/**
+ * The requested resource doesn't exist (404)
+ *
+ * @class NotFoundError
+ * @extends ApiError
+ */
+export class NotFoundError extends ApiError {}
+
+/**
+ * The request clashes with the current state (409), e.g. a duplicate email
+ *
+ * @class ConflictError
+ * @extends ApiError
+ */
+export class ConflictError extends ApiError {}
+
+/**
+ * The backend couldn't be reached, so there is no response at all
+ *
+ * @class NetworkError
+ * @extends ApiError
+ */
+export class NetworkError extends ApiError {}
+
+const ERRORS_BY_STATUS = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError
+};
+
+/**
+ * Turns a failed axios request into a typed API error
+ *
+ * @function toApiError
+ * @param {Error} error - Error rejected by axios
+ * @returns {ApiError} The matching ApiError subclass
+ *
+ * @example
+ * try {
+ *   await apiService.updateConsent(id, { status: 'active' });
+ * } catch (err) {
+ *   if (err instanceof ConflictError) showNotice(err.message);
+ * }
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (!error.response) {
+    return new NetworkError('Could not reach the server. Check your connection and try again.', {
+      code: 'NETWORK_ERROR',
+      cause: error
+    });
+  }
+
+  const { status, data, headers } = error.response;
+  const { error: message, code, requestId, ...details } = data && typeof data === 'object' ? data : {};
+  const ErrorClass = ERRORS_BY_STATUS[status] || ApiError;
+
+  return new ErrorClass(message || error.message, {
+    status,
+    code: code || 'INTERNAL_ERROR',
+    requestId: requestId || headers?.['x-request-id'] || null,
+    details,
+    cause: error
+  });
+};
+
+/**
+ * A message to show for any failed request
+ *
+ * Unexpected server failures don't say what went wrong, so their message
+ * includes the request ID support can look the failure up by.
+ *
+ * @function describeApiError
+ * @param {Error} error - Error thrown by an apiService call
+ * @param {string} fallback - Message to use when the error has none
+ * @returns {string} Message for the user
+ */
+export const describeApiError = (error, fallback) => {
+  const message = error?.message || fallback;
+
+  if (error instanceof ApiError && error.isServerError && error.requestId) {
+    return `${message} (reference: ${error.requestId})`;
+  }
+  return message;
+};
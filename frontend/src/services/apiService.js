@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { toApiError, UnauthorizedError } from './apiErrors';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -9,6 +10,66 @@ const api = axios.create({
   },
 });
 
+// Session token issued by POST /auth/login, kept across page reloads
+const AUTH_TOKEN_KEY = 'authToken';
+
+let sessionExpiredHandler = null;
+
+// Attach the session token to every request
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Reject failed requests with a typed error (see apiErrors.js), and drop the
+// stored token once the backend stops accepting it
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = toApiError(error);
+    if (apiError instanceof UnauthorizedError && localStorage.getItem(AUTH_TOKEN_KEY)) {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+      if (sessionExpiredHandler) sessionExpiredHandler();
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+// Query parameters without the unset ones, so list filters can be passed as they are
+const definedParams = (query) => Object.fromEntries(
+  Object.entries(query).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
+
+// Register a callback fired when the session token is rejected
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Request types generated from the backend's route schemas (see apiTypes.js)
+ * @typedef {import('./apiTypes').GetPatientsQuery} GetPatientsQuery
+ * @typedef {import('./apiTypes').CreatePatientBody} CreatePatientBody
+ * @typedef {import('./apiTypes').UpdatePatientBody} UpdatePatientBody
+ * @typedef {import('./apiTypes').GetPatientRecordsQuery} GetPatientRecordsQuery
+ * @typedef {import('./apiTypes').GetRecordProofQuery} GetRecordProofQuery
+ * @typedef {import('./apiTypes').CreateRecordQuery} CreateRecordQuery
+ * @typedef {import('./apiTypes').CreateRecordBody} CreateRecordBody
+ * @typedef {import('./apiTypes').AmendRecordQuery} AmendRecordQuery
+ * @typedef {import('./apiTypes').AmendRecordBody} AmendRecordBody
+ * @typedef {import('./apiTypes').GetRecordHistoryQuery} GetRecordHistoryQuery
+ * @typedef {import('./apiTypes').GetConsentsQuery} GetConsentsQuery
+ * @typedef {import('./apiTypes').CreateConsentBody} CreateConsentBody
+ * @typedef {import('./apiTypes').UpdateConsentBody} UpdateConsentBody
+ * @typedef {import('./apiTypes').GetGranteesQuery} GetGranteesQuery
+ * @typedef {import('./apiTypes').GetTransactionsQuery} GetTransactionsQuery
+ * @typedef {import('./apiTypes').VerifySignatureBody} VerifySignatureBody
+ */
+
+export const hasAuthToken = () => Boolean(localStorage.getItem(AUTH_TOKEN_KEY));
+
 export const apiService = {
   // Health check
   healthCheck: async () => {
@@ -16,11 +77,39 @@ export const apiService = {
     return response.data;
   },
 
+  // Auth (Sign-In With Ethereum)
+  getNonce: async () => {
+    const response = await api.get('/auth/nonce');
+    return response.data;
+  },
+
+  login: async (message, signature) => {
+    const response = await api.post('/auth/login', { message, signature });
+    localStorage.setItem(AUTH_TOKEN_KEY, response.data.token);
+    return response.data;
+  },
+
+  getSession: async () => {
+    const response = await api.get('/auth/session');
+    return response.data;
+  },
+
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+  },
+
   // Patients
-  getPatients: async (page = 1, limit = 10, search = '') => {
-    const response = await api.get('/patients', {
-      params: { page, limit, search },
-    });
+  /**
+   * A page of patients: `{ patients, total, nextCursor }`. Pass the
+   * previous page's nextCursor as `cursor` to get the next one
+   * @param {GetPatientsQuery} [query]
+   */
+  getPatients: async (query = {}) => {
+    const response = await api.get('/patients', { params: definedParams(query) });
     return response.data;
   },
 
@@ -29,18 +118,105 @@ export const apiService = {
     return response.data;
   },
 
-  getPatientRecords: async (patientId) => {
-    const response = await api.get(`/patients/${patientId}/records`);
+  /**
+   * Register a patient (admins only), the backend assigns its IDs
+   * @param {CreatePatientBody} patientData
+   */
+  createPatient: async (patientData) => {
+    const response = await api.post('/patients', patientData);
     return response.data;
   },
 
-  // Consents
-  getConsents: async (patientId = null, status = null) => {
+  /**
+   * Correct profile fields, only the ones sent are changed
+   * @param {string} id
+   * @param {UpdatePatientBody} updates
+   */
+  updatePatient: async (id, updates) => {
+    const response = await api.patch(`/patients/${id}`, updates);
+    return response.data;
+  },
+
+  // Soft-delete a patient (admins only)
+  deletePatient: async (id) => {
+    const response = await api.delete(`/patients/${id}`);
+    return response.data;
+  },
+
+  // Reading another patient's records requires the purpose of an active consent
+  getPatientRecords: async (patientId, purpose = null) => {
+    /** @type {GetPatientRecordsQuery} */
+    const params = {};
+    if (purpose) params.purpose = purpose;
+
+    const response = await api.get(`/patients/${patientId}/records`, { params });
+    return response.data;
+  },
+
+  // Merkle inclusion proof of a record's anchored content hash (gated like the record itself)
+  getRecordProof: async (recordId, purpose = null) => {
+    /** @type {GetRecordProofQuery} */
+    const params = {};
+    if (purpose) params.purpose = purpose;
+
+    const response = await api.get(`/records/${recordId}/proof`, { params });
+    return response.data;
+  },
+
+  /**
+   * Add a record to a patient's history (providers with a consent, and admins)
+   * @param {string} patientId
+   * @param {CreateRecordBody} record
+   * @param {string|null} [purpose]
+   */
+  createRecord: async (patientId, record, purpose = null) => {
+    /** @type {CreateRecordQuery} */
+    const params = {};
+    if (purpose) params.purpose = purpose;
+
+    const response = await api.post(`/patients/${patientId}/records`, record, { params });
+    return response.data;
+  },
+
+  /**
+   * Amend a record: the changed fields plus the reason for the amendment.
+   * Returns the new version; the amended one is kept in the record's history
+   * @param {string} recordId
+   * @param {AmendRecordBody} amendment
+   * @param {string|null} [purpose]
+   */
+  amendRecord: async (recordId, amendment, purpose = null) => {
+    /** @type {AmendRecordQuery} */
     const params = {};
-    if (patientId) params.patientId = patientId;
-    if (status) params.status = status;
-    
-    const response = await api.get('/consents', { params });
+    if (purpose) params.purpose = purpose;
+
+    const response = await api.post(`/records/${recordId}/amendments`, amendment, { params });
+    return response.data;
+  },
+
+  // Every version of a record, oldest first (gated like the record itself)
+  getRecordHistory: async (recordId, purpose = null) => {
+    /** @type {GetRecordHistoryQuery} */
+    const params = {};
+    if (purpose) params.purpose = purpose;
+
+    const response = await api.get(`/records/${recordId}/history`, { params });
+    return response.data;
+  },
+
+  // Who accessed a patient's data (only the patient and admins may ask)
+  getPatientAccessLog: async (patientId) => {
+    const response = await api.get(`/patients/${patientId}/access-log`);
+    return response.data;
+  },
+
+  // Consents
+  /**
+   * A page of consents with their grantee: `{ consents, total, nextCursor }`
+   * @param {GetConsentsQuery} [query]
+   */
+  getConsents: async (query = {}) => {
+    const response = await api.get('/consents', { params: definedParams(query) });
     return response.data;
   },
 
@@ -49,32 +225,74 @@ export const apiService = {
     return response.data;
   },
 
+  /**
+   * Submit a consent signed by the patient wallet (EIP-712)
+   * @param {CreateConsentBody} consentData
+   */
   createConsent: async (consentData) => {
     const response = await api.post('/consents', consentData);
     return response.data;
   },
 
+  /**
+   * Move a consent to another state
+   * @param {string} id
+   * @param {UpdateConsentBody} updates
+   */
   updateConsent: async (id, updates) => {
     const response = await api.patch(`/consents/${id}`, updates);
     return response.data;
   },
 
+  // Grantees
+  /**
+   * A page of grantees: `{ grantees, total, nextCursor }`
+   * @param {GetGranteesQuery} [query]
+   */
+  getGrantees: async (query = {}) => {
+    const response = await api.get('/grantees', { params: definedParams(query) });
+    return response.data;
+  },
+
+  // Every registered grantee, following the cursor through all pages
+  getAllGrantees: async (type = null) => {
+    const grantees = [];
+    let cursor = null;
+    do {
+      const page = await apiService.getGrantees({ type, cursor, limit: 100 });
+      grantees.push(...page.grantees);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return grantees;
+  },
+
+  getGranteeConsents: async (granteeId) => {
+    const response = await api.get(`/grantees/${granteeId}/consents`);
+    return response.data;
+  },
+
   // Transactions
-  getTransactions: async (walletAddress = null, limit = 20) => {
-    const params = { limit };
-    if (walletAddress) params.walletAddress = walletAddress;
-    
-    const response = await api.get('/transactions', { params });
+  /**
+   * A page of transactions, newest first by default: `{ transactions, total, nextCursor }`
+   * @param {GetTransactionsQuery} [query]
+   */
+  getTransactions: async (query = {}) => {
+    const response = await api.get('/transactions', { params: definedParams(query) });
+    return response.data;
+  },
+
+  // A transaction with its receipt and confirmation count, by chain transaction hash
+  getTransaction: async (hash) => {
+    const response = await api.get(`/transactions/${hash}`);
     return response.data;
   },
 
   // Signature verification
   verifySignature: async (message, signature, address) => {
-    const response = await api.post('/verify-signature', {
-      message,
-      signature,
-      address,
-    });
+    /** @type {VerifySignatureBody} */
+    const body = { message, signature, address };
+
+    const response = await api.post('/verify-signature', body);
     return response.data;
   },
 
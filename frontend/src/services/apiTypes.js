@@ -0,0 +1,210 @@
+/**
+ * API Request Types
+ *
+ * JSDoc types of the query strings and request bodies the backend accepts,
+ * generated from its route schemas (backend/routes/schemas.js). Do not edit by
+ * hand: run `npm run generate:api-types` in backend/ after changing a schema.
+ *
+ * @module services/apiTypes
+ */
+
+/**
+ * Request body of `POST /api/auth/login`
+ * @typedef {Object} LoginBody
+ * @property {string} message - Sign-In With Ethereum message
+ * @property {string} signature - personal_sign signature of the message
+ */
+
+/**
+ * Query string of `GET /api/audit`
+ * @typedef {Object} GetAuditEntriesQuery
+ * @property {string} [actor] - Wallet that made the requests
+ * @property {string} [action] - Audited action, e.g. record.read
+ * @property {string} [patientId] - Patient the entries concern
+ * @property {('success'|'failure'|'denied')} [outcome] - Outcome of the request
+ * @property {string} [from] - Earliest entry timestamp; format: date-time
+ * @property {string} [to] - Latest entry timestamp; format: date-time
+ * @property {string} [cursor] - nextCursor of the previous page, to get the entries after it
+ * @property {number} [limit] - Entries per page, default 100
+ * @property {('sequence'|'action'|'actor')} [sort] - Field to sort by, default sequence
+ * @property {('asc'|'desc')} [order] - Sort order, default desc
+ */
+
+/**
+ * Query string of `GET /api/patients`
+ * @typedef {Object} GetPatientsQuery
+ * @property {string} [search] - Text to look for in the fields the caller may see
+ * @property {string} [cursor] - nextCursor of the previous page, to get the patients after it
+ * @property {number} [limit] - Patients per page, default 10
+ * @property {('name'|'createdAt'|'dateOfBirth')} [sort] - Field to sort by, default name
+ * @property {('asc'|'desc')} [order] - Sort order, default asc
+ */
+
+/**
+ * Request body of `POST /api/patients`
+ * @typedef {Object} CreatePatientBody
+ * @property {string} name - Full name
+ * @property {string} email - Email address, stored lowercased; format: email
+ * @property {string} dateOfBirth - Date of birth (YYYY-MM-DD), in the past; format: date
+ * @property {string} [gender] - Gender
+ * @property {string} [phone] - Phone number of 7 to 15 digits; format: phone
+ * @property {string} [address] - Postal address
+ * @property {string} walletAddress - Wallet address with its EIP-55 checksum; format: checksum-address
+ */
+
+/**
+ * Request body of `PATCH /api/patients/:id`
+ * @typedef {Object} UpdatePatientBody
+ * @property {string} [name] - Full name
+ * @property {string} [email] - Email address, stored lowercased; format: email
+ * @property {string} [dateOfBirth] - Date of birth (YYYY-MM-DD), in the past; format: date
+ * @property {string} [gender] - Gender
+ * @property {string} [phone] - Phone number of 7 to 15 digits; format: phone
+ * @property {string} [address] - Postal address
+ * @property {string} [walletAddress] - Wallet address with its EIP-55 checksum; format: checksum-address
+ */
+
+/**
+ * Query string of `GET /api/patients/:id/records`
+ * @typedef {Object} GetPatientRecordsQuery
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ */
+
+/**
+ * Query string of `POST /api/patients/:id/records`
+ * @typedef {Object} CreateRecordQuery
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ */
+
+/**
+ * Request body of `POST /api/patients/:id/records`
+ * @typedef {Object} CreateRecordBody
+ * @property {('Diagnostic'|'Lab Results'|'Treatment')} type - Record type
+ * @property {string} title - Title of the record
+ * @property {string} description - Clinical description
+ * @property {string} [date] - Date or ISO 8601 timestamp of the record, defaults to now; format: date-time
+ * @property {string} doctor - Attending doctor
+ * @property {string} hospital - Hospital or facility
+ */
+
+/**
+ * Query string of `GET /api/records`
+ * @typedef {Object} GetAllRecordsQuery
+ * @property {string} [patientId] - Only records of this patient
+ * @property {('Diagnostic'|'Lab Results'|'Treatment')} [type] - Record type
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ * @property {string} [cursor] - nextCursor of the previous page, to get the records after it
+ * @property {number} [limit] - Records per page, default 50
+ * @property {('date'|'title'|'type')} [sort] - Field to sort by, default date
+ * @property {('asc'|'desc')} [order] - Sort order, default desc
+ */
+
+/**
+ * Query string of `GET /api/records/:id/proof`
+ * @typedef {Object} GetRecordProofQuery
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ */
+
+/**
+ * Query string of `POST /api/records/:id/amendments`
+ * @typedef {Object} AmendRecordQuery
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ */
+
+/**
+ * Request body of `POST /api/records/:id/amendments`
+ * @typedef {Object} AmendRecordBody
+ * @property {('Diagnostic'|'Lab Results'|'Treatment')} [type] - Record type
+ * @property {string} [title] - Title of the record
+ * @property {string} [description] - Clinical description
+ * @property {string} [date] - Date or ISO 8601 timestamp of the record, defaults to now; format: date-time
+ * @property {string} [doctor] - Attending doctor
+ * @property {string} [hospital] - Hospital or facility
+ * @property {string} reason - Why the record is amended
+ */
+
+/**
+ * Query string of `GET /api/records/:id/history`
+ * @typedef {Object} GetRecordHistoryQuery
+ * @property {string} [purpose] - Purpose of the consent in effect that grants access, unless the patient reads their own data
+ */
+
+/**
+ * Query string of `GET /api/consents`
+ * @typedef {Object} GetConsentsQuery
+ * @property {string} [patientId] - Only consents of this patient
+ * @property {('pending'|'active'|'rejected'|'revoked'|'expired')} [status] - Only consents in this state
+ * @property {number} [expiringWithinDays] - Only active consents lapsing within this many days, sorted by expiresAt ascending by default
+ * @property {string} [cursor] - nextCursor of the previous page, to get the consents after it
+ * @property {number} [limit] - Consents per page, default 20
+ * @property {('createdAt'|'expiresAt'|'status')} [sort] - Field to sort by, default createdAt
+ * @property {('asc'|'desc')} [order] - Sort order, default desc
+ */
+
+/**
+ * Request body of `POST /api/consents`
+ * @typedef {Object} CreateConsentBody
+ * @property {string} patientId - Patient granting the consent
+ * @property {string} purpose - Purpose of the consent
+ * @property {string} walletAddress - Patient wallet that signed the consent; format: address
+ * @property {string} grantee - Wallet of the registered grantee; format: address
+ * @property {number} [expiry] - Unix timestamp in seconds, 0 (default) for no expiry
+ * @property {string} nonce - Random 32-byte nonce, single use per wallet; format: bytes32
+ * @property {number} chainId - Chain ID of the EIP-712 domain
+ * @property {string} signature - EIP-712 signature of the Consent struct; format: hex
+ * @property {Object} scope - What the consent shares
+ * @property {Array<('Diagnostic'|'Lab Results'|'Treatment')>} scope.recordTypes - Record types shared
+ * @property {?string} [scope.dateFrom] - Earliest record date shared (YYYY-MM-DD); format: date
+ * @property {?string} [scope.dateTo] - Latest record date shared (YYYY-MM-DD); format: date
+ * @property {Array<('name'|'email'|'dateOfBirth'|'gender'|'phone'|'address')>} [scope.fields] - Demographic fields shared
+ */
+
+/**
+ * Request body of `PATCH /api/consents/:id`
+ * @typedef {Object} UpdateConsentBody
+ * @property {('pending'|'active'|'rejected'|'revoked'|'expired')} status - New state of the consent
+ * @property {?string} [reason] - Why the state changes
+ */
+
+/**
+ * Query string of `GET /api/grantees`
+ * @typedef {Object} GetGranteesQuery
+ * @property {('research_institution'|'insurer'|'analytics_vendor'|'healthcare_provider')} [type] - Only grantees of this type
+ * @property {string} [cursor] - nextCursor of the previous page, to get the grantees after it
+ * @property {number} [limit] - Grantees per page, default 50
+ * @property {('name'|'type'|'createdAt')} [sort] - Field to sort by, default name
+ * @property {('asc'|'desc')} [order] - Sort order, default asc
+ */
+
+/**
+ * Request body of `POST /api/grantees`
+ * @typedef {Object} CreateGranteeBody
+ * @property {string} name - Organization name
+ * @property {('research_institution'|'insurer'|'analytics_vendor'|'healthcare_provider')} type - Kind of organization
+ * @property {string} walletAddress - Wallet consents are granted to; format: address
+ * @property {Object} contact - Who patients can contact
+ * @property {string} [contact.name] - Contact person
+ * @property {string} contact.email - Contact email; format: email
+ * @property {string} [contact.phone] - Contact phone number
+ */
+
+/**
+ * Query string of `GET /api/transactions`
+ * @typedef {Object} GetTransactionsQuery
+ * @property {('pending'|'confirmed'|'failed'|'off_chain')} [status] - Only transactions in this state
+ * @property {string} [walletAddress] - Only transactions from or to this wallet (admins only); format: address
+ * @property {string} [cursor] - nextCursor of the previous page, to get the transactions after it
+ * @property {number} [limit] - Transactions per page, default 20
+ * @property {('timestamp'|'blockNumber')} [sort] - Field to sort by, default timestamp
+ * @property {('asc'|'desc')} [order] - Sort order, default desc
+ */
+
+/**
+ * Request body of `POST /api/verify-signature`
+ * @typedef {Object} VerifySignatureBody
+ * @property {string} message - Signed message
+ * @property {string} signature - personal_sign signature
+ * @property {string} address - Wallet expected to have signed
+ */
+
+export {};
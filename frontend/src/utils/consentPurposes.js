@@ -0,0 +1,19 @@
+/**
+ * Consent Purposes
+ * 
+ * Purposes a patient can grant consent for. Record reads by anyone other than
+ * the patient must state one of these, and only succeed when an active consent
+ * for that purpose was granted to the reader's wallet.
+ * 
+ * Used in:
+ * - ConsentManagement: Purpose dropdown in the create form
+ * - PatientDetail: Purpose selector for consent-gated record reads
+ * 
+ * @module utils/consentPurposes
+ */
+export const CONSENT_PURPOSES = [
+    'Research Study Participation',
+    'Data Sharing with Research Institution',
+    'Third-Party Analytics Access',
+    'Insurance Provider Access',
+];
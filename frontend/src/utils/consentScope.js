@@ -0,0 +1,80 @@
+/**
+ * Consent Scope Options
+ *
+ * What a consent can share with its grantee: record types and patient
+ * demographic fields. The patient's IDs, wallet address and registration date
+ * are always shared with a grantee.
+ *
+ * Mirrored in backend/utils/consentScope.js, which validates the scope in
+ * createConsent and filters patient and record responses to it.
+ *
+ * @module utils/consentScope
+ */
+import { formatDate } from './formatUtilService';
+
+/**
+ * Medical record types a consent can share
+ * @constant {Array<string>}
+ */
+export const RECORD_TYPES = ['Diagnostic', 'Lab Results', 'Treatment'];
+
+/**
+ * Patient demographic fields a consent can share, with their display labels
+ * @constant {Array<{name: string, label: string}>}
+ */
+export const DEMOGRAPHIC_FIELDS = [
+    { name: 'name', label: 'Full Name' },
+    { name: 'email', label: 'Email' },
+    { name: 'dateOfBirth', label: 'Date of Birth' },
+    { name: 'gender', label: 'Gender' },
+    { name: 'phone', label: 'Phone' },
+    { name: 'address', label: 'Address' },
+];
+
+/**
+ * Placeholder shown in place of a demographic field the viewer's consent does not share
+ * @constant {string}
+ */
+export const NOT_SHARED_LABEL = 'Not shared';
+
+/**
+ * Describes the records a consent scope shares
+ *
+ * @function describeRecordScope
+ * @param {Object} scope - Consent scope
+ * @param {Array<string>} scope.recordTypes - Shared record types
+ * @param {string|null} scope.dateFrom - Earliest record date, null for no bound
+ * @param {string|null} scope.dateTo - Latest record date, null for no bound
+ * @returns {string} Summary such as "Lab Results, Treatment (dated from Jan 1, 2024)"
+ */
+export const describeRecordScope = ({ recordTypes, dateFrom, dateTo }) => {
+    const types = recordTypes.join(', ');
+
+    if (dateFrom && dateTo) {
+        return `${types} (dated ${formatDate(dateFrom)} to ${formatDate(dateTo)})`;
+    }
+    if (dateFrom) {
+        return `${types} (dated from ${formatDate(dateFrom)})`;
+    }
+    if (dateTo) {
+        return `${types} (dated until ${formatDate(dateTo)})`;
+    }
+    return types;
+};
+
+/**
+ * Describes the demographic fields a consent scope shares
+ *
+ * @function describeFieldScope
+ * @param {Array<string>} fields - Shared field names
+ * @returns {string} Field labels, or "IDs only" when no demographic field is shared
+ */
+export const describeFieldScope = (fields) => {
+    if (fields.length === 0) {
+        return 'IDs only';
+    }
+    return DEMOGRAPHIC_FIELDS
+        .filter((field) => fields.includes(field.name))
+        .map((field) => field.label)
+        .join(', ');
+};
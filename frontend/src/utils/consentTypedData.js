@@ -0,0 +1,99 @@
+/**
+ * Consent Typed Data
+ * 
+ * EIP-712 domain and type definitions for consent signatures.
+ * Signing typed data instead of a free-text message lets the wallet show
+ * every field the patient is agreeing to, and the resulting signature can't
+ * be confused with a signature over any other message.
+ * 
+ * Mirrored in backend/utils/consentTypedData.js, which verifies the signature
+ * in createConsent. Both definitions must stay identical.
+ * 
+ * @module utils/consentTypedData
+ */
+import { ethers } from 'ethers';
+
+/**
+ * EIP-712 struct definition for a consent
+ * 
+ * Fields:
+ * - patientId: Patient the consent applies to (e.g., "patient-001")
+ * - purpose: Consent purpose/category
+ * - grantee: Wallet address receiving access to the data
+ * - expiry: Unix timestamp in seconds, 0 for a consent without expiry
+ * - nonce: Random 32-byte value preventing signature replay
+ * - recordTypes: Record types the grantee may read
+ * - dateFrom / dateTo: Record date range ("YYYY-MM-DD"), '' for an open bound
+ * - fields: Demographic fields the grantee may see
+ * 
+ * @constant {Object}
+ */
+export const CONSENT_TYPES = {
+    Consent: [
+        { name: 'patientId', type: 'string' },
+        { name: 'purpose', type: 'string' },
+        { name: 'grantee', type: 'address' },
+        { name: 'expiry', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' },
+        { name: 'recordTypes', type: 'string[]' },
+        { name: 'dateFrom', type: 'string' },
+        { name: 'dateTo', type: 'string' },
+        { name: 'fields', type: 'string[]' },
+    ],
+};
+
+/**
+ * Builds the EIP-712 domain for consent signatures
+ * 
+ * The chain ID must match the network the wallet is connected to,
+ * otherwise MetaMask refuses to sign.
+ * 
+ * @function buildConsentDomain
+ * @param {number} chainId - Chain ID of the connected network
+ * @returns {Object} EIP-712 domain
+ */
+export const buildConsentDomain = (chainId) => ({
+    name: 'AI Health Chains Consent',
+    // Version 2 added the scope fields
+    version: '2',
+    chainId,
+});
+
+/**
+ * Builds the Consent struct to sign from the create form values
+ * 
+ * @function buildConsentValue
+ * @param {Object} params - Consent fields
+ * @param {string} params.patientId - Patient identifier
+ * @param {string} params.purpose - Consent purpose
+ * @param {string} params.grantee - Grantee wallet address
+ * @param {string} [params.expiresOn] - Optional expiry date ("YYYY-MM-DD")
+ * @param {Object} params.scope - What the consent shares
+ * @param {Array<string>} params.scope.recordTypes - Record types the grantee may read
+ * @param {string|null} params.scope.dateFrom - Earliest record date ("YYYY-MM-DD"), null for no bound
+ * @param {string|null} params.scope.dateTo - Latest record date ("YYYY-MM-DD"), null for no bound
+ * @param {Array<string>} params.scope.fields - Demographic fields the grantee may see
+ * @returns {Object} Consent struct with a fresh random nonce
+ * 
+ * @example
+ * const value = buildConsentValue({
+ *   patientId: "patient-001",
+ *   purpose: "Research Study Participation",
+ *   grantee: "0x...",
+ *   scope: { recordTypes: ["Lab Results"], dateFrom: null, dateTo: null, fields: [] },
+ * });
+ * console.log(value.expiry); // Output: 0 (no expiry)
+ */
+export const buildConsentValue = ({ patientId, purpose, grantee, expiresOn, scope }) => ({
+    patientId,
+    purpose,
+    grantee,
+    // Convert the selected date to a unix timestamp in seconds (end of that day, UTC)
+    expiry: expiresOn ? Math.floor(new Date(`${expiresOn}T23:59:59Z`).getTime() / 1000) : 0,
+    nonce: ethers.hexlify(ethers.randomBytes(32)),
+    // The scope is flattened into the struct, an open date bound is signed as ''
+    recordTypes: scope.recordTypes,
+    dateFrom: scope.dateFrom || '',
+    dateTo: scope.dateTo || '',
+    fields: scope.fields,
+});
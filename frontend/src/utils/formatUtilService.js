@@ -8,10 +8,16 @@
  * - formatDate: Converts ISO date strings to readable format
  * - truncateDescription: Shortens long text with ellipsis
  * - formatWalletAddress: Truncates blockchain addresses for display
+ * - formatTimeRemaining: Describes the time left until a deadline
+ * - formatGranteeType: Converts a grantee type to a readable label
+ * - formatWei: Converts a wei amount to ether or gwei
+ * - formatConfirmations: Describes a transaction's confirmation count
  * 
  * @module utils/formatUtilService
  */
 
+import { ethers } from 'ethers';
+
 /**
  * Formats a date string to a readable locale-specific format
  * 
@@ -134,4 +140,124 @@ export const formatWalletAddress = (address) => {
 
     // Return formatted address with first 8 and last 6 characters
     return `${address.slice(0, 8)}...${address.slice(-6)}`;
-};
\ No newline at end of file
+};
+
+/**
+ * Describes the time left until a deadline as a short countdown
+ * 
+ * Shows the two largest units (days and hours, or hours and minutes)
+ * so the value stays readable while still changing visibly as time passes.
+ * 
+ * Example Output:
+ * - 3 days and 4 hours away: "3d 4h left"
+ * - 90 minutes away: "1h 30m left"
+ * - In the past: "Expired"
+ * 
+ * Used in:
+ * - ConcentCard: Countdown to a consent's expiry
+ * 
+ * @function formatTimeRemaining
+ * @param {string} dateString - ISO timestamp of the deadline
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} Countdown text, or "Expired" once the deadline has passed
+ * 
+ * @example
+ * const text = formatTimeRemaining("2024-01-20T00:00:00Z", Date.parse("2024-01-17T20:00:00Z"));
+ * console.log(text); // Output: "2d 4h left"
+ */
+export const formatTimeRemaining = (dateString, now = Date.now()) => {
+    const remainingMs = new Date(dateString).getTime() - now;
+    if (remainingMs <= 0) {
+        return 'Expired';
+    }
+
+    const totalMinutes = Math.floor(remainingMs / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) {
+        return `${days}d ${hours}h left`;
+    }
+    if (hours > 0) {
+        return `${hours}h ${minutes}m left`;
+    }
+    // Under a minute still reads as time left rather than "0m"
+    return `${Math.max(minutes, 1)}m left`;
+};
+
+/**
+ * Converts a grantee type to a readable label
+ * 
+ * Grantee types are stored in snake_case by the backend.
+ * 
+ * Example Output:
+ * - Input: "research_institution"
+ * - Output: "Research Institution"
+ * 
+ * Used in:
+ * - ConsentManagement: Grantee options in the create form
+ * - ConcentCard: Grantee holding the consent
+ * 
+ * @function formatGranteeType
+ * @param {string} type - Grantee type (e.g., "analytics_vendor")
+ * @returns {string} Title-cased label (e.g., "Analytics Vendor")
+ */
+export const formatGranteeType = (type) => {
+    return type
+        .split('_')
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+};
+
+/**
+ * Converts a wei amount to ether or gwei
+ * 
+ * Gas prices and fees are stored by the backend in wei, as decimal strings.
+ * Trailing zeros are dropped by ethers' formatUnits.
+ * 
+ * Example Output:
+ * - Input: "1014011584", "gwei"
+ * - Output: "1.014011584 gwei"
+ * 
+ * Used in:
+ * - TransactionDetail: Effective gas price and transaction fee
+ * 
+ * @function formatWei
+ * @param {string} wei - Amount in wei (decimal string)
+ * @param {string} [unit="ether"] - "ether" or "gwei"
+ * @returns {string} Amount with its unit (e.g., "0.000081 ETH"), or empty string if wei is missing
+ */
+export const formatWei = (wei, unit = 'ether') => {
+    if (wei === null || wei === undefined) {
+        return '';
+    }
+    return `${ethers.formatUnits(wei, unit)} ${unit === 'ether' ? 'ETH' : unit}`;
+};
+
+/**
+ * Describes a transaction's confirmation count
+ * 
+ * Pending transactions show progress towards the confirmations the backend
+ * requires before marking them confirmed.
+ * 
+ * Example Output:
+ * - 2 of 3 required: "2 / 3 confirmations"
+ * - 7 (no requirement given): "7 confirmations"
+ * 
+ * Used in:
+ * - TransactionCard: Live confirmation counter
+ * - TransactionDetail: Confirmations row
+ * 
+ * @function formatConfirmations
+ * @param {number} confirmations - Blocks on top of the transaction's block, its own included
+ * @param {number} [required] - Confirmations required, shown while still pending
+ * @returns {string} Confirmation count text
+ */
+export const formatConfirmations = (confirmations, required) => {
+    const noun = (required ?? confirmations) === 1 ? 'confirmation' : 'confirmations';
+    if (required && confirmations < required) {
+        return `${confirmations} / ${required} ${noun}`;
+    }
+    return `${confirmations} ${noun}`;
+};
@@ -0,0 +1,39 @@
+/**
+ * Merkle Proof Verification
+ * 
+ * Checks that a record's content hash is a leaf of an anchored Merkle root.
+ * Pairs are sorted before hashing, so a proof is just the sibling hashes from
+ * the leaf up (the scheme OpenZeppelin's MerkleProof uses).
+ * 
+ * Mirrored in backend/utils/merkleTree.js, which builds the trees and proofs.
+ * 
+ * @module utils/merkleTree
+ */
+import { ethers } from 'ethers';
+
+/**
+ * Hashes two sibling nodes into their parent
+ * 
+ * @function hashPair
+ * @param {string} a - 32-byte hex hash
+ * @param {string} b - 32-byte hex hash
+ * @returns {string} keccak256 of the two hashes, smaller first
+ */
+export const hashPair = (a, b) => {
+    const [first, second] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.keccak256(ethers.concat([first, second]));
+};
+
+/**
+ * Checks whether a proof links a leaf to a Merkle root
+ * 
+ * @function verifyMerkleProof
+ * @param {string} leaf - Leaf hash
+ * @param {Array<string>} proof - Sibling hashes from the leaf up to the root
+ * @param {string} root - Expected Merkle root
+ * @returns {boolean} True when folding the proof into the leaf yields the root
+ */
+export const verifyMerkleProof = (leaf, proof, root) => {
+    const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+};
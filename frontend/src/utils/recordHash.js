@@ -0,0 +1,56 @@
+/**
+ * Record Content Hash
+ * 
+ * Recomputes a medical record's content hash in the browser so its integrity
+ * can be checked without trusting the server's word for it.
+ * 
+ * Mirrored in backend/utils/recordHash.js (and its canonicalJson.js), which
+ * computes the hashes anchored in Merkle roots. Both must stay identical.
+ * 
+ * @module utils/recordHash
+ */
+import { ethers } from 'ethers';
+
+/**
+ * Fields that make up a record's content. Status, hash and anchor metadata are left out.
+ * @constant {Array<string>}
+ */
+export const RECORD_CONTENT_FIELDS = ['id', 'patientId', 'type', 'title', 'description', 'date', 'doctor', 'hospital'];
+
+/**
+ * Sorts object keys at every depth and drops undefined values, so the same
+ * content always serializes the same way
+ * 
+ * @function canonicalize
+ * @param {*} value - Any JSON-compatible value
+ * @returns {*} Canonical copy of the value
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return value.map((item) => (item === undefined ? null : canonicalize(item)));
+    }
+
+    if (value !== null && typeof value === 'object') {
+        return Object.keys(value)
+            .sort()
+            .filter((key) => value[key] !== undefined)
+            .reduce((sorted, key) => {
+                sorted[key] = canonicalize(value[key]);
+                return sorted;
+            }, {});
+    }
+
+    return value;
+};
+
+/**
+ * Computes a record's content hash
+ * 
+ * @function hashRecord
+ * @param {Object} record - Medical record
+ * @returns {string} keccak256 of the canonical JSON of the content fields (0x-prefixed hex)
+ */
+export const hashRecord = (record) => {
+    const content = Object.fromEntries(RECORD_CONTENT_FIELDS.map((field) => [field, record[field]]));
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(canonicalize(content))));
+};
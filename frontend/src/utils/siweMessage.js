@@ -0,0 +1,42 @@
+/**
+ * SIWE Message Utility
+ * 
+ * Builds Sign-In With Ethereum (EIP-4361) messages for wallet authentication.
+ * The backend parses this exact format in backend/utils/siwe.js before issuing
+ * a session token.
+ * 
+ * @module utils/siweMessage
+ */
+import { ethers } from 'ethers';
+
+/**
+ * Builds an EIP-4361 sign-in message
+ * 
+ * The address is converted to its EIP-55 checksum form as the standard requires.
+ * The domain and URI come from the page the app is served from.
+ * 
+ * @function buildSiweMessage
+ * @param {Object} params - Message fields
+ * @param {string} params.address - Wallet address signing in
+ * @param {number} params.chainId - Chain ID of the connected network
+ * @param {string} params.nonce - Nonce issued by GET /auth/nonce
+ * @returns {string} Message to sign with personal_sign
+ * 
+ * @example
+ * const message = buildSiweMessage({ address: account, chainId: 1, nonce: "8f2c..." });
+ * const signature = await signMessage(message);
+ */
+export const buildSiweMessage = ({ address, chainId, nonce }) => {
+    return [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        ethers.getAddress(address),
+        '',
+        'Sign in to AI Health Chains to access healthcare data.',
+        '',
+        `URI: ${window.location.origin}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date().toISOString()}`,
+    ].join('\n');
+};
@@ -0,0 +1,77 @@
+/**
+ * Text Diff
+ *
+ * Word-level diff of two strings, used to show what an amendment changed in a
+ * medical record's free-text fields.
+ *
+ * @module utils/textDiff
+ */
+
+/**
+ * Splits text into words and the whitespace between them, so joining the
+ * tokens back together gives the original text
+ *
+ * @function tokenize
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Word and whitespace tokens
+ */
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter((token) => token !== '') : []);
+
+/**
+ * Diffs two strings word by word using their longest common subsequence
+ *
+ * Consecutive tokens with the same change type are merged into one part.
+ *
+ * @function diffWords
+ * @param {string} before - Text of the older version
+ * @param {string} after - Text of the newer version
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Parts in reading order
+ *
+ * @example
+ * diffWords('Blood pressure normal', 'Blood pressure slightly high')
+ * // [{ type: 'same', text: 'Blood pressure ' },
+ * //  { type: 'removed', text: 'normal' },
+ * //  { type: 'added', text: 'slightly high' }]
+ */
+export const diffWords = (before, after) => {
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // lengths[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+};